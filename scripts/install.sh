@@ -2,11 +2,18 @@
 set -e
 
 # Active Registration - Installation Script
-# This script sets up the cron job to run notifications every minute
+# This script installs a systemd service that runs the reminder daemon.
+# Pass --cron to install the old once-a-minute cron job instead
+# (also used automatically on systems without systemd).
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
 
+USE_CRON=false
+if [ "$1" = "--cron" ] || ! command -v systemctl &> /dev/null; then
+    USE_CRON=true
+fi
+
 echo "=== Active Registration Installation ==="
 echo ""
 
@@ -84,39 +91,62 @@ fi
 
 echo ""
 
-# Set up cron job
-echo "Setting up cron job..."
-
 # Find node path
 NODE_PATH=$(which node)
 
-# Create cron entry
-CRON_ENTRY="* * * * * cd $PROJECT_DIR && $NODE_PATH src/index.js >> logs/cron.log 2>&1"
+if [ "$USE_CRON" = true ]; then
+    # Set up cron job
+    echo "Setting up cron job..."
+
+    # Create cron entry
+    CRON_ENTRY="* * * * * cd $PROJECT_DIR && $NODE_PATH src/index.js >> logs/cron.log 2>&1"
 
-# Check if cron job already exists
-if crontab -l 2>/dev/null | grep -F "active-registration" > /dev/null 2>&1 || \
-   crontab -l 2>/dev/null | grep -F "$PROJECT_DIR" > /dev/null 2>&1; then
-    echo "  ✓ Cron job already exists"
+    # Check if cron job already exists
+    if crontab -l 2>/dev/null | grep -F "active-registration" > /dev/null 2>&1 || \
+       crontab -l 2>/dev/null | grep -F "$PROJECT_DIR" > /dev/null 2>&1; then
+        echo "  ✓ Cron job already exists"
+    else
+        # Add cron job
+        (crontab -l 2>/dev/null || true; echo "$CRON_ENTRY") | crontab -
+        echo "  ✓ Cron job added"
+    fi
+
+    # Show cron entry
+    echo ""
+    echo "Cron entry:"
+    echo "  $CRON_ENTRY"
+
+    echo ""
+
+    # Check cron service (Linux only)
+    if command -v systemctl &> /dev/null; then
+        if systemctl is-active --quiet cron; then
+            echo "  ✓ Cron service is running"
+        else
+            echo "  ⚠ WARNING: Cron service may not be running"
+            echo "    Try: sudo systemctl start cron"
+        fi
+    fi
 else
-    # Add cron job
-    (crontab -l 2>/dev/null || true; echo "$CRON_ENTRY") | crontab -
-    echo "  ✓ Cron job added"
-fi
+    # Set up systemd service
+    echo "Setting up systemd service..."
 
-# Show cron entry
-echo ""
-echo "Cron entry:"
-echo "  $CRON_ENTRY"
+    SERVICE_FILE="/etc/systemd/system/active-registration.service"
 
-echo ""
+    sed -e "s|__USER__|$(whoami)|" \
+        -e "s|__PROJECT_DIR__|$PROJECT_DIR|" \
+        -e "s|__NODE_PATH__|$NODE_PATH|" \
+        "$SCRIPT_DIR/active-registration.service" | sudo tee "$SERVICE_FILE" > /dev/null
+    echo "  ✓ Installed $SERVICE_FILE"
 
-# Check cron service (Linux only)
-if command -v systemctl &> /dev/null; then
-    if systemctl is-active --quiet cron; then
-        echo "  ✓ Cron service is running"
-    else
-        echo "  ⚠ WARNING: Cron service may not be running"
-        echo "    Try: sudo systemctl start cron"
+    sudo systemctl daemon-reload
+    sudo systemctl enable --now active-registration.service
+    echo "  ✓ Service enabled and started"
+
+    # The daemon replaces the cron job; warn if an old one is still there
+    if crontab -l 2>/dev/null | grep -F "$PROJECT_DIR" > /dev/null 2>&1; then
+        echo "  ⚠ WARNING: An old cron job for this project is still installed"
+        echo "    Remove it with: crontab -e"
     fi
 fi
 
@@ -125,7 +155,13 @@ echo "=================================="
 echo "✓ Installation complete!"
 echo "=================================="
 echo ""
-echo "The registration reminder will now run every minute."
+if [ "$USE_CRON" = true ]; then
+    echo "The registration reminder will now run every minute."
+else
+    echo "The registration reminder daemon is now running."
+    echo "  Status: systemctl status active-registration"
+    echo "  Stop:   sudo systemctl stop active-registration"
+fi
 echo ""
 echo "Next steps:"
 echo "  1. Ensure your .env file has valid API keys"
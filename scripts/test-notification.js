@@ -2,7 +2,40 @@ require('dotenv').config();
 
 const logger = require('../src/logger');
 const { loadSettings } = require('../src/timetable');
-const { sendNotifications } = require('../src/notifications');
+const { sendNotifications, buildNotification } = require('../src/notifications');
+const { getEnabledChannels, getChannelEnvVars, checkChannel } = require('../src/channels');
+const { getTemplates } = require('../src/templates');
+const { getTodayDateString } = require('../src/scheduler');
+
+/**
+ * Print what each channel's notification will say, from settings.templates
+ * @param {Array<object>} channels - Enabled channel entries
+ * @param {object} lesson - Lesson to show
+ * @param {object} options - Notification options (see buildNotification)
+ * @param {object} settings - Settings object
+ * @returns {boolean} True if every template rendered
+ */
+function previewNotifications(channels, lesson, options, settings) {
+  let ok = true;
+  for (const entry of channels) {
+    console.log(`--- ${entry.name} ---`);
+    let notification;
+    try {
+      notification = buildNotification(lesson, options, getTemplates(settings, entry.name));
+    } catch (err) {
+      console.log(`  ✗ ${err.message}\n`);
+      ok = false;
+      continue;
+    }
+    const fields = entry.name === 'email' ? ['subject', 'body', 'html'] : ['title', 'message'];
+    for (const field of fields.filter(name => notification[name] !== null)) {
+      console.log(`${field}:`);
+      console.log(notification[field].replace(/^/gm, '  '));
+    }
+    console.log('');
+  }
+  return ok;
+}
 
 async function main() {
   console.log('=== Test Notification ===\n');
@@ -25,29 +58,64 @@ async function main() {
     room: 'N/A'
   };
 
+  // Fill in the other placeholders too, so templates can be checked with everything set
+  const options = {
+    date: getTodayDateString(settings.timezone),
+    start: '09:00',
+    end: '09:40',
+    next: { period: 'Test 2', class: 'TEST-2', subject: 'Next Lesson', room: 'N/A', start: '09:50', end: '10:30' }
+  };
+
+  // --channel <name> tests a single channel (even if disabled in settings)
+  const channelArg = process.argv.indexOf('--channel');
+  if (channelArg !== -1 && process.argv[channelArg + 1]) {
+    settings = { ...settings, channels: [{ name: process.argv[channelArg + 1], enabled: true }] };
+  }
+
+  // Show which channels will be used and whether they're configured
+  const channels = getEnabledChannels(settings);
+  console.log('Channels:');
+  for (const entry of channels) {
+    if (!entry.channel) {
+      console.log(`  ✗ ${entry.name} – unknown channel`);
+      continue;
+    }
+    const problems = checkChannel(entry.channel, settings);
+    const required = getChannelEnvVars(entry.channel, settings);
+    const envVars = required.length > 0 ? ` [${required.join(', ')}]` : '';
+    console.log(`  ${problems.length === 0 ? '✓' : '✗'} ${entry.name} – ${entry.channel.description}${envVars}`);
+    for (const problem of problems) {
+      console.log(`      ${problem}`);
+    }
+  }
+  console.log('');
+
+  // --preview shows what would be sent without sending it
+  if (process.argv.includes('--preview')) {
+    console.log('Preview (nothing is sent):\n');
+    process.exit(previewNotifications(channels, testLesson, options, settings) ? 0 : 1);
+  }
+
   console.log('Sending test notification...');
   console.log(`  Class: ${testLesson.class}`);
   console.log(`  Subject: ${testLesson.subject}\n`);
 
   // Send notifications
   try {
-    const result = await sendNotifications(testLesson, settings);
+    const result = await sendNotifications(testLesson, settings, options);
 
     console.log('Results:');
-    if (result.pushover === 'success') {
-      console.log('  ✓ Pushover notification sent successfully');
-    } else {
-      console.log('  ✗ Pushover failed');
-    }
-
-    if (result.email === 'success') {
-      console.log('  ✓ Email sent successfully');
-    } else {
-      console.log('  ✗ Email failed');
+    const names = Object.keys(result);
+    for (const name of names) {
+      if (result[name] === 'success') {
+        console.log(`  ✓ ${name} sent successfully`);
+      } else {
+        console.log(`  ✗ ${name} failed`);
+      }
     }
 
     // Exit with appropriate code
-    if (result.pushover === 'success' && result.email === 'success') {
+    if (names.length > 0 && names.every(name => result[name] === 'success')) {
       console.log('\n✓ All notifications sent successfully!');
       process.exit(0);
     } else {
@@ -1,5 +1,9 @@
-const { loadSettings, loadTimetable, getTodayLessons } = require('../src/timetable');
-const { parseTime, addMinutes, getCurrentTime } = require('../src/scheduler');
+const { loadSettings, loadTimetable, getLessonsForDate } = require('../src/timetable');
+const { getLessonRules, getNotifyTime, isDoubleContinuation } = require('../src/scheduler');
+const { getZonedNow } = require('../src/clock');
+const { resolveActiveTimetable } = require('../src/terms');
+const { loadExceptions, getClosure } = require('../src/exceptions');
+const { getRotaWeek, formatWeekKey } = require('../src/rota');
 
 function formatTime(time) {
   return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
@@ -11,44 +15,79 @@ function padRight(str, len) {
 
 function main() {
   // Load settings and timetable
-  let settings, timetable;
+  let settings, timetable, active, exceptions, currentTime, todayDate;
   try {
     settings = loadSettings();
-    timetable = loadTimetable(settings.activeTimetable);
+    currentTime = getZonedNow(settings.timezone);
+    todayDate = currentTime.date;
+    active = resolveActiveTimetable(settings, todayDate);
+    for (const error of active.errors) {
+      console.warn(`Warning: ${error}`);
+    }
+    if (!active.name) {
+      console.log('\nNo term in progress today (holiday)\n');
+      return;
+    }
+    timetable = loadTimetable(active.name);
+    exceptions = loadExceptions(timetable);
   } catch (err) {
     console.error('Error loading configuration:', err.message);
     process.exit(1);
   }
 
-  // Get current time
-  const currentTime = getCurrentTime(settings.timezone);
   const currentTimeStr = formatTime(currentTime);
 
-  // Get today's lessons
-  const lessons = getTodayLessons(timetable);
+  // Get today's lessons (with exceptions applied)
+  const lessons = getLessonsForDate(timetable, todayDate, exceptions);
   const dayCapitalized = currentTime.dayOfWeek.charAt(0).toUpperCase() + currentTime.dayOfWeek.slice(1);
 
-  console.log(`\nToday's Schedule (${dayCapitalized})`);
+  let weekLabel = '';
+  if (timetable.rota) {
+    const rotaWeek = getRotaWeek(timetable.rota, todayDate);
+    weekLabel = rotaWeek.skipped ? ', holiday week' : `, ${formatWeekKey(rotaWeek.week)}`;
+  }
+
+  console.log(`\nToday's Schedule (${dayCapitalized}${weekLabel})`);
   console.log('===========================\n');
+  console.log(`Timetable: ${timetable.meta?.name || active.name}${active.source === 'override' ? ' (manual override)' : ''}\n`);
+
+  const closure = getClosure(exceptions, todayDate);
+  if (closure) {
+    console.log(`No lessons today – closed${closure.reason ? ` (${closure.reason})` : ''}\n`);
+    return;
+  }
 
   if (lessons.length === 0) {
     console.log('No lessons scheduled for today\n');
     return;
   }
 
-  // Calculate notification times and sort lessons
+  // Calculate notification times (with any period or lesson rules) and sort lessons
+  // (a lesson in a period the timetable doesn't have is never reminded, and is listed last)
   const lessonsWithTimes = lessons.map(lesson => {
-    const period = timetable.periods[lesson.period];
-    const startTime = parseTime(period.start);
-    const notifyTime = addMinutes(startTime, settings.notificationOffset);
+    const rules = getLessonRules(lesson, timetable.periods, settings.notificationOffset);
+    const double = isDoubleContinuation(lesson, lessons, timetable.periods);
+    const notifyTime = getNotifyTime(lesson, timetable.periods, settings.notificationOffset);
+    let notifyTimeStr;
+    if (!notifyTime) {
+      notifyTimeStr = 'unknown period';
+    } else if (rules.silent) {
+      notifyTimeStr = 'silent';
+    } else if (double) {
+      notifyTimeStr = 'none (double)';
+    } else {
+      notifyTimeStr = formatTime(notifyTime);
+    }
     return {
       ...lesson,
+      reminded: notifyTime !== null && !rules.silent && !double,
       notifyTime,
-      notifyTimeStr: formatTime(notifyTime)
+      notifyTimeStr,
+      note: notifyTime && !rules.silent ? rules.message : null
     };
   }).sort((a, b) => {
-    const aMinutes = a.notifyTime.hours * 60 + a.notifyTime.minutes;
-    const bMinutes = b.notifyTime.hours * 60 + b.notifyTime.minutes;
+    const aMinutes = a.notifyTime ? a.notifyTime.hours * 60 + a.notifyTime.minutes : Infinity;
+    const bMinutes = b.notifyTime ? b.notifyTime.hours * 60 + b.notifyTime.minutes : Infinity;
     return aMinutes - bMinutes;
   });
 
@@ -57,13 +96,15 @@ function main() {
     padRight('Period', 14) +
     padRight('Class', 11) +
     padRight('Subject', 25) +
-    'Notification Time'
+    padRight('Notification Time', 19) +
+    'Message'
   );
   console.log(
     padRight('-----------', 14) +
     padRight('--------', 11) +
     padRight('----------------------', 25) +
-    '-----------------'
+    padRight('-----------------', 19) +
+    '-------'
   );
 
   // Print each lesson
@@ -72,13 +113,14 @@ function main() {
       padRight(lesson.period, 14) +
       padRight(lesson.class, 11) +
       padRight(lesson.subject, 25) +
-      lesson.notifyTimeStr
+      (padRight(lesson.notifyTimeStr, 19) + (lesson.note || '')).trimEnd()
     );
   }
 
   // Find next notification
   const currentMinutes = currentTime.hours * 60 + currentTime.minutes;
   const nextLesson = lessonsWithTimes.find(lesson => {
+    if (!lesson.reminded) return false;
     const notifyMinutes = lesson.notifyTime.hours * 60 + lesson.notifyTime.minutes;
     return notifyMinutes > currentMinutes;
   });
@@ -87,6 +129,9 @@ function main() {
 
   if (nextLesson) {
     console.log(`Next notification: ${nextLesson.notifyTimeStr} (${nextLesson.class})`);
+    if (nextLesson.note) {
+      console.log(`Message: ${nextLesson.note}`);
+    }
   } else {
     console.log('Next notification: None remaining today');
   }
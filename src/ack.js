@@ -0,0 +1,266 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { markAcknowledged } = require('./dedup');
+const { addDays } = require('./scheduler');
+const clock = require('./clock');
+const { escapeHtml } = require('./html');
+const { DEFAULT_USER, getCurrentProfile, loadProfile, withProfile } = require('./users');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '0.0.0.0';
+const MAX_BODY_BYTES = 4096;
+
+/**
+ * Get the secret used to sign acknowledgement links
+ * @returns {string|null} ACK_SECRET from .env, or null if unset
+ */
+function getAckSecret() {
+  return process.env.ACK_SECRET || null;
+}
+
+/**
+ * Sign a string with HMAC-SHA256
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+function sign(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Create a signed, single-use acknowledgement token for a lesson
+ * Tokens expire at the end of the lesson's day, and name the teacher they're for
+ * (unless it's the default profile)
+ * @param {object} lesson - Lesson object with class and period
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} settings - Settings object (for the timezone)
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+function createAckToken(lesson, date, settings, secret) {
+  const expires = clock.zonedTimeToDate(addDays(date, 1), { hours: 0, minutes: 0 }, settings.timezone).getTime();
+  const payload = Buffer.from(JSON.stringify({
+    c: lesson.class,
+    p: lesson.period,
+    d: date,
+    e: expires,
+    n: crypto.randomBytes(9).toString('base64url'),
+    ...(getCurrentProfile().id !== DEFAULT_USER ? { u: getCurrentProfile().id } : {})
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - Token from an acknowledgement link
+ * @param {string} secret - Signing secret
+ * @returns {object} { lesson: { class, period }, date, tokenId, user }
+ * @throws {Error} If the token is malformed, forged or expired
+ */
+function verifyAckToken(token, secret) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new Error('Malformed acknowledgement link');
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid acknowledgement link');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed acknowledgement link');
+  }
+
+  if (clock.now().getTime() >= data.e) {
+    throw new Error('This acknowledgement link has expired');
+  }
+
+  return { lesson: { class: data.c, period: data.p }, date: data.d, tokenId: data.n, user: data.u || DEFAULT_USER };
+}
+
+/**
+ * Build an acknowledgement link for a lesson
+ * @param {object} lesson - Lesson object with class and period
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} settings - Settings object with ack config
+ * @returns {string|null} URL, or null if acknowledgement links are disabled
+ */
+function createAckLink(lesson, date, settings) {
+  const ack = settings.ack || {};
+  if (!ack.enabled) {
+    return null;
+  }
+
+  const secret = getAckSecret();
+  if (!secret || !ack.baseUrl) {
+    logger.warn('Acknowledgement links disabled: ACK_SECRET (.env) and ack.baseUrl (settings.json) must be set');
+    return null;
+  }
+
+  const token = createAckToken(lesson, date, settings, secret);
+  return `${ack.baseUrl.replace(/\/+$/, '')}/ack?t=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Send a small HTML page
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} heading - Page heading
+ * @param {string} [content] - Extra HTML (already escaped)
+ */
+function sendPage(res, status, heading, content = '') {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer'
+  });
+  res.end(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Registration</title>
+<style>body{font-family:system-ui,sans-serif;max-width:28em;margin:3em auto;padding:0 1em;text-align:center}
+button{font-size:1.2em;padding:.6em 1.4em}</style></head>
+<body><h1>${escapeHtml(heading)}</h1>${content}</body></html>`);
+}
+
+/**
+ * Read a (small) request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handle a request to the acknowledgement server
+ *
+ * GET /ack?t=... shows a confirmation page; the POST from its button records the
+ * acknowledgement. Link scanners in email clients only follow GETs, so they can't
+ * acknowledge by accident.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {object} settings - Settings object
+ */
+async function handleAckRequest(req, res, settings) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/health') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+    return;
+  }
+
+  if (url.pathname !== '/ack' || !['GET', 'POST'].includes(req.method)) {
+    sendPage(res, 404, 'Not found');
+    return;
+  }
+
+  const secret = getAckSecret();
+  if (!secret) {
+    sendPage(res, 503, 'Acknowledgements are not configured');
+    return;
+  }
+
+  let token = url.searchParams.get('t');
+  if (req.method === 'POST') {
+    try {
+      token = new URLSearchParams(await readBody(req)).get('t');
+    } catch (err) {
+      sendPage(res, 400, 'Bad request');
+      return;
+    }
+  }
+
+  let ack;
+  try {
+    ack = verifyAckToken(token, secret);
+  } catch (err) {
+    sendPage(res, 400, err.message);
+    return;
+  }
+
+  const label = `${ack.lesson.class} (${ack.lesson.period})`;
+
+  if (req.method === 'GET') {
+    sendPage(res, 200, `Registration for ${label}`, `
+<p>${escapeHtml(ack.date)}</p>
+<form method="post" action="/ack">
+<input type="hidden" name="t" value="${escapeHtml(token)}">
+<button type="submit">✓ Registration done</button>
+</form>`);
+    return;
+  }
+
+  let profile;
+  try {
+    profile = loadProfile(ack.user);
+  } catch (err) {
+    sendPage(res, 400, 'This acknowledgement link is for a teacher who is no longer set up');
+    return;
+  }
+
+  const outcome = withProfile(profile, () =>
+    markAcknowledged(ack.lesson, ack.date, { via: 'link', tokenId: ack.tokenId })
+  );
+  if (outcome === 'token-used') {
+    sendPage(res, 410, 'This link has already been used');
+    return;
+  }
+
+  sendPage(res, 200, `✓ Registration recorded for ${label}`);
+}
+
+/**
+ * Start the acknowledgement HTTP server
+ * @param {Function} getSettings - () => current settings object (re-read per request)
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startAckServer(getSettings) {
+  const settings = getSettings();
+  const port = settings.ack?.port ?? DEFAULT_PORT;
+  const host = settings.ack?.host ?? DEFAULT_HOST;
+
+  const server = http.createServer((req, res) => {
+    handleAckRequest(req, res, getSettings()).catch(err => {
+      logger.error('Acknowledgement request failed', { error: err.message });
+      if (!res.headersSent) {
+        sendPage(res, 500, 'Something went wrong');
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      logger.info('Acknowledgement server listening', { host, port });
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createAckToken,
+  verifyAckToken,
+  createAckLink,
+  handleAckRequest,
+  startAckServer
+};
@@ -0,0 +1,309 @@
+const http = require('http');
+const logger = require('./logger');
+const { loadTimetable, getWeekSchedule } = require('./timetable');
+const { loadExceptions, getClosure, matchesLesson } = require('./exceptions');
+const { getRotaWeek } = require('./rota');
+const { parseTime, addMinutes, addDays, getLessonRules, isDoubleContinuation } = require('./scheduler');
+const clock = require('./clock');
+const { escapeText, formatLocalDateTime, formatUtcDateTime, formatCalendar } = require('./ics');
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_HOST = '0.0.0.0';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Format minutes as an iCalendar duration
+ * @param {number} minutes - Minutes (may be negative)
+ * @returns {string} e.g. PT10M or -PT5M
+ */
+function formatDuration(minutes) {
+  return `${minutes < 0 ? '-' : ''}PT${Math.abs(minutes)}M`;
+}
+
+/**
+ * Build the content lines for one lesson VEVENT
+ * @param {object} options - { uid, lesson, period, date, timezone, rules, stamp, extra }
+ *   (rules: { offset, silent, message, double } for the lesson; extra: further content
+ *   lines such as RRULE, EXDATE or RECURRENCE-ID)
+ * @returns {Array<string>} Content lines
+ */
+function lessonEvent({ uid, lesson, period, date, timezone, rules, stamp, extra = [] }) {
+  const start = parseTime(period.start);
+  const registration = addMinutes(start, rules.offset);
+  const registrationTime = `${String(registration.hours).padStart(2, '0')}:${String(registration.minutes).padStart(2, '0')}`;
+  const summary = lesson.subject ? `${lesson.class} ${lesson.subject}` : lesson.class;
+
+  // Silent lessons and the second halves of doubles aren't reminded, so have no alarm
+  let description = `${lesson.period}. Take the register at ${registrationTime}.`;
+  if (rules.silent) {
+    description = `${lesson.period}. No register reminder.`;
+  } else if (rules.double) {
+    description = `${lesson.period}. Second half of a double.`;
+  } else if (rules.message) {
+    description += ` ${rules.message}`;
+  }
+  const alarm = rules.silent || rules.double ? [] : [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(`Take the register: ${lesson.class}`)}`,
+    `TRIGGER;RELATED=START:${formatDuration(rules.offset)}`,
+    'END:VALARM'
+  ];
+
+  return [
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${timezone}:${formatLocalDateTime(date, start)}`,
+    `DTEND;TZID=${timezone}:${formatLocalDateTime(date, parseTime(period.end))}`,
+    ...extra,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(lesson.room ? [`LOCATION:${escapeText(lesson.room)}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    ...alarm
+  ];
+}
+
+/**
+ * Make a string safe for use inside a UID
+ * @param {string} value - Text
+ * @returns {string} Lowercase, with anything but letters, digits and dashes replaced
+ */
+function uidPart(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Turn a timetable into calendar events
+ *
+ * Each regular lesson becomes one recurring event (weekly, or every N weeks for a rota).
+ * Dates the rule produces but the lesson doesn't happen on (closures, cancellations,
+ * rota skip weeks) become EXDATEs, and dates it misses become RDATEs. Changed lessons
+ * are overridden with RECURRENCE-ID; additions are one-off events. UIDs stay the same
+ * between exports, so subscribed calendars update in place.
+ * @param {string} name - Timetable name
+ * @param {object} timetable - Timetable object
+ * @param {object} exceptions - Exceptions object (from loadExceptions)
+ * @param {object} settings - Settings object (timezone, notificationOffset)
+ * @param {Date} [now] - Used for DTSTAMP
+ * @returns {object} { events: [Array<string>], warnings: [...] }
+ */
+function buildTimetableEvents(name, timetable, exceptions, settings, now = clock.now()) {
+  const { startDate, endDate } = timetable.meta;
+  const { timezone } = settings;
+  const stamp = formatUtcDateTime(now);
+  const interval = timetable.rota ? timetable.rota.length : 1;
+  const warnings = [];
+  const events = [];
+
+  const slots = new Map();
+  const overrides = [];
+
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (getClosure(exceptions, date)) continue;
+
+    const schedule = getWeekSchedule(timetable, date);
+    const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const lessons = schedule && Array.isArray(schedule[day]) ? schedule[day] : [];
+    const weekKey = timetable.rota ? getRotaWeek(timetable.rota, date).week : 'weekly';
+
+    for (const lesson of lessons) {
+      const key = `${weekKey}|${day}|${lesson.period}|${lesson.class}`;
+      if (!slots.has(key)) {
+        slots.set(key, { lesson, weekKey, day, dates: [], double: isDoubleContinuation(lesson, lessons, timetable.periods) });
+      }
+
+      const todays = entry => entry.date === date && matchesLesson(entry, lesson);
+      if (exceptions.cancellations.some(todays)) continue;
+
+      slots.get(key).dates.push(date);
+      const change = exceptions.changes.find(todays);
+      if (change) {
+        const { date: _date, reason: _reason, ...fields } = change;
+        overrides.push({ key, date, lesson: { ...lesson, ...fields } });
+      }
+    }
+  }
+
+  const rulesFor = (lesson, double = false) => ({
+    ...getLessonRules(lesson, timetable.periods, settings.notificationOffset),
+    double
+  });
+  const uidFor = key => `${uidPart(name)}-${key.split('|').map(uidPart).join('-')}@active-registration`;
+  const periodFor = lesson => {
+    const period = timetable.periods[lesson.period];
+    if (!period) {
+      warnings.push(`Skipped ${lesson.class}: unknown period "${lesson.period}"`);
+    }
+    return period;
+  };
+
+  for (const [key, slot] of slots) {
+    if (slot.dates.length === 0) continue;
+
+    // A lesson that only happens once is a plain event, with any change applied directly
+    const single = slot.dates.length === 1 ? overrides.find(override => override.key === key) : null;
+    const lesson = single ? single.lesson : slot.lesson;
+    const period = periodFor(lesson);
+    if (!period) continue;
+
+    const first = slot.dates[0];
+    const last = slot.dates[slot.dates.length - 1];
+    const extra = [];
+
+    if (slot.dates.length > 1) {
+      const until = clock.zonedTimeToDate(last, parseTime(period.start), timezone);
+      extra.push(`RRULE:FREQ=WEEKLY${interval > 1 ? `;INTERVAL=${interval}` : ''};UNTIL=${formatUtcDateTime(until)}`);
+
+      const ruleDates = [];
+      for (let date = first; date <= last; date = addDays(date, interval * 7)) {
+        ruleDates.push(date);
+      }
+      const actual = new Set(slot.dates);
+      const generated = new Set(ruleDates);
+      const toStamp = date => formatLocalDateTime(date, parseTime(period.start));
+
+      const exdates = ruleDates.filter(date => !actual.has(date)).map(toStamp);
+      const rdates = slot.dates.filter(date => !generated.has(date)).map(toStamp);
+      if (exdates.length > 0) extra.push(`EXDATE;TZID=${timezone}:${exdates.join(',')}`);
+      if (rdates.length > 0) extra.push(`RDATE;TZID=${timezone}:${rdates.join(',')}`);
+    }
+
+    events.push(lessonEvent({
+      uid: uidFor(key),
+      lesson,
+      period,
+      date: first,
+      timezone,
+      rules: rulesFor(lesson, slot.double),
+      stamp,
+      extra
+    }));
+  }
+
+  for (const override of overrides) {
+    const slot = slots.get(override.key);
+    const basePeriod = timetable.periods[slot.lesson.period];
+    const period = periodFor(override.lesson);
+    if (slot.dates.length === 1 || !basePeriod || !period) continue;
+
+    const recurrenceId = formatLocalDateTime(override.date, parseTime(basePeriod.start));
+    events.push(lessonEvent({
+      uid: uidFor(override.key),
+      lesson: override.lesson,
+      period,
+      date: override.date,
+      timezone,
+      rules: rulesFor(override.lesson, slot.double),
+      stamp,
+      extra: [`RECURRENCE-ID;TZID=${timezone}:${recurrenceId}`]
+    }));
+  }
+
+  for (const addition of exceptions.additions) {
+    if (addition.date < startDate || addition.date > endDate || getClosure(exceptions, addition.date)) continue;
+    const { date, reason: _reason, ...lesson } = addition;
+    const period = periodFor(lesson);
+    if (!period) continue;
+
+    events.push(lessonEvent({
+      uid: uidFor(`extra|${date}|${lesson.period}|${lesson.class}`),
+      lesson,
+      period,
+      date,
+      timezone,
+      rules: rulesFor(lesson),
+      stamp
+    }));
+  }
+
+  return { events, warnings };
+}
+
+/**
+ * Build an .ics feed for one or more timetables
+ * @param {Array<string>} names - Timetable names
+ * @param {object} settings - Settings object
+ * @returns {object} { ics: string, warnings: [...] }
+ * @throws {Error} If a timetable can't be loaded
+ */
+function buildCalendarFeed(names, settings) {
+  const events = [];
+  const warnings = [];
+  const titles = [];
+  let from = null;
+  let to = null;
+
+  for (const name of names) {
+    const timetable = loadTimetable(name);
+    const built = buildTimetableEvents(name, timetable, loadExceptions(timetable), settings);
+    events.push(...built.events);
+    warnings.push(...built.warnings.map(warning => `${name}: ${warning}`));
+    titles.push(timetable.meta.name || name);
+
+    if (!from || timetable.meta.startDate < from) from = timetable.meta.startDate;
+    if (!to || timetable.meta.endDate > to) to = timetable.meta.endDate;
+  }
+
+  const ics = formatCalendar({
+    name: names.length === 1 ? `Registration – ${titles[0]}` : 'Registration',
+    timezone: settings.timezone,
+    from,
+    to,
+    events
+  });
+  return { ics, warnings };
+}
+
+/**
+ * Serve a calendar feed over HTTP at /calendar.ics
+ * The feed is rebuilt on every request, so timetable edits show up at the next refresh
+ * @param {Function} getFeed - () => .ics text
+ * @param {object} [options] - { host, port }
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startCalendarServer(getFeed, options = {}) {
+  const port = options.port ?? DEFAULT_PORT;
+  const host = options.host ?? DEFAULT_HOST;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/calendar.ics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    let ics;
+    try {
+      ics = getFeed();
+    } catch (err) {
+      logger.error('Failed to build calendar feed', { error: err.message });
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Failed to build calendar');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="registration.ics"',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(ics);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      logger.info('Calendar feed listening', { host, port, path: '/calendar.ics' });
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  buildTimetableEvents,
+  buildCalendarFeed,
+  startCalendarServer
+};
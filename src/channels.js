@@ -0,0 +1,144 @@
+// Notification channel registry
+//
+// A channel is an object with:
+//   name            - Unique name, used in settings.channels (e.g. "pushover")
+//   description     - Short human-readable description
+//   envVars         - Names of environment variables the channel needs, or a
+//                     function (settings) => names when it depends on the config
+//   validateConfig  - (settings) => Array<string> of configuration problems
+//   send            - async (notification, settings) => void, throws on failure
+//
+// The notification passed to send() is:
+//   { title, message, subject, body, html, lesson, attempt, ackUrl, note, values }
+// Push-style channels use title/message, email-style channels use subject/body (and html,
+// which is null unless settings.templates has one). values holds the template placeholders.
+// For messages that aren't about one lesson (the morning digest and evening summary),
+// lesson, attempt, ackUrl and note are null.
+
+// Used when settings.json has no "channels" array
+const DEFAULT_CHANNELS = [
+  { name: 'pushover', enabled: true, priority: 1 },
+  { name: 'email', enabled: true, priority: 2 }
+];
+
+const registry = new Map();
+
+/**
+ * Register a notification channel
+ * @param {object} channel - Channel implementation (see above)
+ * @throws {Error} If the channel is missing required members
+ */
+function registerChannel(channel) {
+  if (!channel || typeof channel.name !== 'string' || !channel.name) {
+    throw new Error('Channel must have a name');
+  }
+  if (typeof channel.send !== 'function') {
+    throw new Error(`Channel "${channel.name}" must have a send() function`);
+  }
+
+  registry.set(channel.name, {
+    description: '',
+    envVars: [],
+    validateConfig: () => [],
+    ...channel
+  });
+}
+
+/**
+ * Look up a registered channel by name
+ * @param {string} name - Channel name
+ * @returns {object|null} Channel, or null if not registered
+ */
+function getChannel(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * List all registered channels
+ * @returns {Array<object>} Registered channels
+ */
+function listChannels() {
+  return [...registry.values()];
+}
+
+/**
+ * Get the enabled channel entries from settings, in priority order
+ * Lower priority numbers come first; entries without a priority keep their order at the end
+ * @param {object} settings - Settings object
+ * @returns {Array<object>} [{ name, enabled, priority, channel }] (channel is null if unknown)
+ */
+function getEnabledChannels(settings) {
+  const entries = Array.isArray(settings.channels) ? settings.channels : DEFAULT_CHANNELS;
+
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => entry && entry.enabled !== false)
+    .sort((a, b) =>
+      (a.entry.priority ?? Infinity) - (b.entry.priority ?? Infinity) || a.index - b.index
+    )
+    .map(({ entry }) => ({ ...entry, channel: getChannel(entry.name) }));
+}
+
+/**
+ * Get the environment variables a channel needs with the current settings
+ * @param {object} channel - Channel implementation
+ * @param {object} settings - Settings object
+ * @returns {Array<string>} Environment variable names
+ */
+function getChannelEnvVars(channel, settings) {
+  return typeof channel.envVars === 'function' ? channel.envVars(settings) : channel.envVars;
+}
+
+/**
+ * Get the environment variable a credential is read from
+ * settings.env can point a credential at a different variable, so that each teacher's
+ * profile can use their own key: { "PUSHOVER_USER_KEY": "JSMITH_PUSHOVER_USER_KEY" }
+ * @param {object} settings - Settings object
+ * @param {string} name - Credential name, e.g. 'PUSHOVER_USER_KEY'
+ * @returns {string} Environment variable name
+ */
+function getEnvName(settings, name) {
+  return settings?.env?.[name] || name;
+}
+
+/**
+ * Read a credential from the environment (see getEnvName)
+ * @param {object} settings - Settings object
+ * @param {string} name - Credential name, e.g. 'PUSHOVER_USER_KEY'
+ * @returns {string|undefined} Value
+ */
+function getEnv(settings, name) {
+  return process.env[getEnvName(settings, name)];
+}
+
+/**
+ * Check that a channel is ready to send: required env vars are set and config is valid
+ * @param {object} channel - Channel implementation
+ * @param {object} settings - Settings object
+ * @returns {Array<string>} Problems (empty if ready)
+ */
+function checkChannel(channel, settings) {
+  const errors = [];
+
+  const missing = getChannelEnvVars(channel, settings)
+    .filter(name => !getEnv(settings, name))
+    .map(name => getEnvName(settings, name));
+  if (missing.length > 0) {
+    errors.push(`Missing ${channel.name} credentials: ${missing.join(' and ')} must be set in .env`);
+  }
+
+  errors.push(...channel.validateConfig(settings));
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  registerChannel,
+  getChannel,
+  listChannels,
+  getEnabledChannels,
+  getChannelEnvVars,
+  getEnvName,
+  getEnv,
+  checkChannel
+};
@@ -0,0 +1,323 @@
+const logger = require('./logger');
+const { loadSettings, loadSharedSettings, loadTimetable, validateTimetable, getLessonsForDate } = require('./timetable');
+const {
+  getLessonsToNotify,
+  getRemindedLessons,
+  getLessonRules,
+  getNextLesson,
+  shouldFollowUpNow,
+  parseTime
+} = require('./scheduler');
+const { getZonedNow, zonedTimeToDate } = require('./clock');
+const { sendNotifications } = require('./notifications');
+const {
+  getNotificationState,
+  hasBeenNotified,
+  isAcknowledged,
+  recordLessons,
+  markNotified
+} = require('./dedup');
+const { resolveActiveTimetable } = require('./terms');
+const { createAckLink } = require('./ack');
+const { startDeadline, clearDeadline, hasDeadline } = require('./retry');
+const { queueFailures, drainOutbox } = require('./outbox');
+const { sendDailyMessages } = require('./digest');
+const { validateSettings, validateProfile, reportValidation } = require('./validation');
+const { DEFAULT_USER, loadProfile, loadUserProfiles, getCurrentProfile, withProfile } = require('./users');
+const {
+  loadSharedExceptions,
+  emptyExceptions,
+  mergeExceptions,
+  validateExceptions,
+  getClosure
+} = require('./exceptions');
+
+/**
+ * Work out the timetable and lessons for a date
+ * Logs (but tolerates) term date problems and validation warnings, unless validation is strict
+ * @param {object} settings - Settings object
+ * @param {string} date - Date string (YYYY-MM-DD) in the configured timezone
+ * @returns {object} { timetable, lessons, closure } (timetable is null between terms)
+ * @throws {Error} If the active timetable can't be loaded, or is invalid in strict mode
+ */
+function loadDay(settings, date) {
+  // Work out which term we're in (or use the manual override)
+  const active = resolveActiveTimetable(settings, date);
+  if (active.errors.length > 0) {
+    logger.error('Problems with timetable term dates', { errors: active.errors });
+  }
+  if (!active.name) {
+    // Usually the holidays; `validate` warns about the gaps in case one is a mistyped date
+    if (active.warnings.length > 0) {
+      logger.info('No timetable covers this date, nothing to send', { date, gaps: active.warnings });
+    }
+    return { timetable: null, lessons: [], closure: null };
+  }
+  if (active.source === 'override') {
+    logger.info('Using manual timetable override', { timetable: active.name });
+  }
+
+  // Load active timetable
+  let timetable;
+  try {
+    timetable = loadTimetable(active.name);
+  } catch (err) {
+    throw new Error(`Failed to load timetable "${active.name}": ${err.message}`);
+  }
+
+  // Validate timetable (including its own exceptions)
+  reportValidation('Timetable', validateTimetable(timetable), settings);
+
+  // Load exceptions (half-terms, exeats, cancelled lessons, room swaps)
+  let shared;
+  try {
+    shared = loadSharedExceptions();
+  } catch (err) {
+    logger.error('Failed to load shared exceptions, using timetable exceptions only', { error: err.message });
+    shared = emptyExceptions();
+  }
+  reportValidation('Exceptions', validateExceptions(shared, timetable.periods), settings);
+
+  const exceptions = mergeExceptions(mergeExceptions(emptyExceptions(), shared), timetable.exceptions);
+
+  // Whole-day closures (half-term, exeat, bank holiday)
+  const closure = getClosure(exceptions, date);
+
+  // Today's lessons, with cancellations, changes and additions applied
+  const lessons = getLessonsForDate(timetable, date, exceptions);
+
+  return { timetable, lessons, closure };
+}
+
+/**
+ * Load and validate settings.json (with the current teacher's profile applied)
+ * Problems are logged, or thrown in strict mode (--strict or settings.strictValidation)
+ * @returns {object} Settings object
+ * @throws {Error} If settings can't be loaded, or are invalid in strict mode
+ */
+function loadValidatedSettings() {
+  let settings;
+  try {
+    settings = loadSettings();
+  } catch (err) {
+    throw new Error(`Failed to load settings: ${err.message}`);
+  }
+
+  const profile = getCurrentProfile();
+  if (profile.id === DEFAULT_USER) {
+    reportValidation('Settings', validateSettings(settings), settings);
+  } else {
+    reportValidation(`User ${profile.id}`, validateProfile(profile, loadSharedSettings()), settings);
+  }
+  return settings;
+}
+
+/**
+ * Send any reminders that are due right now
+ * @param {object} settings - Settings object
+ * @returns {Promise<void>}
+ * @throws {Error} If the active timetable can't be loaded (or is invalid in strict mode)
+ */
+async function checkLessons(settings) {
+  // Today's date and the time, both from the same instant in the configured timezone
+  // (the date is used for term selection and deduplication)
+  const currentTime = getZonedNow(settings.timezone);
+  const todayDate = currentTime.date;
+
+  const { timetable, lessons, closure } = loadDay(settings, todayDate);
+  if (!timetable) {
+    logger.info('No term in progress today', { date: todayDate });
+    logger.info('Complete');
+    return;
+  }
+
+  logger.info('Current time', {
+    time: `${String(currentTime.hours).padStart(2, '0')}:${String(currentTime.minutes).padStart(2, '0')}`,
+    day: currentTime.dayOfWeek
+  });
+
+  if (closure) {
+    logger.info('No lessons today (closure)', { date: todayDate, reason: closure.reason });
+    logger.info('Complete');
+    return;
+  }
+
+  if (lessons.length === 0) {
+    logger.info('No lessons today');
+    logger.info('Complete');
+    return;
+  }
+
+  // Keep a record of which lessons took place (for reports), except those never reminded
+  // (silent lessons and the second halves of doubles)
+  const reminded = getRemindedLessons(lessons, timetable.periods);
+  recordLessons(reminded, todayDate);
+
+  // Morning digest and evening summary, if they're enabled and due (see digest.js)
+  await sendDailyMessages(settings, { date: todayDate, periods: timetable.periods, lessons, currentTime });
+
+  // Get lessons within the notification time window
+  const lessonsInWindow = getLessonsToNotify(
+    lessons,
+    timetable.periods,
+    settings.notificationOffset,
+    currentTime
+  );
+  logger.debug('Lessons in the reminder window', {
+    lessons: lessonsInWindow.map(lesson => ({ class: lesson.class, period: lesson.period })),
+    of: lessons.length
+  });
+
+  // First reminders (with deduplication)
+  const due = [];
+  for (const lesson of lessonsInWindow) {
+    // Check if already notified (or acknowledged) today
+    if (hasBeenNotified(lesson, todayDate) || isAcknowledged(lesson, todayDate)) {
+      logger.info('Skipping duplicate notification', {
+        class: lesson.class,
+        period: lesson.period,
+        date: todayDate
+      });
+      continue;
+    }
+    due.push({ lesson, attempt: 1 });
+  }
+
+  // Follow-up reminders for lessons that haven't been acknowledged yet
+  if (settings.escalation?.enabled) {
+    for (const lesson of reminded) {
+      const state = getNotificationState(lesson, todayDate);
+      if (shouldFollowUpNow(lesson, timetable.periods, state, settings.escalation, currentTime, currentTime.instant)) {
+        due.push({ lesson, attempt: state.attempts + 1 });
+      }
+    }
+  }
+
+  if (due.length === 0) {
+    logger.info('No notifications at this time');
+    logger.info('Complete');
+    return;
+  }
+
+  // Send notifications for each due lesson
+  for (const { lesson, attempt } of due) {
+    logger.info('Match found', { class: lesson.class, subject: lesson.subject, attempt });
+
+    try {
+      const ackUrl = createAckLink(lesson, todayDate, settings);
+      const period = timetable.periods[lesson.period];
+      const options = {
+        attempt,
+        ackUrl,
+        note: getLessonRules(lesson, timetable.periods, settings.notificationOffset).message,
+        date: todayDate,
+        start: period.start,
+        end: period.end,
+        next: getNextLesson(lesson, lessons, timetable.periods)
+      };
+      const result = await sendNotifications(lesson, settings, options);
+      logger.info('Notification result', result);
+
+      // Record the attempt to prevent duplicates and count follow-ups
+      markNotified(lesson, todayDate, result);
+
+      // Channels that failed are retried on later runs until the period ends
+      queueFailures(lesson, todayDate, result, {
+        ...options,
+        expiresAt: zonedTimeToDate(todayDate, parseTime(period.end), settings.timezone)
+      });
+    } catch (err) {
+      logger.error('Failed to send notifications', { error: err.message });
+      // Don't mark as notified if sending failed, so retry is possible
+    }
+  }
+
+  logger.info('Complete');
+}
+
+/**
+ * Check the timetable and send any notifications that are due right now, after
+ * retrying any that failed on earlier runs (see outbox.js)
+ * Settings and timetables are re-read on every call
+ * @param {object} [options] - { settings }: use these settings instead of reading settings.json
+ * @returns {Promise<void>}
+ * @throws {Error} If settings or the active timetable can't be loaded (or are invalid in strict mode)
+ */
+async function runCheck(options = {}) {
+  logger.info('Checking for notifications...');
+
+  // Load configuration
+  const settings = options.settings || loadValidatedSettings();
+
+  // All sends in this run, including retries, must finish by the run deadline
+  // (settings.retry.deadlineMs) so this run finishes before the next one starts
+  const ownDeadline = !hasDeadline();
+  if (ownDeadline) {
+    startDeadline(settings);
+  }
+  try {
+    try {
+      await drainOutbox(settings);
+    } catch (err) {
+      logger.error('Failed to retry queued notifications', { error: err.message });
+    }
+    await checkLessons(settings);
+  } finally {
+    if (ownDeadline) {
+      clearDeadline();
+    }
+  }
+}
+
+/**
+ * Run the notification check for settings.json and every enabled teacher's profile
+ * (see users.js). A problem with one teacher doesn't stop the others being checked.
+ * @returns {Promise<void>}
+ * @throws {Error} If any check failed (after all have run)
+ */
+async function runAllChecks() {
+  const { profiles, errors } = loadUserProfiles();
+  for (const error of errors) {
+    logger.error('Failed to load user profile', { error });
+  }
+
+  const users = profiles.filter(profile => profile.enabled);
+  if (users.length === 0) {
+    await runCheck();
+    return;
+  }
+
+  // One deadline for everyone, so the whole run still ends before the next one starts
+  let shared;
+  try {
+    shared = loadSharedSettings();
+  } catch (err) {
+    shared = null;
+  }
+  startDeadline(shared);
+
+  const failed = [];
+  try {
+    for (const profile of [loadProfile(DEFAULT_USER), ...users]) {
+      try {
+        await withProfile(profile, () => runCheck());
+      } catch (err) {
+        logger.error('Notification check failed', { user: profile.id, error: err.message });
+        failed.push(profile.id);
+      }
+    }
+  } finally {
+    clearDeadline();
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Notification check failed for ${failed.join(', ')}`);
+  }
+}
+
+module.exports = {
+  loadDay,
+  loadValidatedSettings,
+  runCheck,
+  runAllChecks
+};
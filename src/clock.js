@@ -0,0 +1,136 @@
+// The one place "now" comes from, as an instant and as a wall-clock time in a timezone
+//
+// Everything that needs the current date or time (the scheduler, timetable lookup,
+// history records and log timestamps) asks this module rather than calling new Date(),
+// so the date, weekday and time always come from the same instant and the same zone.
+// Tests and the simulator swap in a fake clock with setClock().
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const systemClock = () => new Date();
+
+let clock = systemClock;
+
+/**
+ * Get the current instant
+ * @returns {Date} Now, according to the current clock
+ */
+function now() {
+  return clock();
+}
+
+/**
+ * Replace the clock, e.g. with a fixed time in tests
+ * @param {Function|Date|string} source - () => Date, or a fixed instant (Date or ISO string)
+ */
+function setClock(source) {
+  if (typeof source === 'function') {
+    clock = () => new Date(source().getTime());
+  } else {
+    const fixed = new Date(source).getTime();
+    if (Number.isNaN(fixed)) {
+      throw new Error(`Invalid clock time: ${source}`);
+    }
+    clock = () => new Date(fixed);
+  }
+}
+
+/**
+ * Go back to the system clock
+ */
+function resetClock() {
+  clock = systemClock;
+}
+
+/**
+ * Get a timezone's offset from UTC at a given instant
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - Timezone string (e.g., "Europe/London")
+ * @returns {number} Offset in minutes (e.g. 60 during BST, 0 during GMT)
+ */
+function getTimezoneOffsetMinutes(instant, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const values = {};
+  for (const part of formatter.formatToParts(instant)) {
+    values[part.type] = parseInt(part.value, 10);
+  }
+
+  const wallClockAsUtc = Date.UTC(
+    values.year, values.month - 1, values.day,
+    values.hour, values.minute, values.second
+  );
+  const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / 60000);
+}
+
+/**
+ * Get the wall-clock date and time in a timezone at an instant
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - Timezone string (e.g., "Europe/London")
+ * @returns {object} { date: 'YYYY-MM-DD', hours, minutes, seconds, dayOfWeek: 'monday',
+ *   offsetMinutes, instant }
+ */
+function getZonedDateTime(instant, timezone) {
+  const offsetMinutes = getTimezoneOffsetMinutes(instant, timezone);
+
+  // Shifting by the offset gives a Date whose UTC fields are the wall-clock fields
+  const wallClock = new Date(instant.getTime() + offsetMinutes * 60000);
+  return {
+    date: wallClock.toISOString().slice(0, 10),
+    hours: wallClock.getUTCHours(),
+    minutes: wallClock.getUTCMinutes(),
+    seconds: wallClock.getUTCSeconds(),
+    dayOfWeek: DAYS[wallClock.getUTCDay()],
+    offsetMinutes,
+    instant
+  };
+}
+
+/**
+ * Get the current wall-clock date and time in a timezone
+ * @param {string} timezone - Timezone string (e.g., "Europe/London")
+ * @returns {object} See getZonedDateTime
+ */
+function getZonedNow(timezone) {
+  return getZonedDateTime(now(), timezone);
+}
+
+/**
+ * Convert a wall-clock time on a date in a timezone to an absolute instant
+ * Times that don't exist (skipped by a DST change) resolve to the equivalent
+ * instant after the change
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} time - { hours, minutes }
+ * @param {string} timezone - Timezone string
+ * @returns {Date} The matching instant
+ */
+function zonedTimeToDate(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, time.hours, time.minutes);
+
+  // Guess using the offset at that moment, then correct in case the guess
+  // landed on the other side of a DST change
+  const firstGuess = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(wallClockAsUtc), timezone) * 60000;
+  const offset = getTimezoneOffsetMinutes(new Date(firstGuess), timezone);
+  return new Date(wallClockAsUtc - offset * 60000);
+}
+
+module.exports = {
+  now,
+  setClock,
+  resetClock,
+  getTimezoneOffsetMinutes,
+  getZonedDateTime,
+  getZonedNow,
+  zonedTimeToDate
+};
@@ -0,0 +1,79 @@
+const { loadSettings } = require('../timetable');
+const { parseTime } = require('../scheduler');
+const { getZonedNow } = require('../clock');
+const { markAcknowledged } = require('../dedup');
+const { loadDay } = require('../check');
+const { isValidDateString } = require('../terms');
+
+/**
+ * Pick the lesson to acknowledge from today's lessons
+ * Prefers the most recently started lesson; falls back to the next one
+ * @param {Array} lessons - Today's lessons
+ * @param {object} periods - Periods object from timetable
+ * @param {object} currentTime - { hours, minutes }
+ * @returns {object|null} Lesson, or null if none match
+ */
+function pickLesson(lessons, periods, currentTime) {
+  const nowMinutes = currentTime.hours * 60 + currentTime.minutes;
+  const withStart = lessons
+    .filter(lesson => periods[lesson.period])
+    .map(lesson => {
+      const start = parseTime(periods[lesson.period].start);
+      return { lesson, startMinutes: start.hours * 60 + start.minutes };
+    })
+    .sort((a, b) => a.startMinutes - b.startMinutes);
+
+  const started = withStart.filter(entry => entry.startMinutes <= nowMinutes);
+  if (started.length > 0) {
+    return started[started.length - 1].lesson;
+  }
+  return withStart.length > 0 ? withStart[0].lesson : null;
+}
+
+/**
+ * `ack [class] [--period <name>] [--date YYYY-MM-DD]` - record that registration has been taken
+ * With no arguments, acknowledges the lesson that started most recently today
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no matching lesson today
+ */
+async function ackCommand({ positionals, values }) {
+  const settings = loadSettings();
+  const now = getZonedNow(settings.timezone);
+  const today = now.date;
+  const date = values.date || today;
+  const [className] = positionals;
+
+  if (!isValidDateString(date)) {
+    throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+  }
+
+  const { timetable, lessons, closure } = loadDay(settings, date);
+  if (!timetable || closure) {
+    throw new Error(`No lessons on ${date}`);
+  }
+
+  const candidates = lessons.filter(lesson =>
+    (!className || lesson.class === className) &&
+    (!values.period || lesson.period === values.period)
+  );
+
+  // On other days, "now" is the end of the day so every lesson counts as started
+  const currentTime = date === today ? now : { hours: 23, minutes: 59 };
+  const lesson = pickLesson(candidates, timetable.periods, currentTime);
+  if (!lesson) {
+    const wanted = [className, values.period].filter(Boolean).join(', ');
+    throw new Error(`No lesson on ${date} matching ${wanted || 'that description'}`);
+  }
+
+  markAcknowledged(lesson, date, { via: 'cli' });
+  console.log(`✓ Registration recorded for ${lesson.class} (${lesson.period}) on ${date}`);
+}
+
+module.exports = {
+  options: {
+    period: { type: 'string' },
+    date: { type: 'string' }
+  },
+  run: ackCommand
+};
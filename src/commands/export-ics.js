@@ -0,0 +1,102 @@
+const fs = require('fs');
+const logger = require('../logger');
+const { loadSettings, listTimetables } = require('../timetable');
+const { getTodayDateString } = require('../scheduler');
+const { resolveActiveTimetable } = require('../terms');
+const { buildCalendarFeed, startCalendarServer } = require('../calendar');
+
+/**
+ * Work out which timetables to export
+ * @param {Array<string>} names - Timetables named on the command line
+ * @param {boolean} all - Export every timetable
+ * @param {object} settings - Settings object
+ * @returns {Array<string>} Timetable names
+ * @throws {Error} If no timetable is named and no term is in progress
+ */
+function selectTimetables(names, all, settings) {
+  if (all) {
+    return listTimetables();
+  }
+  if (names.length > 0) {
+    return names;
+  }
+
+  const active = resolveActiveTimetable(settings, getTodayDateString(settings.timezone));
+  if (!active.name) {
+    throw new Error('No term in progress today; name a timetable or use --all');
+  }
+  return [active.name];
+}
+
+/**
+ * Build the feed, printing any warnings
+ * @param {Array<string>} names - Timetables named on the command line
+ * @param {boolean} all - Export every timetable
+ * @returns {string} .ics text
+ */
+function buildFeed(names, all) {
+  const settings = loadSettings();
+  const { ics, warnings } = buildCalendarFeed(selectTimetables(names, all, settings), settings);
+  for (const warning of warnings) {
+    logger.warn('Calendar export warning', { warning });
+  }
+  return ics;
+}
+
+/**
+ * `export-ics [timetable...] [--all] [--output <file>] [--serve] [--port <n>] [--host <addr>]`
+ * - export lessons and registration times as an iCalendar feed
+ * With no timetable named, exports the current term's. --serve keeps running and
+ * serves the feed at /calendar.ics until SIGTERM/SIGINT.
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If a timetable can't be loaded or the port is invalid
+ */
+async function exportIcsCommand({ positionals, values }) {
+  if (!values.serve) {
+    const ics = buildFeed(positionals, values.all);
+    if (values.output) {
+      fs.writeFileSync(values.output, ics);
+      console.log(`Calendar written to ${values.output}`);
+    } else {
+      process.stdout.write(ics);
+    }
+    return;
+  }
+
+  const port = values.port !== undefined ? Number(values.port) : loadSettings().calendar?.port;
+  if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    throw new Error(`Invalid port: ${values.port}`);
+  }
+
+  // Fail now rather than on the first request
+  buildFeed(positionals, values.all);
+
+  const server = await startCalendarServer(() => buildFeed(positionals, values.all), {
+    port,
+    host: values.host
+  });
+
+  await new Promise(resolve => {
+    const shutdown = signal => {
+      logger.info('Calendar feed stopping', { signal });
+      process.removeListener('SIGTERM', shutdown);
+      process.removeListener('SIGINT', shutdown);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+  });
+}
+
+module.exports = {
+  options: {
+    all: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    serve: { type: 'boolean' },
+    port: { type: 'string' },
+    host: { type: 'string' }
+  },
+  run: exportIcsCommand
+};
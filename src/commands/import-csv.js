@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTimetable } = require('../timetable');
+const { isValidDateString, loadTerms } = require('../terms');
+const { getRotaWeekKeys } = require('../rota');
+const { parseCsvRecords } = require('../csv');
+const { checkTermDates, saveTimetable } = require('../importer');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const LESSON_COLUMNS = ['day', 'period', 'class'];
+const PERIOD_COLUMNS = ['period', 'start', 'end'];
+
+/**
+ * Read a CSV file with a header line, checking the required columns are there
+ * @param {string} file - Path to the CSV file
+ * @param {Array<string>} required - Column names that must be present
+ * @returns {Array<object>} Records (see parseCsvRecords)
+ * @throws {Error} If the file can't be read or a column is missing
+ */
+function readCsvFile(file, required) {
+  const { columns, records } = parseCsvRecords(fs.readFileSync(file, 'utf8'));
+  const missing = required.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`${file} is missing column(s): ${missing.join(', ')} (found: ${columns.join(', ') || 'none'})`);
+  }
+  return records;
+}
+
+/**
+ * Turn a day as typed in a spreadsheet ("Mon", "monday", "Th") into a schedule key
+ * @param {string} value - Day text
+ * @returns {string|null} e.g. "monday", or null if it isn't a day
+ */
+function parseDay(value) {
+  const text = value.toLowerCase();
+  if (text.length < 2) return null;
+  const matches = DAYS.filter(day => day.startsWith(text));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Normalise a time such as 9:05 to 09:05
+ * @param {string} value - Time text
+ * @returns {string|null} HH:MM, or null if it isn't a valid time
+ */
+function parseTimeText(value) {
+  const match = /^(\d{1,2})[:.](\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Build a periods object from a periods sheet
+ * @param {Array<object>} records - Records with period, start and end
+ * @param {Array<string>} errors - Problems are added here
+ * @returns {object} Periods object in start-time order
+ */
+function periodsFromRecords(records, errors) {
+  const periods = [];
+  for (const record of records) {
+    const start = parseTimeText(record.start);
+    const end = parseTimeText(record.end);
+    if (!record.period) errors.push(`Periods line ${record.line}: missing period name`);
+    if (!start) errors.push(`Periods line ${record.line}: invalid start time "${record.start}"`);
+    if (!end) errors.push(`Periods line ${record.line}: invalid end time "${record.end}"`);
+    if (record.period && start && end) {
+      periods.push([record.period, { start, end }]);
+    }
+  }
+  periods.sort((a, b) => a[1].start.localeCompare(b[1].start));
+  return Object.fromEntries(periods);
+}
+
+/**
+ * Find the period grid to use when no periods sheet is given
+ * @param {object|null} existing - The timetable being replaced, if any
+ * @returns {object} { periods, source } or { periods: null }
+ */
+function findPeriodGrid(existing) {
+  if (existing && existing.periods) {
+    return { periods: existing.periods, source: 'the existing file' };
+  }
+  const latest = loadTerms().terms.pop();
+  if (latest) {
+    return { periods: loadTimetable(latest.name).periods, source: latest.name };
+  }
+  return { periods: null };
+}
+
+/**
+ * `import-csv <lessons.csv> --name <timetable> [--periods <periods.csv>] [--title <text>]
+ *   [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--yes] [--dry-run]` - build a timetable from a spreadsheet
+ *
+ * lessons.csv has columns day, period, class and optionally subject, room and week
+ * (A, B, ... for Week A/B timetables). periods.csv has columns period, start, end.
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If the files have problems or the result doesn't validate
+ */
+async function importCsvCommand({ positionals, values }) {
+  const [file] = positionals;
+  if (!file || !values.name) {
+    throw new Error('Usage: import-csv <lessons.csv> --name <timetable> [--periods <periods.csv>]');
+  }
+  for (const option of ['from', 'to']) {
+    if (values[option] && !isValidDateString(values[option])) {
+      throw new Error(`Invalid --${option} date: ${values[option]} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  const { name } = values;
+  let existing = null;
+  try {
+    existing = loadTimetable(name);
+  } catch (err) {
+    // New timetable
+  }
+
+  const startDate = values.from || existing?.meta?.startDate;
+  const endDate = values.to || existing?.meta?.endDate;
+  if (!startDate || !endDate) {
+    throw new Error('--from and --to are needed for a new timetable');
+  }
+
+  const errors = [];
+  let periods;
+  if (values.periods) {
+    periods = periodsFromRecords(readCsvFile(values.periods, PERIOD_COLUMNS), errors);
+  } else {
+    const grid = findPeriodGrid(existing);
+    if (!grid.periods) {
+      throw new Error('No period grid to use: pass --periods <periods.csv>');
+    }
+    periods = grid.periods;
+    console.log(`Using the period grid from ${grid.source}`);
+  }
+
+  const records = readCsvFile(file, LESSON_COLUMNS);
+  const weeks = [...new Set(records.map(record => (record.week || '').toUpperCase()).filter(Boolean))].sort();
+  let rota = null;
+  if (weeks.length > 0) {
+    rota = {
+      length: Math.max(weeks.length, existing?.rota?.length || 0),
+      anchorDate: existing?.rota?.anchorDate || startDate,
+      ...(existing?.rota?.skipWeeks ? { skipWeeks: existing.rota.skipWeeks } : {})
+    };
+  }
+  const weekKeys = rota ? getRotaWeekKeys(rota) : [];
+
+  const emptyWeek = () => Object.fromEntries(DAYS.map(day => [day, []]));
+  const schedule = rota ? Object.fromEntries(weekKeys.map(key => [key, emptyWeek()])) : emptyWeek();
+
+  for (const record of records) {
+    const day = parseDay(record.day);
+    const label = `Line ${record.line}`;
+    if (!day) {
+      errors.push(`${label}: unknown day "${record.day}"`);
+    }
+    if (!periods[record.period]) {
+      errors.push(`${label}: unknown period "${record.period}" (known: ${Object.keys(periods).join(', ')})`);
+    }
+    if (!record.class) {
+      errors.push(`${label}: missing class`);
+    }
+
+    let target = schedule;
+    if (rota) {
+      const key = `week${(record.week || '').toUpperCase()}`;
+      if (!weekKeys.includes(key)) {
+        errors.push(`${label}: week must be one of ${weekKeys.map(k => k.slice(4)).join(', ')}`);
+        continue;
+      }
+      target = schedule[key];
+    }
+
+    if (day && periods[record.period] && record.class) {
+      target[day].push({
+        period: record.period,
+        class: record.class,
+        subject: record.subject || record.class,
+        ...(record.room ? { room: record.room } : {})
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Problems in the CSV:\n  ${errors.join('\n  ')}`);
+  }
+
+  for (const week of rota ? Object.values(schedule) : [schedule]) {
+    for (const day of DAYS) {
+      week[day].sort((a, b) => periods[a.period].start.localeCompare(periods[b.period].start));
+    }
+  }
+
+  const timetable = {
+    meta: {
+      name: values.title || existing?.meta?.name || name,
+      startDate,
+      endDate,
+      description: existing?.meta?.description || `Imported from ${path.basename(file)}`
+    },
+    periods,
+    ...(rota ? { rota } : {}),
+    schedule,
+    ...(existing?.exceptions ? { exceptions: existing.exceptions } : {})
+  };
+
+  for (const warning of checkTermDates(name, timetable.meta)) {
+    console.warn(`Warning: ${warning}`);
+  }
+  console.log(`Read ${records.length} lessons and ${Object.keys(periods).length} periods`);
+
+  await saveTimetable(name, timetable, { yes: values.yes, dryRun: values['dry-run'] });
+}
+
+module.exports = {
+  options: {
+    name: { type: 'string' },
+    periods: { type: 'string' },
+    title: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    yes: { type: 'boolean', short: 'y' },
+    'dry-run': { type: 'boolean' }
+  },
+  run: importCsvCommand
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSettings, loadTimetable } = require('../timetable');
+const { isValidDateString } = require('../terms');
+const { parseIcs, expandEvents } = require('../ics');
+const { buildTimetable, checkTermDates, saveTimetable } = require('../importer');
+
+// SUMMARY is usually "<class> <subject>", e.g. "FMat2-2 Further Maths" or "10A - Maths"
+const DEFAULT_SUMMARY_PATTERN = '^(?<class>\\S+)(?:\\s+[-–:]?\\s*(?<subject>.+))?$';
+
+/**
+ * Turn a calendar occurrence into a lesson using the summary pattern
+ * @param {object} occurrence - Occurrence from expandEvents
+ * @param {RegExp} pattern - Regex with named groups "class" and (optionally) "subject"
+ * @returns {object|null} { date, start, end, class, subject, room }, or null if it doesn't match
+ */
+function toLesson(occurrence, pattern) {
+  const match = pattern.exec(occurrence.summary);
+  if (!match || !match.groups || !match.groups.class) {
+    return null;
+  }
+  return {
+    date: occurrence.date,
+    start: occurrence.start,
+    end: occurrence.end,
+    class: match.groups.class.trim(),
+    subject: (match.groups.subject || match.groups.class).trim(),
+    room: occurrence.location
+  };
+}
+
+/**
+ * `import-ics <file.ics> [--name <timetable>] [--title <text>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *   [--summary-pattern <regex>] [--yes] [--dry-run]` - build a timetable from a calendar export
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If the file can't be read or gives an invalid timetable
+ */
+async function importIcsCommand({ positionals, values }) {
+  const [file] = positionals;
+  if (!file) {
+    throw new Error('Usage: import-ics <file.ics> [--name <timetable>]');
+  }
+  for (const option of ['from', 'to']) {
+    if (values[option] && !isValidDateString(values[option])) {
+      throw new Error(`Invalid --${option} date: ${values[option]} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(values['summary-pattern'] || DEFAULT_SUMMARY_PATTERN);
+  } catch (err) {
+    throw new Error(`Invalid --summary-pattern: ${err.message}`);
+  }
+
+  const settings = loadSettings();
+  const name = values.name || path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+
+  let existing = null;
+  try {
+    existing = loadTimetable(name);
+  } catch (err) {
+    // New timetable
+  }
+
+  const calendar = parseIcs(fs.readFileSync(file, 'utf8'));
+  const { occurrences, warnings } = expandEvents(calendar, {
+    timezone: settings.timezone,
+    from: values.from,
+    to: values.to
+  });
+
+  const lessons = [];
+  for (const occurrence of occurrences) {
+    const lesson = toLesson(occurrence, pattern);
+    if (lesson) {
+      lessons.push(lesson);
+    } else {
+      warnings.push(`Skipped "${occurrence.summary}" on ${occurrence.date}: summary doesn't match the pattern`);
+    }
+  }
+  if (lessons.length === 0) {
+    throw new Error(`No timed lessons found in ${file}`);
+  }
+
+  const built = buildTimetable(lessons, {
+    name: values.title || existing?.meta?.name || name,
+    startDate: values.from || lessons[0].date,
+    endDate: values.to || lessons[lessons.length - 1].date,
+    description: existing?.meta?.description || `Imported from ${path.basename(file)}`,
+    existingPeriods: existing?.periods
+  });
+  warnings.push(...built.warnings);
+
+  warnings.push(...checkTermDates(name, built.timetable.meta));
+
+  for (const warning of [...new Set(warnings)]) {
+    console.warn(`Warning: ${warning}`);
+  }
+
+  const { timetable } = built;
+  const exceptionCount = Object.values(timetable.exceptions || {}).reduce((total, section) => total + section.length, 0);
+  console.log(
+    `Read ${occurrences.length} lessons from ${timetable.meta.startDate} to ${timetable.meta.endDate}: ` +
+    `${Object.keys(timetable.periods).length} periods, ` +
+    `${Object.values(timetable.schedule).flat().length} weekly lessons, ${exceptionCount} exceptions`
+  );
+
+  await saveTimetable(name, timetable, { yes: values.yes, dryRun: values['dry-run'] });
+}
+
+module.exports = {
+  options: {
+    name: { type: 'string' },
+    title: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'summary-pattern': { type: 'string' },
+    yes: { type: 'boolean', short: 'y' },
+    'dry-run': { type: 'boolean' }
+  },
+  run: importIcsCommand
+};
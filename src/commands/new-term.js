@@ -0,0 +1,112 @@
+const { loadTimetable, listTimetables } = require('../timetable');
+const { isValidDateString, loadTerms } = require('../terms');
+const { getRotaWeekKeys } = require('../rota');
+const { checkTermDates, saveTimetable } = require('../importer');
+const { ask } = require('../prompt');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Ask for a date until a valid one is given
+ * @param {string} question - Prompt text
+ * @param {string} [after] - The date must not be before this one
+ * @returns {Promise<string>} Date string (YYYY-MM-DD)
+ * @throws {Error} If input ends without a valid date
+ */
+async function askDate(question, after) {
+  for (;;) {
+    const answer = await ask(`${question} (YYYY-MM-DD): `);
+    if (!answer) {
+      throw new Error('No date given');
+    }
+    if (!isValidDateString(answer)) {
+      console.log(`  "${answer}" isn't a valid date`);
+    } else if (after && answer < after) {
+      console.log(`  The term can't end before it starts (${after})`);
+    } else {
+      return answer;
+    }
+  }
+}
+
+/**
+ * Turn a timetable name such as "summer-2027" into a title ("Summer 2027")
+ * @param {string} name - Timetable name
+ * @returns {string} Title
+ */
+function titleFromName(name) {
+  return name.split(/[-_\s]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * `new-term <name> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--title <text>] [--copy <timetable>] [--yes]`
+ * - write a skeleton timetable for a new term
+ * Copies the period grid (and Week A/B layout) from the previous term, or from --copy,
+ * and asks for any term dates not given as options
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no term to copy from or the dates are invalid
+ */
+async function newTermCommand({ positionals, values }) {
+  const [name] = positionals;
+  if (!name || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error('Usage: new-term <name> (lowercase letters, digits and dashes, e.g. summer-2027)');
+  }
+
+  let source = values.copy;
+  if (!source) {
+    const previous = loadTerms().terms.filter(term => term.name !== name).pop();
+    source = previous ? previous.name : listTimetables().find(candidate => candidate !== name);
+  }
+  if (!source) {
+    throw new Error('No existing timetable to copy the period grid from');
+  }
+  const template = loadTimetable(source);
+  console.log(`Copying the period grid from ${source}`);
+
+  for (const option of ['from', 'to']) {
+    if (values[option] && !isValidDateString(values[option])) {
+      throw new Error(`Invalid --${option} date: ${values[option]} (expected YYYY-MM-DD)`);
+    }
+  }
+  const startDate = values.from || await askDate('First day of term');
+  const endDate = values.to || await askDate('Last day of term', startDate);
+  if (endDate < startDate) {
+    throw new Error(`The term ends (${endDate}) before it starts (${startDate})`);
+  }
+
+  const emptyWeek = () => Object.fromEntries(DAYS.map(day => [day, []]));
+  const rota = template.rota ? { length: template.rota.length, anchorDate: startDate, skipWeeks: [] } : null;
+  const title = values.title || titleFromName(name);
+
+  const timetable = {
+    meta: {
+      name: title,
+      startDate,
+      endDate,
+      description: `${title} timetable - UPDATE THIS WITH YOUR ACTUAL TIMETABLE`
+    },
+    periods: template.periods,
+    ...(rota ? { rota } : {}),
+    schedule: rota
+      ? Object.fromEntries(getRotaWeekKeys(rota).map(key => [key, emptyWeek()]))
+      : emptyWeek()
+  };
+
+  for (const warning of checkTermDates(name, timetable.meta)) {
+    console.warn(`Warning: ${warning}`);
+  }
+
+  await saveTimetable(name, timetable, { yes: values.yes });
+}
+
+module.exports = {
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    title: { type: 'string' },
+    copy: { type: 'string' },
+    yes: { type: 'boolean', short: 'y' }
+  },
+  run: newTermCommand
+};
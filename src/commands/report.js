@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { loadSettings } = require('../timetable');
+const { getTodayDateString } = require('../scheduler');
+const {
+  resolveReportRange,
+  buildReport,
+  formatConsoleReport,
+  formatCsvReport,
+  formatHtmlReport
+} = require('../report');
+
+const FORMATS = ['console', 'csv', 'html'];
+
+/**
+ * `report [term] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--week] [--format console|csv|html]
+ *   [--table class|day|lesson] [--output <file>]` - registration compliance report
+ * With no range, reports on the current term so far
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If the range or format is invalid
+ */
+async function reportCommand({ positionals, values }) {
+  const settings = loadSettings();
+  const format = values.format || 'console';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (available: ${FORMATS.join(', ')})`);
+  }
+
+  const today = getTodayDateString(settings.timezone);
+  const range = resolveReportRange({
+    term: positionals[0],
+    from: values.from,
+    to: values.to,
+    week: values.week
+  }, today);
+
+  const report = buildReport(settings, range);
+
+  let output;
+  if (format === 'csv') {
+    output = formatCsvReport(report, values.table);
+  } else if (format === 'html') {
+    output = formatHtmlReport(report);
+  } else {
+    output = formatConsoleReport(report);
+  }
+
+  if (values.output) {
+    fs.writeFileSync(values.output, output);
+    console.log(`Report written to ${values.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+module.exports = {
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    week: { type: 'boolean' },
+    format: { type: 'string' },
+    table: { type: 'string' },
+    output: { type: 'string', short: 'o' }
+  },
+  run: reportCommand
+};
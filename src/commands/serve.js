@@ -0,0 +1,29 @@
+const logger = require('../logger');
+const { loadSettings } = require('../timetable');
+const { startAckServer } = require('../ack');
+
+/**
+ * `serve` - run the acknowledgement server on its own (for cron-based installs)
+ * Stops on SIGTERM/SIGINT
+ * @returns {Promise<void>} Resolves once the server has closed
+ */
+async function serveCommand() {
+  const server = await startAckServer(loadSettings);
+
+  await new Promise(resolve => {
+    const shutdown = signal => {
+      logger.info('Acknowledgement server stopping', { signal });
+      process.removeListener('SIGTERM', shutdown);
+      process.removeListener('SIGINT', shutdown);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+  });
+}
+
+module.exports = {
+  options: {},
+  run: serveCommand
+};
@@ -0,0 +1,82 @@
+const { loadValidatedSettings } = require('../check');
+const { getTodayDateString } = require('../scheduler');
+const {
+  readWorkflowSchedules,
+  resolveSimulationRange,
+  simulate,
+  formatSimulation
+} = require('../simulate');
+
+/**
+ * Parse a whole number option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name (for the error message)
+ * @param {number} min - Smallest allowed value
+ * @returns {number|undefined} The number, or undefined if not given
+ * @throws {Error} If the value isn't a whole number >= min
+ */
+function parseWholeNumber(value, name, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < min) {
+    throw new Error(`--${name} must be a whole number of at least ${min}`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * `simulate [term] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--cron <expr>...] [--every <min>]
+ *   [--jitter <min>] [--seed <n>] [--summary]` - dry run the reminders against a virtual clock
+ *
+ * Runs the real notification check at every time the scheduler would run (the GitHub
+ * Actions schedule by default) over a day or a term, and reports the notifications that
+ * would be sent. Missed or duplicated reminders are listed, and set exit status 1.
+ * With no range, simulates the current term, or the next one during holidays.
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If the range or options are invalid
+ */
+async function simulateCommand({ positionals, values }) {
+  const settings = loadValidatedSettings();
+  const everyMinutes = parseWholeNumber(values.every, 'every', 1);
+  const jitterMinutes = parseWholeNumber(values.jitter, 'jitter', 0) || 0;
+  const seed = parseWholeNumber(values.seed, 'seed', 0) ?? 1;
+  if (everyMinutes && values.cron) {
+    throw new Error('Give either --cron or --every, not both');
+  }
+
+  const range = resolveSimulationRange({
+    term: positionals[0],
+    from: values.from,
+    to: values.to
+  }, getTodayDateString(settings.timezone));
+
+  const result = await simulate(settings, {
+    from: range.from,
+    to: range.to,
+    crons: everyMinutes ? [] : values.cron || readWorkflowSchedules(),
+    everyMinutes,
+    jitterMinutes,
+    seed
+  });
+
+  process.stdout.write(formatSimulation(result, { summary: values.summary }));
+
+  if (result.problems.some(problem => problem.kind === 'missed' || problem.kind === 'duplicate')) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    cron: { type: 'string', multiple: true },
+    every: { type: 'string' },
+    jitter: { type: 'string' },
+    seed: { type: 'string' },
+    summary: { type: 'boolean' }
+  },
+  run: simulateCommand
+};
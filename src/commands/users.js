@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSharedSettings, listTimetables } = require('../timetable');
+const { getEnabledChannels } = require('../channels');
+const { validateProfile } = require('../validation');
+const {
+  DEFAULT_USER,
+  isValidUserId,
+  getProfilePath,
+  createProfile,
+  loadProfile,
+  loadUserProfiles,
+  applyProfile,
+  withProfile,
+  saveProfile
+} = require('../users');
+
+const ACTIONS = ['list', 'add', 'enable', 'disable'];
+
+/**
+ * Describe a profile for the list: its enabled channels and timetables
+ * @param {object} profile - Profile
+ * @param {object|null} shared - Parsed settings.json, or null if it can't be read
+ * @returns {Array<string>} Columns: id, status, name, channels, timetables
+ */
+function describeProfile(profile, shared) {
+  const channels = shared
+    ? getEnabledChannels(applyProfile(shared, profile)).map(entry => entry.name).join(', ') || 'no channels'
+    : '?';
+  const count = withProfile(profile, () => listTimetables().length);
+  return [
+    profile.id,
+    profile.enabled ? 'enabled' : 'disabled',
+    profile.id === DEFAULT_USER ? '(settings.json)' : profile.name,
+    channels,
+    `${count} timetable${count === 1 ? '' : 's'}`
+  ];
+}
+
+/**
+ * Print every profile, one per line
+ */
+function listUsers() {
+  let shared = null;
+  try {
+    shared = loadSharedSettings();
+  } catch (err) {
+    console.log(`Warning: ${err.message}`);
+  }
+
+  const { profiles, errors } = loadUserProfiles();
+  const rows = [loadProfile(DEFAULT_USER), ...profiles].map(profile => describeProfile(profile, shared));
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  for (const row of rows) {
+    console.log(row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd());
+  }
+  for (const error of errors) {
+    console.log(`Warning: ${error}`);
+  }
+}
+
+/**
+ * Create a teacher's profile
+ * @param {string} id - User id
+ * @param {object} values - { name, email, 'pushover-env', offset }
+ * @throws {Error} If the profile exists already, or the options don't make a valid profile
+ */
+function addUser(id, values) {
+  if (!isValidUserId(id) || id === DEFAULT_USER) {
+    throw new Error(`Invalid user id: "${id}" (use lower-case letters, digits and hyphens; "${DEFAULT_USER}" is reserved)`);
+  }
+  if (fs.existsSync(getProfilePath(id))) {
+    throw new Error(`User ${id} already exists (${path.relative(process.cwd(), getProfilePath(id))})`);
+  }
+  if (!values.name) {
+    throw new Error('Give the teacher\'s name with --name');
+  }
+  if (!values.email && !values['pushover-env']) {
+    throw new Error('Give --email and/or --pushover-env, so that reminders reach this teacher');
+  }
+
+  const data = { name: values.name, enabled: true };
+  if (values.offset !== undefined) {
+    data.notificationOffset = Number(values.offset);
+  }
+  data.channels = [];
+  if (values['pushover-env']) {
+    data.channels.push({ name: 'pushover', enabled: true, priority: data.channels.length + 1 });
+    data.env = { PUSHOVER_USER_KEY: values['pushover-env'] };
+  }
+  if (values.email) {
+    data.channels.push({ name: 'email', enabled: true, priority: data.channels.length + 1 });
+    data.email = { to: values.email };
+  }
+
+  const result = validateProfile(createProfile(id, data), loadSharedSettings());
+  if (!result.valid) {
+    throw new Error(`The profile would be invalid:\n  ${result.errors.join('\n  ')}`);
+  }
+
+  const profile = saveProfile(id, data);
+  console.log(`✓ Added ${id} (${profile.name}): ${path.relative(process.cwd(), profile.file)}`);
+  console.log(`  Their timetables go in ${path.relative(process.cwd(), profile.timetablesDir)}/, e.g.`);
+  console.log(`  node src/index.js --user ${id} import-csv lessons.csv --periods periods.csv --name <term>`);
+  if (values['pushover-env']) {
+    console.log(`  Set ${values['pushover-env']} in .env to their Pushover user key`);
+  }
+}
+
+/**
+ * Turn a teacher's reminders on or off
+ * @param {string} id - User id
+ * @param {boolean} enabled - True to enable
+ * @throws {Error} If the profile doesn't exist, or is the default profile
+ */
+function setUserEnabled(id, enabled) {
+  if (id === DEFAULT_USER) {
+    throw new Error(`"${DEFAULT_USER}" is config/settings.json and always runs`);
+  }
+  const profile = loadProfile(id);
+  if (profile.enabled === enabled) {
+    console.log(`${id} is already ${enabled ? 'enabled' : 'disabled'}`);
+    return;
+  }
+
+  saveProfile(id, { ...profile.data, enabled });
+  console.log(enabled
+    ? `✓ Enabled ${id} (${profile.name}); reminders start from the next run`
+    : `✓ Disabled ${id} (${profile.name}); no reminders from the next run (their history is kept)`);
+}
+
+/**
+ * `users [list]`, `users add <id> --name <name> [--email <address>] [--pushover-env <VAR>]
+ *   [--offset <minutes>]`, `users enable <id>`, `users disable <id>` - manage teachers' profiles
+ *
+ * Each teacher has config/users/<id>.json (overrides of settings.json), their own
+ * timetables in timetables/<id>/ and their own history in logs/users/<id>/. Other
+ * commands act for a teacher when given --user <id>.
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ * @throws {Error} If the action or its arguments are invalid
+ */
+async function usersCommand({ positionals, values }) {
+  const [action = 'list', id] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action} (available: ${ACTIONS.join(', ')})`);
+  }
+  if (action === 'list') {
+    listUsers();
+    return;
+  }
+  if (!id) {
+    throw new Error(`Usage: users ${action} <id>`);
+  }
+
+  if (action === 'add') {
+    addUser(id, values);
+  } else {
+    setUserEnabled(id, action === 'enable');
+  }
+}
+
+module.exports = {
+  options: {
+    name: { type: 'string' },
+    email: { type: 'string' },
+    'pushover-env': { type: 'string' },
+    offset: { type: 'string' }
+  },
+  run: usersCommand
+};
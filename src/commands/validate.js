@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_PATH, getTimetablesDir, listTimetables, loadSharedSettings, validateTimetable } = require('../timetable');
+const { EXCEPTIONS_PATH, validateExceptions } = require('../exceptions');
+const { loadTerms, checkTermOverlaps, checkTermGaps } = require('../terms');
+const { validateSettings, validateProfile, checkCredentials } = require('../validation');
+const { USERS_DIR, DEFAULT_USER, createProfile, applyProfile, getCurrentProfile } = require('../users');
+const { parseJsonWithLocations, locatePointer } = require('../json');
+
+/**
+ * Read and parse a JSON file, keeping value positions for error messages
+ * @param {string} file - Path to the file
+ * @returns {object} { value, locations } or { error: { line, column, message } }
+ */
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return { error: { message: err.code === 'ENOENT' ? 'file not found' : err.message } };
+  }
+  try {
+    return parseJsonWithLocations(text);
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    return { error: { line: err.line, column: err.column, message: `invalid JSON: ${err.message.replace(/ at line \d+, column \d+$/, '')}` } };
+  }
+}
+
+/**
+ * Work out what kind of file a command-line argument refers to
+ * @param {string} arg - A path to a .json file, or a timetable name
+ * @returns {object} { kind: 'settings'|'exceptions'|'timetable'|'user', file }
+ */
+function resolveTarget(arg) {
+  if (!arg.endsWith('.json')) {
+    return { kind: 'timetable', file: path.join(getTimetablesDir(), `${arg}.json`) };
+  }
+  const file = path.resolve(arg);
+  const base = path.basename(arg);
+  if (path.dirname(file) === USERS_DIR) {
+    return { kind: 'user', file };
+  }
+  const kind = base === 'settings.json' ? 'settings' : base === 'exceptions.json' ? 'exceptions' : 'timetable';
+  return { kind, file };
+}
+
+/**
+ * Read settings.json for checking a profile against (problems with it are reported separately)
+ * @returns {object|null} Parsed settings, or null if it can't be read
+ */
+function readSharedSettings() {
+  try {
+    return loadSharedSettings();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate one file
+ * @param {object} target - { kind, file }
+ * @param {object|null} periods - Periods to check shared exceptions against (all timetables')
+ * @returns {object} { problems: [{ line, column, pointer, message }], value }
+ */
+function validateFile({ kind, file }, periods) {
+  const parsed = readJsonFile(file);
+  if (parsed.error) {
+    return { problems: [{ pointer: null, ...parsed.error }], value: null };
+  }
+
+  const validate = {
+    settings: value => validateSettings(value),
+    exceptions: value => validateExceptions(value, periods),
+    timetable: value => validateTimetable(value),
+    user: value => validateProfile(createProfile(path.basename(file, '.json'), value), readSharedSettings())
+  }[kind];
+
+  const problems = validate(parsed.value).problems
+    .map(problem => ({ ...locatePointer(parsed.locations, problem.pointer), ...problem }))
+    .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+  return { problems, value: parsed.value };
+}
+
+/**
+ * Format a problem the way compilers do, so editors can jump to it
+ * @param {string} file - Path to the file
+ * @param {object} problem - { line, column, pointer, message }
+ * @returns {string} e.g. "timetables/lent-2026.json:21:7: /schedule/monday/3: clashes with ..."
+ */
+function formatLocatedProblem(file, problem) {
+  const position = problem.line ? `:${problem.line}:${problem.column}` : '';
+  const pointer = problem.pointer === null ? '' : `${problem.pointer || '(top level)'}: `;
+  return `${path.relative(process.cwd(), file)}${position}: ${pointer}${problem.message}`;
+}
+
+/**
+ * `validate [file-or-timetable...]` - check settings, timetables and exceptions
+ *
+ * With no arguments, checks config/settings.json, config/exceptions.json, every
+ * timetable and every teacher's profile in config/users/, plus term dates across
+ * timetables. With --user, checks that teacher's profile and timetables instead of
+ * settings.json and the shared ones. Prints each problem with its file, line and JSON
+ * pointer, and exits with status 1 if there are any. Missing .env credentials are shown
+ * as warnings only.
+ * @param {object} args - { positionals, values } from util.parseArgs
+ * @returns {Promise<void>}
+ */
+async function validateCommand({ positionals }) {
+  const profile = getCurrentProfile();
+  const userFiles = profile.id !== DEFAULT_USER
+    ? [profile.file]
+    : fs.existsSync(USERS_DIR)
+      ? fs.readdirSync(USERS_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(USERS_DIR, file))
+      : [];
+
+  const targets = positionals.length > 0
+    ? positionals.map(resolveTarget)
+    : [
+        ...(profile.id === DEFAULT_USER ? [{ kind: 'settings', file: CONFIG_PATH }] : []),
+        ...(fs.existsSync(EXCEPTIONS_PATH) ? [{ kind: 'exceptions', file: EXCEPTIONS_PATH }] : []),
+        ...listTimetables().map(name => ({ kind: 'timetable', file: path.join(getTimetablesDir(), `${name}.json`) })),
+        ...userFiles.map(file => ({ kind: 'user', file }))
+      ];
+
+  // Shared exceptions apply to every timetable, so any timetable's period names will do
+  const periods = {};
+  for (const name of listTimetables()) {
+    const parsed = readJsonFile(path.join(getTimetablesDir(), `${name}.json`));
+    Object.assign(periods, parsed.value?.periods);
+  }
+
+  let errorCount = 0;
+  const warnings = [];
+
+  for (const target of targets) {
+    const { problems, value } = validateFile(target, periods);
+    if (problems.length === 0) {
+      console.log(`${path.relative(process.cwd(), target.file)}: OK`);
+    } else {
+      errorCount += problems.length;
+      for (const problem of problems) {
+        console.log(formatLocatedProblem(target.file, problem));
+      }
+    }
+    if (target.kind === 'settings' && value && typeof value === 'object') {
+      warnings.push(...checkCredentials(value));
+    }
+    const shared = target.kind === 'user' ? readSharedSettings() : null;
+    if (shared && value && typeof value === 'object' && !Array.isArray(value)) {
+      // Only what the profile changes; the rest is reported for settings.json
+      const id = path.basename(target.file, '.json');
+      const own = checkCredentials(applyProfile(shared, createProfile(id, value)));
+      const inherited = checkCredentials(shared);
+      warnings.push(...own.filter(warning => !inherited.includes(warning)).map(warning => `${warning} (user ${id})`));
+    }
+  }
+
+  // Overlapping terms make it ambiguous which timetable applies; gaps are usually the
+  // holidays, so they're only warnings
+  const terms = positionals.length === 0 ? loadTerms().terms : [];
+  const overlaps = checkTermOverlaps(terms);
+  for (const overlap of overlaps) {
+    console.log(`${path.relative(process.cwd(), getTimetablesDir())}: ${overlap}`);
+  }
+  errorCount += overlaps.length;
+  warnings.push(...checkTermGaps(terms));
+
+  for (const warning of warnings) {
+    console.log(`Warning: ${warning}`);
+  }
+
+  if (errorCount > 0) {
+    console.log(`\n${errorCount} problem${errorCount === 1 ? '' : 's'} found`);
+    process.exitCode = 1;
+  } else {
+    console.log('\nAll files are valid');
+  }
+}
+
+module.exports = {
+  options: {},
+  run: validateCommand
+};
@@ -0,0 +1,116 @@
+/**
+ * Quote a CSV field if it contains a comma, quote or line break (RFC 4180)
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array<object>} rows - Row objects keyed by column key
+ * @returns {string} CSV text (CRLF line endings, as spreadsheets expect)
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns.map(column => formatField(column.label))];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatField(row[column.key])));
+  }
+  return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guess the delimiter from the header line (spreadsheets in some locales use ; or tabs)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting, any line ending)
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter (detected if omitted)
+ * @returns {Array<Array<string>>} Rows (blank lines skipped)
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel adds a byte order mark
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header line into objects
+ * Header names are trimmed and lowercased, and fields are trimmed
+ * @param {string} text - CSV text
+ * @returns {object} { columns: [...], records: [{ line, ...fields }] } (line counts the header as 1)
+ */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const records = rows.map((fields, index) => {
+    const record = { line: index + 2 };
+    columns.forEach((column, i) => {
+      record[column] = (fields[i] || '').trim();
+    });
+    return record;
+  });
+  return { columns, records };
+}
+
+module.exports = {
+  formatCsv,
+  parseCsv,
+  parseCsvRecords
+};
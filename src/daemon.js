@@ -0,0 +1,387 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { loadSettings, CONFIG_PATH, TIMETABLES_DIR } = require('./timetable');
+const {
+  addDays,
+  getNotifyTime,
+  getRemindedLessons,
+  getFollowUpTimes,
+  getTodayDateString
+} = require('./scheduler');
+const clock = require('./clock');
+const { loadDay, loadValidatedSettings, runAllChecks } = require('./check');
+const { isStrictValidation } = require('./validation');
+const { startAckServer } = require('./ack');
+const { hasPendingItems } = require('./outbox');
+const { getDailyMessageTimes } = require('./digest');
+const { USERS_DIR, loadUserProfiles, withProfile } = require('./users');
+
+// Wake at least this often to notice wall-clock jumps (NTP corrections, suspend)
+const MAX_SLEEP_MS = 60 * 1000;
+
+// Fire slightly after the notification minute starts so the check sees that minute
+const FIRE_DELAY_MS = 1000;
+
+// Editors often write a file in several steps; wait for them to settle
+const RELOAD_DEBOUNCE_MS = 500;
+
+/**
+ * Work out the exact notification instants for a day (first reminders, follow-ups and
+ * the daily digest and summary)
+ * @param {object} settings - Settings object
+ * @param {string} date - Date string (YYYY-MM-DD) in the configured timezone
+ * @returns {Array} Sorted [{ at: Date, classes: [...] }], one entry per distinct time
+ *   (daily messages are listed as "digest" or "summary")
+ */
+function planDay(settings, date) {
+  const { timetable, lessons, closure } = loadDay(settings, date);
+  if (!timetable || closure) {
+    return [];
+  }
+
+  const byTime = new Map();
+  const add = (time, name) => {
+    const at = clock.zonedTimeToDate(date, time, settings.timezone).getTime() + FIRE_DELAY_MS;
+    if (!byTime.has(at)) {
+      byTime.set(at, []);
+    }
+    byTime.get(at).push(name);
+  };
+
+  for (const lesson of getRemindedLessons(lessons, timetable.periods)) {
+    const period = timetable.periods[lesson.period];
+    if (!period) continue;
+
+    // First reminder, then any follow-ups (which the check skips once acknowledged)
+    const times = [
+      getNotifyTime(lesson, timetable.periods, settings.notificationOffset),
+      ...getFollowUpTimes(lesson, timetable.periods, settings.notificationOffset, settings.escalation)
+    ];
+
+    for (const time of times) {
+      add(time, lesson.class);
+    }
+  }
+  for (const { kind, time } of getDailyMessageTimes(settings, timetable.periods, lessons)) {
+    add(time, kind);
+  }
+
+  return [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([at, classes]) => ({ at: new Date(at), classes }));
+}
+
+/**
+ * Plan the day for settings.json and every enabled teacher's profile together
+ * A teacher whose configuration can't be planned is logged and left out
+ * @param {object} settings - Settings object (settings.json)
+ * @param {Array<object>} profiles - Enabled teachers' profiles
+ * @param {string} date - Date string (YYYY-MM-DD) in the configured timezone
+ * @returns {Array} Sorted [{ at: Date, classes: [...] }]; teachers' classes are shown as "id: class"
+ */
+function planEveryone(settings, profiles, date) {
+  const entries = [];
+  try {
+    entries.push(...planDay(settings, date));
+  } catch (err) {
+    logger.error('Failed to plan notifications', { error: err.message });
+  }
+
+  for (const profile of profiles) {
+    try {
+      const userPlan = withProfile(profile, () => planDay(loadValidatedSettings(), date));
+      entries.push(...userPlan.map(entry => ({
+        at: entry.at,
+        classes: entry.classes.map(name => `${profile.id}: ${name}`)
+      })));
+    } catch (err) {
+      logger.error('Failed to plan notifications', { user: profile.id, error: err.message });
+    }
+  }
+
+  const byTime = new Map();
+  for (const entry of entries) {
+    const at = entry.at.getTime();
+    byTime.set(at, [...(byTime.get(at) || []), ...entry.classes]);
+  }
+  return [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([at, classes]) => ({ at: new Date(at), classes }));
+}
+
+/**
+ * Run as a long-lived process that sleeps until each notification time, for
+ * settings.json and every enabled teacher's profile
+ * Replans at midnight, on DST changes and when settings, profiles or timetables change.
+ * Also runs the acknowledgement server while settings.ack.enabled, restarting it when
+ * its host or port changes.
+ * Stops cleanly on SIGTERM/SIGINT.
+ * In strict mode, refuses to start if settings or today's timetable are invalid; later
+ * invalid edits are rejected the same way a settings file that won't load is.
+ * @returns {Promise<void>} Resolves once the daemon has shut down
+ * @throws {Error} In strict mode, if the configuration is invalid at startup
+ */
+function startDaemon() {
+  let initial = null;
+  try {
+    initial = loadSettings();
+  } catch (err) {
+    // Reported by the first replan
+  }
+  if (isStrictValidation(initial)) {
+    const settings = loadValidatedSettings();
+    loadDay(settings, getTodayDateString(settings.timezone));
+  }
+
+  return new Promise(resolve => {
+    let settings = null;
+    let profiles = [];
+    let plan = [];
+    let planDate = null;
+    let planOffset = null;
+    let dirty = true;
+    let timer = null;
+    let reloadTimer = null;
+    let running = Promise.resolve();
+    let stopping = false;
+    let ackServer = null;
+    let ackAddress = null;
+    let ackChange = Promise.resolve();
+    const watchers = [];
+    const watched = new Set();
+
+    /**
+     * Watch a directory for changes (once)
+     * @param {string} dir - Directory
+     * @param {boolean} [required] - Warn if it can't be watched (optional ones may not exist yet)
+     */
+    function watch(dir, required = true) {
+      if (watched.has(dir) || (!required && !fs.existsSync(dir))) return;
+      try {
+        watchers.push(fs.watch(dir, onFileChange));
+        watched.add(dir);
+      } catch (err) {
+        logger.warn('Unable to watch for changes', { dir, error: err.message });
+      }
+    }
+
+    /**
+     * Stop an HTTP server, dropping any open connections
+     * @param {http.Server} server - Server
+     * @returns {Promise<void>} Resolves once it has closed
+     */
+    function closeServer(server) {
+      const closed = new Promise(done => server.close(done));
+      server.closeAllConnections();
+      return closed;
+    }
+
+    /**
+     * Start, stop or restart the acknowledgement server to match settings.ack
+     * Changes are made one at a time, in order
+     */
+    function updateAckServer() {
+      const address = settings.ack?.enabled ? `${settings.ack.host ?? ''}:${settings.ack.port ?? ''}` : null;
+      if (address === ackAddress) return;
+      ackAddress = address;
+
+      ackChange = ackChange
+        .then(async () => {
+          if (ackServer) {
+            await closeServer(ackServer);
+            ackServer = null;
+            logger.info('Acknowledgement server stopped');
+          }
+          if (address && !stopping) {
+            ackServer = await startAckServer(() => settings);
+          }
+        })
+        .catch(err => {
+          logger.error('Failed to start acknowledgement server', { error: err.message });
+          // Try again at the next replan
+          if (ackAddress === address) ackAddress = null;
+        });
+    }
+
+    /**
+     * Reload settings and recompute today's fire times
+     * @param {string} reason - Why we're replanning (for the log)
+     * @returns {boolean} True if a plan is available
+     */
+    function replan(reason) {
+      try {
+        settings = loadValidatedSettings();
+        logger.configure({ ...settings.logging, timezone: settings.timezone });
+      } catch (err) {
+        logger.error('Failed to reload settings, keeping previous plan', { error: err.message });
+        return settings !== null;
+      }
+      updateAckServer();
+
+      const users = loadUserProfiles();
+      for (const error of users.errors) {
+        logger.error('Failed to load user profile', { error });
+      }
+      profiles = users.profiles.filter(profile => profile.enabled);
+      watch(USERS_DIR, false);
+      for (const profile of profiles) {
+        watch(profile.timetablesDir, false);
+      }
+
+      const now = clock.now();
+      planDate = getTodayDateString(settings.timezone);
+      planOffset = clock.getTimezoneOffsetMinutes(now, settings.timezone);
+      plan = planEveryone(settings, profiles, planDate);
+
+      const upcoming = plan.filter(entry => entry.at > now);
+      logger.info('Daemon planned notifications', {
+        reason,
+        date: planDate,
+        upcoming: upcoming.map(entry => ({ at: entry.at.toISOString(), classes: entry.classes }))
+      });
+      return true;
+    }
+
+    /**
+     * Check whether anyone has notifications waiting in their outbox
+     * @returns {boolean} True if there are pending items
+     */
+    function hasPendingRetries() {
+      return hasPendingItems() || profiles.some(profile => withProfile(profile, hasPendingItems));
+    }
+
+    /**
+     * Run a notification check for everyone, never overlapping a previous one
+     * Each check is a new run, with its own run id in the log
+     */
+    function check() {
+      running = running
+        .then(() => {
+          logger.startRun();
+          return runAllChecks();
+        })
+        .catch(err => logger.error('Notification check failed', { error: err.message }));
+      return running;
+    }
+
+    /**
+     * Replan if needed and fire anything due
+     * @returns {Promise<number|null>} When to wake next (ms since the epoch), or null for
+     *   the default (MAX_SLEEP_MS from now)
+     */
+    async function step() {
+      const now = clock.now();
+      let replanned = false;
+
+      if (dirty) {
+        dirty = false;
+        replanned = replan(planDate === null ? 'startup' : 'configuration changed');
+      } else if (settings) {
+        if (getTodayDateString(settings.timezone) !== planDate) {
+          replanned = replan('new day');
+        } else if (clock.getTimezoneOffsetMinutes(now, settings.timezone) !== planOffset) {
+          replanned = replan('UTC offset changed (DST)');
+        }
+      }
+
+      if (!settings) {
+        // No usable settings yet; try again shortly
+        return null;
+      }
+
+      // After a replan, catch up on anything still inside its window (dedup stops repeats).
+      // Otherwise fire for every planned time that has now passed, or (about once a
+      // minute) to retry notifications waiting in the outbox.
+      const due = plan.filter(entry => entry.at <= now);
+      if (replanned || due.length > 0 || hasPendingRetries()) {
+        plan = plan.filter(entry => entry.at > now);
+        await check();
+      }
+
+      const nextMidnight = clock.zonedTimeToDate(addDays(planDate, 1), { hours: 0, minutes: 0 }, settings.timezone);
+      return Math.min(
+        plan.length > 0 ? plan[0].at.getTime() : Infinity,
+        nextMidnight.getTime() + FIRE_DELAY_MS
+      );
+    }
+
+    /**
+     * Main loop step: replan if needed, fire anything due, then sleep
+     * Never rejects: a failed step is logged and the loop carries on
+     */
+    async function tick() {
+      timer = null;
+      if (stopping) return;
+
+      let wakeAt = null;
+      try {
+        wakeAt = await step();
+      } catch (err) {
+        logger.error('Daemon loop failed, trying again shortly', { error: err.message });
+      }
+
+      if (stopping) return;
+      const nextCheck = Math.min(wakeAt ?? Infinity, clock.now().getTime() + MAX_SLEEP_MS);
+      timer = setTimeout(tick, Math.max(0, nextCheck - clock.now().getTime()));
+    }
+
+    /**
+     * Schedule a replan after a watched file changes
+     */
+    function onFileChange() {
+      if (stopping) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        dirty = true;
+        if (timer) {
+          clearTimeout(timer);
+          tick();
+        }
+      }, RELOAD_DEBOUNCE_MS);
+    }
+
+    /**
+     * Stop timers and watchers, wait for any in-flight check, then resolve
+     * @param {string} signal - Signal name
+     */
+    async function shutdown(signal) {
+      if (stopping) return;
+      stopping = true;
+      logger.info('Daemon stopping', { signal });
+
+      clearTimeout(timer);
+      clearTimeout(reloadTimer);
+      for (const watcher of watchers) {
+        watcher.close();
+      }
+
+      await ackChange;
+      if (ackServer) {
+        await closeServer(ackServer);
+      }
+
+      await running;
+      logger.info('Daemon stopped');
+      process.removeListener('SIGTERM', shutdown);
+      process.removeListener('SIGINT', shutdown);
+      resolve();
+    }
+
+    watch(path.dirname(CONFIG_PATH));
+    watch(TIMETABLES_DIR);
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+
+    logger.info('Daemon started', { pid: process.pid });
+
+    tick();
+  });
+}
+
+module.exports = {
+  planDay,
+  planEveryone,
+  startDaemon
+};
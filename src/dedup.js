@@ -1,85 +1,141 @@
-const fs = require('fs');
-const path = require('path');
 const logger = require('./logger');
+const { withLock, readEvents, appendEvent } = require('./history');
 
-// Path to deduplication file
-const DEDUP_FILE = path.join(__dirname, '..', 'logs', 'notified-today.json');
+// Deduplication and acknowledgement state, answered from the notification history
 
 /**
- * Load the deduplication data from file
- * @returns {object} Deduplication data { [key]: { date, notifiedAt } }
+ * Get the history events for one lesson on one date
+ * @param {object} lesson - Lesson object with class and period properties
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Array<object>} Events
  */
-function loadDedupData() {
-  try {
-    if (fs.existsSync(DEDUP_FILE)) {
-      const data = fs.readFileSync(DEDUP_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (err) {
-    logger.warn('Failed to load dedup file, starting fresh', { error: err.message });
-  }
-  return {};
+function lessonEvents(lesson, date) {
+  return readEvents({ date, class: lesson.class, period: lesson.period });
 }
 
 /**
- * Save the deduplication data to file
- * @param {object} data - Deduplication data
+ * Get the notification state for a lesson on a date
+ * @param {object} lesson - Lesson object with class and period properties
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {object|null} { date, attempts, firstNotifiedAt, lastNotifiedAt, acknowledgedAt,
+ *   acknowledgedVia, usedAckTokens, class, period } or null if nothing has been recorded
  */
-function saveDedupData(data) {
-  try {
-    const logDir = path.dirname(DEDUP_FILE);
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true });
-    }
-    fs.writeFileSync(DEDUP_FILE, JSON.stringify(data, null, 2));
-  } catch (err) {
-    logger.error('Failed to save dedup file', { error: err.message });
+function getNotificationState(lesson, date) {
+  const events = lessonEvents(lesson, date);
+  const attempts = events.filter(event => event.type === 'attempt');
+  const acks = events.filter(event => event.type === 'ack');
+
+  if (attempts.length === 0 && acks.length === 0) {
+    return null;
   }
+
+  return {
+    date,
+    attempts: attempts.length,
+    firstNotifiedAt: attempts.length > 0 ? attempts[0].at : null,
+    lastNotifiedAt: attempts.length > 0 ? attempts[attempts.length - 1].at : null,
+    acknowledgedAt: acks.length > 0 ? acks[0].at : null,
+    acknowledgedVia: acks.length > 0 ? acks[0].via : null,
+    usedAckTokens: acks.map(event => event.tokenId).filter(Boolean),
+    class: lesson.class,
+    period: lesson.period
+  };
 }
 
 /**
- * Check if a lesson has already been notified today
+ * Check if a lesson has already been notified on a date
  * @param {object} lesson - Lesson object with class and period properties
- * @param {string} date - Today's date string (YYYY-MM-DD)
- * @returns {boolean} True if already notified today
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} True if already notified
  */
 function hasBeenNotified(lesson, date) {
-  const dedupData = loadDedupData();
-  const key = `${lesson.class}|${lesson.period}`;
-  const entry = dedupData[key];
-  return entry && entry.date === date;
+  const state = getNotificationState(lesson, date);
+  return state !== null && state.attempts > 0;
 }
 
 /**
- * Mark a lesson as notified
- * Also clears old entries from previous days
+ * Check if registration for a lesson has been acknowledged on a date
  * @param {object} lesson - Lesson object with class and period properties
- * @param {string} date - Today's date string (YYYY-MM-DD)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} True if acknowledged
  */
-function markNotified(lesson, date) {
-  const dedupData = loadDedupData();
-  const key = `${lesson.class}|${lesson.period}`;
+function isAcknowledged(lesson, date) {
+  const state = getNotificationState(lesson, date);
+  return Boolean(state && state.acknowledgedAt);
+}
 
-  // Clear old entries (from previous days)
-  for (const k of Object.keys(dedupData)) {
-    if (dedupData[k].date !== date) {
-      delete dedupData[k];
+/**
+ * Record that lessons are taking place on a date (once per lesson per date)
+ * Used by reports to compare expected lessons with reminders sent
+ * @param {Array} lessons - Lessons taking place
+ * @param {string} date - Date string (YYYY-MM-DD)
+ */
+function recordLessons(lessons, date) {
+  withLock(() => {
+    const recorded = readEvents({ type: 'lesson', date });
+    for (const lesson of lessons) {
+      if (recorded.some(event => event.class === lesson.class && event.period === lesson.period)) {
+        continue;
+      }
+      appendEvent({
+        type: 'lesson',
+        date,
+        class: lesson.class,
+        period: lesson.period,
+        subject: lesson.subject,
+        room: lesson.room
+      });
     }
-  }
+  });
+}
 
-  // Add new entry
-  dedupData[key] = {
-    date,
-    notifiedAt: new Date().toISOString(),
-    class: lesson.class,
-    period: lesson.period
-  };
+/**
+ * Record a notification attempt for a lesson
+ * @param {object} lesson - Lesson object with class and period properties
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} [channels] - Status per channel, e.g. { pushover: 'success', email: 'failed' }
+ * @returns {number} The attempt count after recording
+ */
+function markNotified(lesson, date, channels = {}) {
+  const attempts = withLock(() => {
+    const attempt = lessonEvents(lesson, date).filter(event => event.type === 'attempt').length + 1;
+    appendEvent({ type: 'attempt', date, class: lesson.class, period: lesson.period, attempt, channels });
+    return attempt;
+  });
+
+  logger.info('Marked lesson as notified', { class: lesson.class, period: lesson.period, date, attempts });
+  return attempts;
+}
+
+/**
+ * Record that registration has been taken for a lesson (stops follow-up reminders)
+ * @param {object} lesson - Lesson object with class and period properties
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} [options] - { via: 'link'|'cli', tokenId } - tokenId makes an ack link single-use
+ * @returns {string} 'acknowledged', or 'token-used' if tokenId has already been used
+ */
+function markAcknowledged(lesson, date, options = {}) {
+  const { via = null, tokenId = null } = options;
+
+  const outcome = withLock(() => {
+    if (tokenId && readEvents({ type: 'ack' }).some(event => event.tokenId === tokenId)) {
+      return 'token-used';
+    }
+    appendEvent({ type: 'ack', date, class: lesson.class, period: lesson.period, via, tokenId });
+    return 'acknowledged';
+  });
 
-  saveDedupData(dedupData);
-  logger.info('Marked lesson as notified', { class: lesson.class, period: lesson.period, date });
+  if (outcome === 'acknowledged') {
+    logger.info('Marked lesson as acknowledged', { class: lesson.class, period: lesson.period, date, via });
+  }
+  return outcome;
 }
 
 module.exports = {
+  getNotificationState,
   hasBeenNotified,
-  markNotified
+  isAcknowledged,
+  recordLessons,
+  markNotified,
+  markAcknowledged
 };
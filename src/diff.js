@@ -0,0 +1,83 @@
+// Line diffs for showing what an import or edit will change
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+/**
+ * Compute a line-by-line diff (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} [{ type: ' '|'-'|'+', line }]
+ */
+function diffLines(before, after) {
+  const a = before === '' ? [] : before.replace(/\n$/, '').split('\n');
+  const b = after === '' ? [] : after.replace(/\n$/, '').split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: '-', line: a[i++] });
+    } else {
+      result.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: '-', line: a[i++] });
+  while (j < b.length) result.push({ type: '+', line: b[j++] });
+  return result;
+}
+
+/**
+ * Format a diff for the terminal, showing only changed lines and their context
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {string} Diff text ('' if the texts are the same)
+ */
+function formatDiff(before, after) {
+  const diff = diffLines(before, after);
+  const changed = diff.map(entry => entry.type !== ' ');
+  if (!changed.includes(true)) {
+    return '';
+  }
+
+  const lines = [];
+  let skipped = false;
+  diff.forEach((entry, index) => {
+    const near = changed
+      .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+      .includes(true);
+    if (!near) {
+      skipped = true;
+      return;
+    }
+    if (skipped) {
+      lines.push('...');
+      skipped = false;
+    }
+    lines.push(`${entry.type} ${entry.line}`);
+  });
+  if (skipped) {
+    lines.push('...');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
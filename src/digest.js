@@ -0,0 +1,224 @@
+// Daily messages: a morning digest and an evening summary
+//
+// Besides the reminder for each lesson, two optional messages can go out once a day
+// through the same channels, on days with lessons:
+//   settings.digest  - { enabled, minutesBefore }: today's lessons with their rooms and
+//                      reminder times, minutesBefore (default 30) the first period starts
+//   settings.summary - { enabled, time }: which reminders went out, failed or were
+//                      acknowledged, at time ("HH:MM"; by default when the last period ends)
+// Like a lesson reminder, each is due for NOTIFICATION_WINDOW_MINUTES from its time. Every
+// try is recorded in the history as a "daily" event, and one that reached at least one
+// channel isn't sent again that day.
+
+const logger = require('./logger');
+const clock = require('./clock');
+const {
+  parseTime,
+  addMinutes,
+  getLessonRules,
+  getNotifyTime,
+  isDoubleContinuation,
+  NOTIFICATION_WINDOW_MINUTES
+} = require('./scheduler');
+const { readEvents, appendEvent } = require('./history');
+const { buildReport } = require('./report');
+const { sendMessage } = require('./notifications');
+
+const DEFAULT_DIGEST = { enabled: false, minutesBefore: 30 };
+const DEFAULT_SUMMARY = { enabled: false, time: null };
+
+const STATUS_LABELS = { reminded: 'reminded', failed: 'reminder failed', missed: 'no reminder sent' };
+
+/**
+ * Format a time as HH:MM
+ * @param {object} time - { hours, minutes }
+ * @returns {string} e.g. "09:05"
+ */
+function formatTime(time) {
+  return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a time to minutes since midnight
+ * @param {object} time - { hours, minutes }
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  return time.hours * 60 + time.minutes;
+}
+
+/**
+ * Format a date for a message heading
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} e.g. "Monday 12 January"
+ */
+function formatDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Get the day's lessons in period order, leaving out any in a period the timetable doesn't have
+ * @param {Array} lessons - The day's lessons
+ * @param {object} periods - Periods object from timetable
+ * @returns {Array} Sorted lessons
+ */
+function sortByStart(lessons, periods) {
+  return lessons
+    .filter(lesson => periods[lesson.period])
+    .sort((a, b) => toMinutes(parseTime(periods[a.period].start)) - toMinutes(parseTime(periods[b.period].start)));
+}
+
+/**
+ * Work out when the day's messages are due
+ * @param {object} settings - Settings object (settings.digest and settings.summary)
+ * @param {object} periods - Periods object from timetable
+ * @param {Array} lessons - The day's lessons
+ * @returns {Array<object>} [{ kind: 'digest'|'summary', time: { hours, minutes } }] for the
+ *   enabled messages (none on a day without lessons)
+ */
+function getDailyMessageTimes(settings, periods, lessons) {
+  const sorted = sortByStart(lessons, periods);
+  if (sorted.length === 0) {
+    return [];
+  }
+
+  const times = [];
+  const digest = { ...DEFAULT_DIGEST, ...settings.digest };
+  if (digest.enabled) {
+    const first = parseTime(periods[sorted[0].period].start);
+    times.push({ kind: 'digest', time: addMinutes(first, -digest.minutesBefore) });
+  }
+
+  const summary = { ...DEFAULT_SUMMARY, ...settings.summary };
+  if (summary.enabled) {
+    const lastEnd = sorted
+      .map(lesson => parseTime(periods[lesson.period].end))
+      .reduce((latest, time) => (toMinutes(time) > toMinutes(latest) ? time : latest));
+    times.push({ kind: 'summary', time: summary.time ? parseTime(summary.time) : lastEnd });
+  }
+  return times;
+}
+
+/**
+ * Build the morning digest: the day's lessons with their rooms and reminder times
+ * @param {object} settings - Settings object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} periods - Periods object from timetable
+ * @param {Array} lessons - The day's lessons
+ * @returns {object} { kind, date, title, message, subject, body, html }
+ */
+function buildDigest(settings, date, periods, lessons) {
+  const lines = sortByStart(lessons, periods).map(lesson => {
+    const rules = getLessonRules(lesson, periods, settings.notificationOffset);
+    let reminder;
+    if (rules.silent) {
+      reminder = 'no reminder';
+    } else if (isDoubleContinuation(lesson, lessons, periods)) {
+      reminder = 'double, no second reminder';
+    } else {
+      reminder = `reminder ${formatTime(getNotifyTime(lesson, periods, settings.notificationOffset))}`;
+    }
+
+    const room = lesson.room ? `, ${lesson.room}` : '';
+    const note = rules.message && !rules.silent ? ` – ${rules.message}` : '';
+    return `${periods[lesson.period].start} ${lesson.class} (${lesson.subject})${room} – ${reminder}${note}`;
+  });
+
+  const heading = `${lines.length} lesson${lines.length === 1 ? '' : 's'} today`;
+  return {
+    kind: 'digest',
+    date,
+    title: `📅 ${heading}`,
+    message: lines.join('\n'),
+    subject: `📅 Today's lessons – ${formatDate(date)}`,
+    body: `${heading} (${formatDate(date)}):\n\n${lines.join('\n')}`,
+    html: null
+  };
+}
+
+/**
+ * Build the evening summary: what happened to each of the day's reminders
+ * @param {object} settings - Settings object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Date} [now] - Current time (lessons whose reminder isn't due yet are left out)
+ * @returns {object} { kind, date, title, message, subject, body, html }
+ */
+function buildSummary(settings, date, now = clock.now()) {
+  const report = buildReport(settings, { from: date, to: date, title: 'Today' }, now);
+  const lines = report.lessons.map(lesson => {
+    let status = STATUS_LABELS[lesson.status];
+    if (lesson.failedChannels) {
+      status += ` (${lesson.failedChannels.split(' ').join(', ')} failed)`;
+    }
+    if (lesson.acknowledgedAt) {
+      status += `, acknowledged at ${formatTime(clock.getZonedDateTime(new Date(lesson.acknowledgedAt), settings.timezone))}`;
+    }
+    return `${lesson.start} ${lesson.class} – ${status}`;
+  });
+
+  const { totals } = report;
+  const counts = `${totals.reminded} of ${totals.lessons} reminded, ${totals.failed} failed, ` +
+    `${totals.missed} missed, ${totals.acknowledged} acknowledged`;
+  return {
+    kind: 'summary',
+    date,
+    title: `📊 Today: ${counts}`,
+    message: lines.join('\n') || 'No reminders were due today',
+    subject: `📊 Registration summary – ${formatDate(date)}`,
+    body: `${counts} (${formatDate(date)}).\n\n${lines.join('\n')}`.trimEnd(),
+    html: null
+  };
+}
+
+/**
+ * Check whether a daily message has already reached at least one channel
+ * @param {string} kind - 'digest' or 'summary'
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} True if it has been sent
+ */
+function hasDailyMessageBeenSent(kind, date) {
+  return readEvents({ type: 'daily', date }).some(event =>
+    event.kind === kind && Object.values(event.channels || {}).includes('success')
+  );
+}
+
+/**
+ * Send the digest and summary if they're due now and haven't been sent today
+ * @param {object} settings - Settings object
+ * @param {object} day - { date, periods, lessons, currentTime: { hours, minutes } }
+ * @returns {Promise<Array<string>>} The kinds of message that reached at least one channel
+ */
+async function sendDailyMessages(settings, day) {
+  const { date, periods, lessons, currentTime } = day;
+  const sent = [];
+
+  for (const { kind, time } of getDailyMessageTimes(settings, periods, lessons)) {
+    const minutes = toMinutes(currentTime) - toMinutes(time);
+    if (minutes < 0 || minutes >= NOTIFICATION_WINDOW_MINUTES || hasDailyMessageBeenSent(kind, date)) {
+      continue;
+    }
+
+    try {
+      const content = kind === 'digest' ? buildDigest(settings, date, periods, lessons) : buildSummary(settings, date);
+      const channels = await sendMessage(content, settings);
+      appendEvent({ type: 'daily', date, kind, channels });
+      logger.info('Daily message result', { kind, ...channels });
+      if (Object.values(channels).includes('success')) {
+        sent.push(kind);
+      }
+    } catch (err) {
+      logger.error('Failed to send daily message', { kind, error: err.message });
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  getDailyMessageTimes,
+  buildDigest,
+  buildSummary,
+  hasDailyMessageBeenSent,
+  sendDailyMessages
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { joinPointer } = require('./json');
+const { validateSchema, toValidationResult } = require('./schema');
+
+// Shared exceptions file (applies to every timetable)
+const EXCEPTIONS_PATH = path.join(__dirname, '..', 'config', 'exceptions.json');
+
+// The shared exceptions file actually read (tests point this at a temporary one)
+let exceptionsFile = EXCEPTIONS_PATH;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const SECTIONS = ['closures', 'cancellations', 'additions', 'changes'];
+
+/**
+ * Create an empty exceptions object
+ * @returns {object} { closures: [], cancellations: [], additions: [], changes: [] }
+ */
+function emptyExceptions() {
+  return { closures: [], cancellations: [], additions: [], changes: [] };
+}
+
+/**
+ * Append the sections of one exceptions source onto another
+ * @param {object} target - Exceptions object to add to
+ * @param {object} source - Exceptions object to read from (may be partial)
+ * @returns {object} The target object
+ */
+function mergeExceptions(target, source) {
+  if (!source) return target;
+  for (const section of SECTIONS) {
+    if (Array.isArray(source[section])) {
+      target[section].push(...source[section]);
+    }
+  }
+  return target;
+}
+
+/**
+ * Set the shared exceptions file
+ * @param {string} [file] - Path, or undefined for config/exceptions.json
+ */
+function setExceptionsFile(file) {
+  exceptionsFile = file || EXCEPTIONS_PATH;
+}
+
+/**
+ * Load the shared config/exceptions.json file
+ * @returns {object} Parsed exceptions (empty sections if the file doesn't exist)
+ * @throws {Error} If the file contains invalid JSON
+ */
+function loadSharedExceptions() {
+  try {
+    const content = fs.readFileSync(exceptionsFile, 'utf8');
+    return mergeExceptions(emptyExceptions(), JSON.parse(content));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return emptyExceptions();
+    }
+    if (err instanceof SyntaxError) {
+      throw new Error(`Invalid JSON in exceptions file: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Load all exceptions that apply to a timetable
+ * Combines the shared exceptions file with the timetable's own "exceptions" section
+ * @param {object} timetable - Timetable object
+ * @returns {object} Combined exceptions object
+ * @throws {Error} If the shared exceptions file contains invalid JSON
+ */
+function loadExceptions(timetable) {
+  const exceptions = loadSharedExceptions();
+  return mergeExceptions(exceptions, timetable.exceptions);
+}
+
+/**
+ * Check that exception entries refer to real periods and date ranges are the right way round
+ * The structure is checked separately, by schemas/exceptions.schema.json
+ * @param {object} exceptions - Exceptions object
+ * @param {object|null} periods - Periods object from the timetable (null skips the period check)
+ * @param {string} [pointer] - JSON pointer of the exceptions object within its file
+ * @returns {Array<object>} Problems as { pointer, message }
+ */
+function checkExceptions(exceptions, periods, pointer = '') {
+  const problems = [];
+  if (!exceptions || typeof exceptions !== 'object') {
+    return problems;
+  }
+
+  const entries = section => (Array.isArray(exceptions[section]) ? exceptions[section] : []);
+  const entryPointer = (section, i) => joinPointer(joinPointer(pointer, section), i);
+
+  entries('closures').forEach((closure, i) => {
+    if (closure && DATE_REGEX.test(closure.from) && DATE_REGEX.test(closure.to) && closure.to < closure.from) {
+      problems.push({
+        pointer: `${entryPointer('closures', i)}/to`,
+        message: `must not be before "from" (${closure.from}): ${closure.to}`
+      });
+    }
+  });
+
+  if (periods) {
+    for (const section of ['cancellations', 'additions', 'changes']) {
+      entries(section).forEach((entry, i) => {
+        if (entry && typeof entry.period === 'string' && !Object.prototype.hasOwnProperty.call(periods, entry.period)) {
+          problems.push({
+            pointer: `${entryPointer(section, i)}/period`,
+            message: `is not one of the periods: "${entry.period}"`
+          });
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate an exceptions object
+ * @param {object} exceptions - Exceptions object
+ * @param {object|null} periods - Periods object from the timetable (null skips the period check)
+ * @returns {object} { valid, errors: [...], problems: [{ pointer, message }] }
+ */
+function validateExceptions(exceptions, periods) {
+  return toValidationResult([
+    ...validateSchema(exceptions, 'exceptions.schema.json'),
+    ...checkExceptions(exceptions, periods)
+  ]);
+}
+
+/**
+ * Find a whole-day closure covering a date
+ * @param {object} exceptions - Exceptions object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {object|null} The matching closure, or null if the day is open
+ */
+function getClosure(exceptions, date) {
+  return exceptions.closures.find(closure =>
+    closure.date !== undefined
+      ? closure.date === date
+      : closure.from <= date && date <= closure.to
+  ) || null;
+}
+
+/**
+ * Check whether an exception entry targets a lesson
+ * The class is optional on the entry and only used to disambiguate
+ * @param {object} entry - Cancellation or change entry
+ * @param {object} lesson - Lesson object
+ * @returns {boolean} True if the entry applies to the lesson
+ */
+function matchesLesson(entry, lesson) {
+  return entry.period === lesson.period && (!entry.class || entry.class === lesson.class);
+}
+
+/**
+ * Apply exceptions to a day's weekly lesson list
+ * Order: closures, then cancellations, then changes (room swaps etc.), then one-off additions
+ * @param {Array} lessons - Lessons from the weekly schedule
+ * @param {object} exceptions - Exceptions object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Array} Lessons actually taking place on that date
+ */
+function applyExceptions(lessons, exceptions, date) {
+  if (getClosure(exceptions, date)) {
+    return [];
+  }
+
+  const cancellations = exceptions.cancellations.filter(entry => entry.date === date);
+  const changes = exceptions.changes.filter(entry => entry.date === date);
+  const additions = exceptions.additions.filter(entry => entry.date === date);
+
+  const resolved = lessons
+    .filter(lesson => !cancellations.some(entry => matchesLesson(entry, lesson)))
+    .map(lesson => {
+      const change = changes.find(entry => matchesLesson(entry, lesson));
+      if (!change) return lesson;
+      const { date: _date, reason: _reason, ...fields } = change;
+      return { ...lesson, ...fields };
+    });
+
+  for (const addition of additions) {
+    const { date: _date, reason: _reason, ...lesson } = addition;
+    resolved.push(lesson);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  EXCEPTIONS_PATH,
+  setExceptionsFile,
+  emptyExceptions,
+  mergeExceptions,
+  loadSharedExceptions,
+  loadExceptions,
+  checkExceptions,
+  validateExceptions,
+  getClosure,
+  matchesLesson,
+  applyExceptions
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const clock = require('./clock');
+
+// Append-only notification history, one JSON event per line
+const HISTORY_FILE = path.join(__dirname, '..', 'logs', 'history.jsonl');
+
+// Held while a read-then-append sequence runs, so overlapping runs can't interleave
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+// Event types:
+//   lesson  - a lesson took place: { date, class, period, subject, room }
+//   attempt  - a reminder was sent: { date, class, period, attempt, channels: { name: 'success'|'failed'|'rejected' } }
+//   ack      - registration was acknowledged: { date, class, period, via, tokenId }
+//   queued   - a failed channel was queued to retry later (see outbox.js)
+//   delivery - what happened to a queued item: { id, date, class, period, channel, status, reason }
+// Every event also has "at" (ISO timestamp when it was recorded).
+
+let historyFile = HISTORY_FILE;
+let cache = { key: null, events: [] };
+
+/**
+ * Use a different history file (for simulations and tests)
+ * @param {string} [file] - Path to use, or omit to restore the default
+ */
+function setHistoryFile(file) {
+  historyFile = file || HISTORY_FILE;
+  cache = { key: null, events: [] };
+}
+
+/**
+ * Get the path of the history file in use
+ * @returns {string} Path
+ */
+function getHistoryFile() {
+  return historyFile;
+}
+
+/**
+ * Block the current thread for a short time (used while waiting for the lock)
+ * @param {number} ms - Milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run a function while holding the history lock file
+ * Locks older than STALE_LOCK_MS are assumed to belong to a crashed run and removed
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ * @throws {Error} If the lock can't be acquired within LOCK_TIMEOUT_MS
+ */
+function withLock(fn) {
+  const lockFile = `${historyFile}.lock`;
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+          logger.warn('Removing stale history lock', { lockFile });
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (statErr) {
+        if (statErr.code === 'ENOENT') continue;
+        throw statErr;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for history lock: ${lockFile}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (err) {
+      // Already gone (e.g. removed as stale by another run)
+    }
+  }
+}
+
+/**
+ * Read and parse every event in the history file
+ * Results are cached until the file changes. An incomplete last line (from a
+ * crash mid-write) or any other unparseable line is skipped with a warning.
+ * @returns {Array<object>} Events in the order they were recorded
+ */
+function readAllEvents() {
+  let stat;
+  try {
+    stat = fs.statSync(historyFile);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const key = `${stat.size}:${stat.mtimeMs}`;
+  if (cache.key === key) {
+    return cache.events;
+  }
+
+  const events = [];
+  const lines = fs.readFileSync(historyFile, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      logger.warn('Skipping corrupt history line', { file: historyFile, line: i + 1 });
+    }
+  });
+
+  cache = { key, events };
+  return events;
+}
+
+/**
+ * Query history events
+ * @param {object} [filter] - Any of: type, date, from, to (inclusive YYYY-MM-DD), class, period
+ * @returns {Array<object>} Matching events
+ */
+function readEvents(filter = {}) {
+  return readAllEvents().filter(event =>
+    (!filter.type || event.type === filter.type) &&
+    (!filter.date || event.date === filter.date) &&
+    (!filter.from || event.date >= filter.from) &&
+    (!filter.to || event.date <= filter.to) &&
+    (!filter.class || event.class === filter.class) &&
+    (!filter.period || event.period === filter.period)
+  );
+}
+
+/**
+ * Append an event to the history file
+ * Each event is written with a single O_APPEND write, so lines from concurrent
+ * runs never interleave
+ * @param {object} event - Event (type, date, class, period, ...)
+ * @returns {object} The event as recorded (with "at")
+ */
+function appendEvent(event) {
+  const recorded = { at: clock.now().toISOString(), ...event };
+  fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+
+  const fd = fs.openSync(historyFile, 'a');
+  try {
+    fs.writeSync(fd, `${JSON.stringify(recorded)}\n`);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return recorded;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  setHistoryFile,
+  getHistoryFile,
+  withLock,
+  readEvents,
+  appendEvent
+};
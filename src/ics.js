@@ -0,0 +1,654 @@
+const { addDays } = require('./scheduler');
+const { zonedTimeToDate, getTimezoneOffsetMinutes } = require('./clock');
+
+// iCalendar (RFC 5545) reading and writing
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Stop expanding open-ended recurrences after this many occurrences
+const MAX_OCCURRENCES = 2000;
+
+// Outlook/Exchange exports use Windows zone names in TZID
+const WINDOWS_TIMEZONES = {
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC'
+};
+
+/**
+ * Join folded lines (continuation lines start with a space or tab)
+ * @param {string} text - Raw .ics text
+ * @returns {Array<string>} Unfolded content lines
+ */
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim());
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside double quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single-character separator
+ * @returns {Array<string>} Parts
+ */
+function splitUnquoted(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a content line such as DTSTART;TZID=Europe/London:20260112T090000
+ * @param {string} line - Unfolded content line
+ * @returns {object} { name, params: { NAME: value }, value }
+ */
+function parseContentLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return { name: line.toUpperCase(), params: {}, value: '' };
+  }
+
+  const [name, ...rawParams] = splitUnquoted(line.slice(0, colon), ';');
+  const params = {};
+  for (const param of rawParams) {
+    const equals = param.indexOf('=');
+    if (equals === -1) continue;
+    params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Unescape a TEXT value (\n, \, \; \\)
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse .ics text into nested components
+ * @param {string} text - Raw .ics text
+ * @returns {object} Root component { name: 'ROOT', properties: [...], components: [...] }
+ * @throws {Error} If BEGIN/END lines don't match
+ */
+function parseIcs(text) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (current.name !== property.value.toUpperCase()) {
+        throw new Error(`Unexpected END:${property.value} (inside ${current.name})`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Calendar ended inside ${stack[stack.length - 1].name}`);
+  }
+  return root;
+}
+
+/**
+ * Work out the IANA timezone for a TZID parameter
+ * @param {string} tzid - TZID value (IANA or Windows name)
+ * @returns {string|null} IANA timezone, or null if unrecognised
+ */
+function resolveTimezone(tzid) {
+  const name = WINDOWS_TIMEZONES[tzid] || tzid.replace(/^\/[^/]+\/[^/]+\//, ''); // strip /vendor/prefix/
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: name });
+    return name;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20260112, 20260112T090000 or 20260112T090000Z
+ * @param {object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimezone - Zone for floating times and unrecognised TZIDs
+ * @returns {object} { date: 'YYYY-MM-DD', time: { hours, minutes }|null, timezone, known }
+ * @throws {Error} If the value isn't a valid date
+ */
+function parseDateValue(value, params, defaultTimezone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (hours === undefined) {
+    return { date, time: null, timezone: defaultTimezone, known: true };
+  }
+
+  let timezone = defaultTimezone;
+  let known = true;
+  if (utc) {
+    timezone = 'UTC';
+  } else if (params.TZID) {
+    timezone = resolveTimezone(params.TZID);
+    known = timezone !== null;
+    timezone = timezone || defaultTimezone;
+  }
+  return { date, time: { hours: Number(hours), minutes: Number(minutes) }, timezone, known };
+}
+
+/**
+ * Parse a DURATION value such as PT40M, PT1H10M or P1D
+ * @param {string} value - Duration
+ * @returns {number} Minutes
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value into its parts
+ * @param {string} value - e.g. FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260328T000000Z
+ * @returns {object} { FREQ, INTERVAL, BYDAY, UNTIL, COUNT, ... } (strings)
+ */
+function parseRrule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) {
+      rule[key.toUpperCase()] = val;
+    }
+  }
+  return rule;
+}
+
+/**
+ * Convert a wall-clock date and time from one timezone to another
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} time - { hours, minutes }
+ * @param {string} fromZone - Source timezone
+ * @param {string} toZone - Target timezone
+ * @returns {object} { date, time: { hours, minutes } }
+ */
+function convertWallTime(date, time, fromZone, toZone) {
+  if (fromZone === toZone) {
+    return { date, time };
+  }
+
+  const instant = zonedTimeToDate(date, time, fromZone);
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: toZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  for (const part of formatter.formatToParts(instant)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: { hours: Number(parts.hour), minutes: Number(parts.minute) }
+  };
+}
+
+/**
+ * Get the weekday code (MO, TU, ...) of a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Weekday code
+ */
+function weekdayCode(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * List the dates a recurrence rule produces (in the event's own timezone)
+ * Supports FREQ=WEEKLY (with BYDAY and INTERVAL) and FREQ=DAILY, bounded by UNTIL/COUNT
+ * @param {string} startDate - DTSTART date (YYYY-MM-DD)
+ * @param {object} rule - Parsed RRULE
+ * @param {string|null} untilDate - Last possible date (from UNTIL, already in the event's timezone)
+ * @param {string|null} horizon - Stop here even if the rule goes on (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ * @throws {Error} If the frequency isn't supported
+ */
+function expandRule(startDate, rule, untilDate, horizon) {
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10));
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const last = [untilDate, horizon].filter(Boolean).sort()[0] || null;
+  const dates = [];
+
+  const done = date => dates.length >= Math.min(count, MAX_OCCURRENCES) || (last && date > last);
+
+  if (rule.FREQ === 'DAILY') {
+    for (let date = startDate; !done(date); date = addDays(date, interval)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  if (rule.FREQ !== 'WEEKLY') {
+    throw new Error(`Unsupported recurrence: FREQ=${rule.FREQ}`);
+  }
+
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',').map(code => code.trim().slice(-2).toUpperCase())
+    : [weekdayCode(startDate)];
+
+  // Walk whole weeks from the Monday of the start week
+  const offset = (new Date(`${startDate}T00:00:00Z`).getUTCDay() + 6) % 7;
+  let weekStart = addDays(startDate, -offset);
+  for (;;) {
+    for (let i = 0; i < 7; i++) {
+      const date = addDays(weekStart, i);
+      if (date < startDate || !byDay.includes(weekdayCode(date))) continue;
+      if (done(date)) return dates;
+      dates.push(date);
+    }
+    weekStart = addDays(weekStart, interval * 7);
+  }
+}
+
+/**
+ * Get the first property with a name
+ * @param {object} component - Parsed component
+ * @param {string} name - Property name
+ * @returns {object|undefined} Property
+ */
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+/**
+ * Expand the VEVENTs in a calendar into individual timed occurrences
+ *
+ * Recurrences are expanded in the event's own timezone (so a 09:00 lesson stays at
+ * 09:00 across DST), then converted to the target timezone. EXDATEs and moved or
+ * cancelled instances (RECURRENCE-ID) are applied. All-day events are skipped.
+ * @param {object} calendar - Root component from parseIcs
+ * @param {object} options - { timezone, from, to } (from/to limit the dates returned)
+ * @returns {object} { occurrences: [{ uid, date, start, end, summary, location, description }], warnings }
+ */
+function expandEvents(calendar, options) {
+  const { timezone, from = null, to = null } = options;
+  const warnings = [];
+  const events = [];
+  const visit = component => {
+    if (component.name === 'VEVENT') events.push(component);
+    component.components.forEach(visit);
+  };
+  visit(calendar);
+
+  const calendarZoneProperty = getProperty(calendar.components[0] || calendar, 'X-WR-TIMEZONE');
+  const calendarZone = (calendarZoneProperty && resolveTimezone(calendarZoneProperty.value)) || timezone;
+  const unknownZones = new Set();
+
+  const readDate = property => {
+    const parsed = parseDateValue(property.value, property.params, calendarZone);
+    if (!parsed.known) unknownZones.add(property.params.TZID);
+    return parsed;
+  };
+
+  // Instances moved or cancelled by a RECURRENCE-ID event, keyed by uid|date
+  const overridden = new Set();
+  for (const event of events) {
+    const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+    const uid = getProperty(event, 'UID');
+    if (recurrenceId && uid) {
+      overridden.add(`${uid.value}|${readDate(recurrenceId).date}`);
+    }
+  }
+
+  const occurrences = [];
+  for (const event of events) {
+    const text = name => {
+      const property = getProperty(event, name);
+      return property ? unescapeText(property.value).trim() : '';
+    };
+    const summary = text('SUMMARY');
+    const uid = text('UID');
+    const status = text('STATUS').toUpperCase();
+    if (status === 'CANCELLED') continue;
+
+    const dtstart = getProperty(event, 'DTSTART');
+    if (!dtstart) {
+      warnings.push(`Skipped "${summary}": no DTSTART`);
+      continue;
+    }
+
+    let start;
+    try {
+      start = readDate(dtstart);
+    } catch (err) {
+      warnings.push(`Skipped "${summary}": ${err.message}`);
+      continue;
+    }
+    if (!start.time) {
+      continue; // All-day event (INSET days, trips, etc.)
+    }
+
+    // Length of each occurrence in minutes
+    let duration;
+    try {
+      const dtend = getProperty(event, 'DTEND');
+      const durationProperty = getProperty(event, 'DURATION');
+      if (dtend) {
+        const end = readDate(dtend);
+        duration = (zonedTimeToDate(end.date, end.time || { hours: 0, minutes: 0 }, end.timezone) -
+          zonedTimeToDate(start.date, start.time, start.timezone)) / 60000;
+      } else {
+        duration = durationProperty ? parseDuration(durationProperty.value) : 0;
+      }
+    } catch (err) {
+      warnings.push(`Skipped "${summary}": ${err.message}`);
+      continue;
+    }
+
+    // Dates in the event's own timezone
+    let dates = [start.date];
+    const rrule = getProperty(event, 'RRULE');
+    const isOverride = Boolean(getProperty(event, 'RECURRENCE-ID'));
+    if (rrule && !isOverride) {
+      const rule = parseRrule(rrule.value);
+      let untilDate = null;
+      if (rule.UNTIL) {
+        const until = parseDateValue(rule.UNTIL, {}, start.timezone);
+        untilDate = until.time
+          ? convertWallTime(until.date, until.time, until.timezone, start.timezone).date
+          : until.date;
+      }
+      try {
+        dates = expandRule(start.date, rule, untilDate, to ? addDays(to, 1) : null);
+      } catch (err) {
+        warnings.push(`"${summary}": ${err.message}, only the first occurrence was imported`);
+      }
+    }
+
+    const excluded = new Set();
+    for (const property of event.properties.filter(p => p.name === 'EXDATE')) {
+      for (const value of property.value.split(',')) {
+        try {
+          const exdate = parseDateValue(value, property.params, start.timezone);
+          excluded.add(exdate.time
+            ? convertWallTime(exdate.date, exdate.time, exdate.timezone, start.timezone).date
+            : exdate.date);
+        } catch (err) {
+          warnings.push(`"${summary}": ${err.message}`);
+        }
+      }
+    }
+    for (const property of event.properties.filter(p => p.name === 'RDATE')) {
+      for (const value of property.value.split(',')) {
+        try {
+          dates.push(parseDateValue(value, property.params, start.timezone).date);
+        } catch (err) {
+          warnings.push(`"${summary}": ${err.message}`);
+        }
+      }
+    }
+
+    for (const date of [...new Set(dates)]) {
+      if (excluded.has(date)) continue;
+      if (!isOverride && overridden.has(`${uid}|${date}`)) continue;
+
+      const local = convertWallTime(date, start.time, start.timezone, timezone);
+      const endInstant = zonedTimeToDate(date, start.time, start.timezone).getTime() + duration * 60000;
+      const localEnd = convertWallTime(
+        new Date(endInstant).toISOString().slice(0, 10),
+        { hours: new Date(endInstant).getUTCHours(), minutes: new Date(endInstant).getUTCMinutes() },
+        'UTC',
+        timezone
+      );
+
+      if ((from && local.date < from) || (to && local.date > to)) continue;
+
+      occurrences.push({
+        uid,
+        date: local.date,
+        start: formatTime(local.time),
+        end: formatTime(localEnd.time),
+        summary,
+        location: text('LOCATION'),
+        description: text('DESCRIPTION')
+      });
+    }
+  }
+
+  for (const tzid of unknownZones) {
+    warnings.push(`Unrecognised timezone "${tzid}", treated as ${calendarZone}`);
+  }
+
+  occurrences.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  return { occurrences, warnings };
+}
+
+/**
+ * Format a time object as HH:MM
+ * @param {object} time - { hours, minutes }
+ * @returns {string} e.g. "09:05"
+ */
+function formatTime(time) {
+  return `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+}
+
+// Longest content line allowed before folding, in octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (never splitting a UTF-8 character)
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a local date and time as an iCalendar DATE-TIME (no zone suffix)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} time - { hours, minutes }
+ * @returns {string} e.g. 20260112T090000
+ */
+function formatLocalDateTime(date, time) {
+  return `${date.replace(/-/g, '')}T${String(time.hours).padStart(2, '0')}${String(time.minutes).padStart(2, '0')}00`;
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {Date} instant - Moment in time
+ * @returns {string} e.g. 20260112T090000Z
+ */
+function formatUtcDateTime(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a UTC offset for TZOFFSETFROM/TZOFFSETTO
+ * @param {number} minutes - Offset in minutes (e.g. 60)
+ * @returns {string} e.g. +0100
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Find the instants a timezone's UTC offset changes between two dates
+ * @param {string} timezone - Timezone string
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Array} [{ at: Date, from: minutes, to: minutes }]
+ */
+function findOffsetChanges(timezone, from, to) {
+  const changes = [];
+  const end = Date.parse(`${to}T23:59:59Z`);
+  let previous = Date.parse(`${from}T00:00:00Z`);
+  let previousOffset = getTimezoneOffsetMinutes(new Date(previous), timezone);
+
+  for (let time = previous + 6 * 3600000; time <= end + 6 * 3600000; time += 6 * 3600000) {
+    const offset = getTimezoneOffsetMinutes(new Date(time), timezone);
+    if (offset !== previousOffset) {
+      // Narrow down to the minute
+      let low = previous;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimezoneOffsetMinutes(new Date(middle), timezone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      changes.push({ at: new Date(high), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+    previous = time;
+  }
+  return changes;
+}
+
+/**
+ * Build a VTIMEZONE component covering a date range
+ * Each DST change in the range is listed explicitly rather than as a rule
+ * @param {string} timezone - Timezone string
+ * @param {string} from - First date covered (YYYY-MM-DD)
+ * @param {string} to - Last date covered (YYYY-MM-DD)
+ * @returns {Array<string>} Content lines
+ */
+function buildTimezone(timezone, from, to) {
+  // Start a little early so the first observance begins before the first event
+  const start = addDays(from, -7);
+  const initial = getTimezoneOffsetMinutes(new Date(`${start}T00:00:00Z`), timezone);
+  const changes = findOffsetChanges(timezone, start, to);
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  const observance = (type, dtstart, offsetFrom, offsetTo) => {
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${type}`
+    );
+  };
+
+  const standard = Math.min(initial, ...changes.map(change => change.to));
+  observance(initial > standard ? 'DAYLIGHT' : 'STANDARD', formatLocalDateTime(start, { hours: 0, minutes: 0 }), initial, initial);
+  for (const change of changes) {
+    // DTSTART is the wall-clock time just before the change, in the old offset
+    const local = new Date(change.at.getTime() + change.from * 60000);
+    const dtstart = formatUtcDateTime(local).replace('Z', '');
+    observance(change.to > standard ? 'DAYLIGHT' : 'STANDARD', dtstart, change.from, change.to);
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Serialise a calendar
+ * @param {object} calendar - { name, timezone, from, to, events: [Array<string> content lines per VEVENT] }
+ * @returns {string} .ics text (CRLF line endings, folded)
+ */
+function formatCalendar(calendar) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//active-registration//Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.name)}`,
+    `X-WR-TIMEZONE:${calendar.timezone}`,
+    ...buildTimezone(calendar.timezone, calendar.from, calendar.to)
+  ];
+  for (const event of calendar.events) {
+    lines.push('BEGIN:VEVENT', ...event, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseIcs,
+  expandEvents,
+  escapeText,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  formatCalendar
+};
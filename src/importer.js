@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { getTimetablesDir, validateTimetable } = require('./timetable');
+const { emptyExceptions } = require('./exceptions');
+const { loadTerms } = require('./terms');
+const { addDays } = require('./scheduler');
+const { formatDiff } = require('./diff');
+const { confirm } = require('./prompt');
+
+// Building timetable files from other sources (calendar feeds, spreadsheets)
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SCHEDULE_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Get the lowercase weekday name for a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} e.g. "monday"
+ */
+function dayOfDate(date) {
+  return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Get the Monday of the week containing a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Monday's date string
+ */
+function weekOf(date) {
+  return addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+/**
+ * Find the most common value in a list (first seen wins ties)
+ * @param {Array} values - Values
+ * @returns {*} Most common value
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Work out the period grid from lesson times
+ * Lessons are grouped by start time (a double lesson starting at 09:00 belongs to
+ * the 09:00 period); each period ends at the most common end time for that start.
+ * Periods whose start time matches an existing period keep that period's name.
+ * @param {Array} times - [{ start: 'HH:MM', end: 'HH:MM' }]
+ * @param {object} [existingPeriods] - Periods object to take names from
+ * @returns {object} Periods object in start-time order, e.g. { "1st School": { start, end } }
+ */
+function inferPeriods(times, existingPeriods = {}) {
+  const byStart = new Map();
+  for (const { start, end } of times) {
+    if (!byStart.has(start)) {
+      byStart.set(start, []);
+    }
+    byStart.get(start).push(end);
+  }
+
+  const periods = {};
+  [...byStart.keys()].sort().forEach((start, i) => {
+    const existing = Object.keys(existingPeriods).find(name => existingPeriods[name].start === start);
+    const name = existing && !periods[existing] ? existing : `Period ${i + 1}`;
+    periods[name] = { start, end: mostCommon(byStart.get(start)) };
+  });
+  return periods;
+}
+
+/**
+ * Build a timetable from dated lessons (e.g. expanded calendar occurrences)
+ *
+ * A lesson that happens in the same slot (weekday, period, class) in more than half of
+ * the teaching weeks goes in the weekly schedule; the rest become one-off additions.
+ * Weeks with no lessons at all (half-term) become closures, other missing regular
+ * lessons become cancellations, and rooms or subjects that differ from the usual one
+ * become changes.
+ * @param {Array} lessons - [{ date, start, end, class, subject, room }]
+ * @param {object} options - { name, startDate, endDate, description, existingPeriods }
+ * @returns {object} { timetable, warnings }
+ */
+function buildTimetable(lessons, options) {
+  const { name, startDate, endDate, description, existingPeriods } = options;
+  const warnings = [];
+
+  const inRange = lessons.filter(lesson => lesson.date >= startDate && lesson.date <= endDate);
+  const periods = inferPeriods(inRange, existingPeriods);
+  const periodByStart = {};
+  for (const [periodName, period] of Object.entries(periods)) {
+    periodByStart[period.start] = periodName;
+  }
+
+  const teachingDates = new Set(inRange.map(lesson => lesson.date));
+  const teachingWeeks = new Set([...teachingDates].map(weekOf));
+
+  // Group occurrences into weekly slots
+  const slots = new Map();
+  for (const lesson of inRange) {
+    const period = periodByStart[lesson.start];
+    const day = dayOfDate(lesson.date);
+    const key = `${day}|${period}|${lesson.class}`;
+    if (!slots.has(key)) {
+      slots.set(key, { day, period, class: lesson.class, occurrences: [] });
+    }
+    slots.get(key).occurrences.push(lesson);
+  }
+
+  const schedule = {};
+  for (const day of SCHEDULE_DAYS) {
+    schedule[day] = [];
+  }
+  const exceptions = emptyExceptions();
+
+  for (const slot of slots.values()) {
+    const dates = new Set(slot.occurrences.map(lesson => lesson.date));
+    const regular = dates.size * 2 > teachingWeeks.size;
+
+    if (!regular) {
+      for (const lesson of slot.occurrences) {
+        exceptions.additions.push({
+          date: lesson.date,
+          period: slot.period,
+          class: slot.class,
+          subject: lesson.subject,
+          ...(lesson.room ? { room: lesson.room } : {})
+        });
+      }
+      continue;
+    }
+
+    const subject = mostCommon(slot.occurrences.map(lesson => lesson.subject));
+    const room = mostCommon(slot.occurrences.map(lesson => lesson.room));
+    schedule[slot.day].push({ period: slot.period, class: slot.class, subject, ...(room ? { room } : {}) });
+
+    for (const lesson of slot.occurrences) {
+      const change = {};
+      if (lesson.subject !== subject) change.subject = lesson.subject;
+      if (lesson.room !== room) change.room = lesson.room;
+      if (Object.keys(change).length > 0) {
+        exceptions.changes.push({ date: lesson.date, period: slot.period, class: slot.class, ...change });
+      }
+    }
+
+    for (const week of teachingWeeks) {
+      const date = addDays(week, (DAYS.indexOf(slot.day) + 6) % 7);
+      if (date >= startDate && date <= endDate && !dates.has(date)) {
+        exceptions.cancellations.push({ date, period: slot.period, class: slot.class });
+      }
+    }
+  }
+
+  for (const day of SCHEDULE_DAYS) {
+    schedule[day].sort((a, b) => periods[a.period].start.localeCompare(periods[b.period].start) ||
+      a.class.localeCompare(b.class));
+
+    const seen = new Set();
+    for (const entry of schedule[day]) {
+      if (seen.has(entry.period)) {
+        warnings.push(`Two regular lessons on ${day} in ${entry.period} (check the calendar for clashes)`);
+      }
+      seen.add(entry.period);
+    }
+  }
+
+  // Whole weeks without lessons (consecutive weeks merged into one closure)
+  let run = null;
+  const closeRun = () => {
+    if (!run) return;
+    exceptions.closures.push({ from: run.from, to: run.to, reason: 'No lessons in calendar' });
+    run = null;
+  };
+  for (let week = weekOf(startDate); week <= endDate; week = addDays(week, 7)) {
+    if (teachingWeeks.has(week)) {
+      closeRun();
+      continue;
+    }
+    const from = week < startDate ? startDate : week;
+    const to = addDays(week, 6) > endDate ? endDate : addDays(week, 6);
+    run = run ? { ...run, to } : { from, to };
+  }
+  closeRun();
+
+  for (const section of ['cancellations', 'changes', 'additions']) {
+    exceptions[section].sort((a, b) => a.date.localeCompare(b.date) ||
+      periods[a.period].start.localeCompare(periods[b.period].start));
+  }
+
+  const timetable = {
+    meta: { name, startDate, endDate, ...(description ? { description } : {}) },
+    periods,
+    schedule
+  };
+  if (Object.values(exceptions).some(section => section.length > 0)) {
+    timetable.exceptions = exceptions;
+  }
+  return { timetable, warnings };
+}
+
+/**
+ * Find other timetables whose term dates overlap a new timetable's
+ * @param {string} name - Timetable name (ignored in the comparison)
+ * @param {object} meta - { startDate, endDate }
+ * @returns {Array<string>} Warnings
+ */
+function checkTermDates(name, meta) {
+  return loadTerms().terms
+    .filter(term => term.name !== name && term.startDate <= meta.endDate && meta.startDate <= term.endDate)
+    .map(term => `Dates overlap timetable "${term.name}" (${term.startDate} to ${term.endDate})`);
+}
+
+/**
+ * Format a timetable as it is stored on disk
+ * @param {object} timetable - Timetable object
+ * @returns {string} JSON text
+ */
+function formatTimetable(timetable) {
+  return `${JSON.stringify(timetable, null, 2)}\n`;
+}
+
+/**
+ * Validate a generated timetable, show what will change and write it after confirmation
+ * @param {string} name - Timetable name (file name without .json)
+ * @param {object} timetable - Timetable object
+ * @param {object} [options] - { yes: skip the confirmation, dryRun: never write }
+ * @returns {Promise<boolean>} True if the file was written
+ * @throws {Error} If the timetable doesn't validate
+ */
+async function saveTimetable(name, timetable, options = {}) {
+  const validation = validateTimetable(timetable);
+  if (!validation.valid) {
+    throw new Error(`Generated timetable is invalid:\n  ${validation.errors.join('\n  ')}`);
+  }
+
+  const file = path.join(getTimetablesDir(), `${name}.json`);
+  const after = formatTimetable(timetable);
+  let before = '';
+  try {
+    before = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const relative = path.relative(process.cwd(), file);
+  if (before === after) {
+    console.log(`${relative} is already up to date`);
+    return false;
+  }
+
+  if (before) {
+    console.log(`\nChanges to ${relative}:\n`);
+    console.log(formatDiff(before, after));
+  } else {
+    console.log(`\nNew file ${relative}:\n`);
+    console.log(after);
+  }
+
+  if (options.dryRun) {
+    console.log('\nDry run: nothing written');
+    return false;
+  }
+  if (!options.yes && !(await confirm(`\n${before ? 'Overwrite' : 'Write'} ${relative}?`))) {
+    console.log('Nothing written');
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, after);
+  console.log(`✓ Wrote ${relative}`);
+  return true;
+}
+
+module.exports = {
+  inferPeriods,
+  buildTimetable,
+  checkTermDates,
+  formatTimetable,
+  saveTimetable
+};
@@ -1,97 +1,96 @@
 require('dotenv').config();
 
+const { parseArgs } = require('util');
 const logger = require('./logger');
-const { loadSettings, loadTimetable, validateTimetable, getTodayLessons } = require('./timetable');
-const { getCurrentTime, getLessonsToNotify, getTodayDateString } = require('./scheduler');
-const { sendNotifications } = require('./notifications');
-const { hasBeenNotified, markNotified } = require('./dedup');
-
-async function main() {
-  logger.info('Checking for notifications...');
-
-  // Load configuration
-  let settings;
-  try {
-    settings = loadSettings();
-  } catch (err) {
-    logger.error('Failed to load settings', { error: err.message });
-    process.exit(1);
+const { runCheck, runAllChecks } = require('./check');
+const { startDaemon } = require('./daemon');
+const { setStrictValidation } = require('./validation');
+const { loadProfile, withProfile } = require('./users');
+const { loadSharedSettings } = require('./timetable');
+
+// Subcommands: node src/index.js <command> [args]
+// Each module exports { options, run({ positionals, values }) }
+const COMMANDS = {
+  ack: './commands/ack',
+  'export-ics': './commands/export-ics',
+  'import-csv': './commands/import-csv',
+  'import-ics': './commands/import-ics',
+  'new-term': './commands/new-term',
+  report: './commands/report',
+  serve: './commands/serve',
+  simulate: './commands/simulate',
+  users: './commands/users',
+  validate: './commands/validate'
+};
+
+/**
+ * Remove an option that applies to every command (e.g. --user <id>) from the arguments
+ * @param {Array<string>} args - Command-line arguments (modified)
+ * @param {string} name - Option name without the dashes
+ * @returns {string|undefined} The option's value, if given
+ * @throws {Error} If the option is given without a value
+ */
+function takeOption(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) {
+    return undefined;
   }
+  const [arg] = args.splice(index, 1);
+  const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : args.splice(index, 1)[0];
+  if (!value || value.startsWith('-')) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return value;
+}
 
-  // Load active timetable
-  let timetable;
+/**
+ * Apply settings.logging before anything is logged
+ * (a settings file that won't load is reported by whatever loads it next)
+ */
+function configureLogging() {
   try {
-    timetable = loadTimetable(settings.activeTimetable);
+    const settings = loadSharedSettings();
+    logger.configure({ ...settings.logging, timezone: settings.timezone });
   } catch (err) {
-    logger.error('Failed to load timetable', { error: err.message, timetable: settings.activeTimetable });
-    process.exit(1);
-  }
-
-  // Validate timetable
-  const validation = validateTimetable(timetable);
-  if (!validation.valid) {
-    logger.warn('Timetable validation warnings', { errors: validation.errors });
+    // Keep the default logging options
   }
+}
 
-  // Get current time
-  const currentTime = getCurrentTime(settings.timezone);
-  logger.info('Current time', {
-    time: `${String(currentTime.hours).padStart(2, '0')}:${String(currentTime.minutes).padStart(2, '0')}`,
-    day: currentTime.dayOfWeek
-  });
+async function main() {
+  const args = process.argv.slice(2);
+  configureLogging();
 
-  // Get today's lessons
-  const lessons = getTodayLessons(timetable);
-  if (lessons.length === 0) {
-    logger.info('No lessons today');
-    logger.info('Complete');
-    return;
-  }
+  // --user <id>: run as one teacher (config/users/<id>.json) instead of settings.json
+  const userId = takeOption(args, 'user');
+  const profile = userId ? loadProfile(userId) : null;
 
-  // Get lessons within the notification time window
-  const lessonsInWindow = getLessonsToNotify(
-    lessons,
-    timetable.periods,
-    settings.notificationOffset,
-    currentTime
-  );
+  const command = args[0] && !args[0].startsWith('-') ? args[0] : null;
 
-  if (lessonsInWindow.length === 0) {
-    logger.info('No notifications at this time');
-    logger.info('Complete');
+  if (command) {
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown command: ${command} (available: ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    const { options, run } = require(COMMANDS[command]);
+    const parsed = parseArgs({ args: args.slice(1), options, allowPositionals: true });
+    await (profile ? withProfile(profile, () => run(parsed)) : run(parsed));
     return;
   }
 
-  // Get today's date for deduplication
-  const todayDate = getTodayDateString(settings.timezone);
-
-  // Send notifications for each matching lesson (with deduplication)
-  for (const lesson of lessonsInWindow) {
-    // Check if already notified today
-    if (hasBeenNotified(lesson, todayDate)) {
-      logger.info('Skipping duplicate notification', {
-        class: lesson.class,
-        period: lesson.period,
-        date: todayDate
-      });
-      continue;
-    }
-
-    logger.info('Match found', { class: lesson.class, subject: lesson.subject });
-
-    try {
-      const result = await sendNotifications(lesson, settings);
-      logger.info('Notification result', result);
+  // --strict: refuse to run on invalid settings, timetables or exceptions instead of warning
+  if (args.includes('--strict')) {
+    setStrictValidation(true);
+  }
 
-      // Mark as notified to prevent duplicates
-      markNotified(lesson, todayDate);
-    } catch (err) {
-      logger.error('Failed to send notifications', { error: err.message });
-      // Don't mark as notified if sending failed, so retry is possible
+  if (args.includes('--daemon')) {
+    if (profile) {
+      throw new Error('--user can\'t be used with --daemon (the daemon runs every enabled profile)');
     }
+    await startDaemon();
+    return;
   }
 
-  logger.info('Complete');
+  // Every teacher, or just the one given with --user
+  await (profile ? withProfile(profile, () => runCheck()) : runAllChecks());
 }
 
 main().catch(err => {
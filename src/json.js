@@ -0,0 +1,194 @@
+// JSON parsing that remembers where each value is in the source text
+//
+// JSON.parse only says "at position 1234" when something is wrong, and nothing at all
+// about where a value that parsed fine came from. This parser records the line and
+// column of every value by its JSON pointer, so validation problems can point at the
+// right line of settings.json or a timetable.
+
+/**
+ * Escape one JSON pointer reference token
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Token with ~ and / escaped
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from a parent pointer and a child token
+ * @param {string} pointer - Parent pointer ('' for the document root)
+ * @param {string|number} token - Property name or array index
+ * @returns {string} e.g. '/periods/1st School/start'
+ */
+function joinPointer(pointer, token) {
+  return `${pointer}/${escapePointerToken(token)}`;
+}
+
+/**
+ * Parse JSON text, recording the position of every value
+ * @param {string} text - JSON text (a leading BOM is ignored)
+ * @returns {object} { value, locations: Map<pointer, { line, column }> } (1-based)
+ * @throws {SyntaxError} If the text isn't valid JSON (with line and column properties)
+ */
+function parseJsonWithLocations(text) {
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const position = () => ({ line, column: index - lineStart + 1 });
+
+  const fail = message => {
+    const { line: l, column } = position();
+    const err = new SyntaxError(`${message} at line ${l}, column ${column}`);
+    err.line = l;
+    err.column = column;
+    throw err;
+  };
+
+  const skipWhitespace = () => {
+    while (index < source.length) {
+      const char = source[index];
+      if (char === '\n') {
+        line++;
+        lineStart = index + 1;
+      } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+        return;
+      }
+      index++;
+    }
+  };
+
+  const describe = () => (index < source.length ? `Unexpected ${JSON.stringify(source[index])}` : 'Unexpected end of JSON');
+
+  const expect = char => {
+    if (source[index] !== char) fail(`${describe()}, expected ${JSON.stringify(char)}`);
+    index++;
+  };
+
+  const parseString = () => {
+    const start = index;
+    expect('"');
+    for (;;) {
+      const char = source[index];
+      if (char === undefined || char === '\n') fail('Unterminated string');
+      if (char === '"') break;
+      if (char === '\\') index++;
+      else if (char < ' ') fail('Control character in string');
+      index++;
+    }
+    index++;
+    try {
+      return JSON.parse(source.slice(start, index));
+    } catch (err) {
+      index = start;
+      return fail('Invalid escape in string');
+    }
+  };
+
+  const parseValue = pointer => {
+    skipWhitespace();
+    locations.set(pointer, position());
+    const char = source[index];
+
+    if (char === '{') {
+      index++;
+      const object = {};
+      skipWhitespace();
+      if (source[index] === '}') {
+        index++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (source[index] !== '"') fail(`${describe()}, expected a property name`);
+        const key = parseString();
+        skipWhitespace();
+        expect(':');
+        const item = parseValue(joinPointer(pointer, key));
+        // defineProperty, like JSON.parse, so a "__proto__" key is just a key
+        Object.defineProperty(object, key, { value: item, enumerable: true, writable: true, configurable: true });
+        skipWhitespace();
+        if (source[index] === ',') {
+          index++;
+          continue;
+        }
+        expect('}');
+        return object;
+      }
+    }
+
+    if (char === '[') {
+      index++;
+      const array = [];
+      skipWhitespace();
+      if (source[index] === ']') {
+        index++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue(joinPointer(pointer, array.length)));
+        skipWhitespace();
+        if (source[index] === ',') {
+          index++;
+          continue;
+        }
+        expect(']');
+        return array;
+      }
+    }
+
+    if (char === '"') {
+      return parseString();
+    }
+
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (source.startsWith(literal, index)) {
+        index += literal.length;
+        return value;
+      }
+    }
+
+    const number = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(source.slice(index, index + 64));
+    if (number) {
+      index += number[0].length;
+      return Number(number[0]);
+    }
+
+    return fail(describe());
+  };
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (index < source.length) {
+    fail(`${describe()} after the end of the JSON`);
+  }
+  return { value, locations };
+}
+
+/**
+ * Find the source position for a pointer, falling back to the nearest parent
+ * (a missing property is reported at the object that should contain it)
+ * @param {Map} locations - From parseJsonWithLocations
+ * @param {string} pointer - JSON pointer
+ * @returns {object|null} { line, column }, or null if nothing matches
+ */
+function locatePointer(locations, pointer) {
+  let current = pointer;
+  for (;;) {
+    if (locations.has(current)) {
+      return locations.get(current);
+    }
+    if (current === '') {
+      return null;
+    }
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+}
+
+module.exports = {
+  joinPointer,
+  parseJsonWithLocations,
+  locatePointer
+};
@@ -1,35 +1,302 @@
+// Logging
+//
+// Entries go to the console and to logs/activity.log (and, while running for a teacher,
+// to their own log too). settings.logging controls them:
+//   level       - lowest level written: DEBUG, INFO (default), WARN or ERROR
+//                 (LOG_LEVEL in the environment overrides it for one run)
+//   format      - "text" (default): 2026-01-12T09:10:00.000Z [INFO] [3f9a1c2e] Message {"data":1}
+//                 "json": one JSON object per line with time, level, run, user, message, data
+//   maxSizeKb   - rotate a log once it would grow past this (default 1024; 0 for no limit)
+//   rotateDaily - rotate a log when the first entry of a new day is written (default true)
+//   keepFiles   - rotated logs to keep per log file (default 30)
+//   keepDays    - delete rotated logs older than this many days (default 30; 0 to keep them)
+//   redact      - hide secrets and email addresses (default true)
+// A rotated log is gzipped alongside the live one as activity-<date>.log.gz (.1, .2... when
+// a log is rotated more than once in a day).
+//
+// Every entry carries a run id, so the lines from one run can be picked out of the file;
+// the daemon starts a new run for each check.
+
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const clock = require('./clock');
 
 // Path to log file (relative to project root)
 const LOG_DIR = path.join(__dirname, '..', 'logs');
 const LOG_FILE = path.join(LOG_DIR, 'activity.log');
 
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+const DEFAULT_OPTIONS = {
+  level: 'INFO',
+  format: 'text',
+  maxSizeKb: 1024,
+  rotateDaily: true,
+  keepFiles: 30,
+  keepDays: 30,
+  redact: true,
+  timezone: undefined
+};
+
+// Data keys whose values are always hidden, e.g. { token }, { apiKey }, { password }
+const SECRET_KEY_REGEX = /(token|secret|password|pass|apikey|api_key|userkey|user_key|authorization)$/i;
+// Environment variables whose values are hidden wherever they appear
+const SECRET_ENV_REGEX = /KEY|TOKEN|SECRET|PASS/;
+const EMAIL_REGEX = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+// Tokens in URLs, such as acknowledgement links (?t=...)
+const URL_TOKEN_REGEX = /([?&](?:t|token|key)=)[^&\s"]+/g;
+const REDACTED = '[REDACTED]';
+
+let options = { ...DEFAULT_OPTIONS };
+let logFile = LOG_FILE;
+let runId = createRunId();
+
+// When set, entries go here instead of the console and log file (used by the simulator)
+let sink = null;
+
+// Set while running for one teacher: { label, file } tags entries and copies them to their own log
+let context = null;
+
+/**
+ * Create a short random id for a run
+ * @returns {string} 8 hex characters
+ */
+function createRunId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Set the logging options (see the top of this file)
+ * @param {object} [value] - settings.logging, plus timezone (settings.timezone) for daily rotation
+ */
+function configure(value = {}) {
+  options = { ...DEFAULT_OPTIONS, ...value };
+}
+
+/**
+ * Get the logging options in effect
+ * @returns {object} Options, with the level after any LOG_LEVEL override
+ */
+function getOptions() {
+  const level = String(process.env.LOG_LEVEL || options.level).toUpperCase();
+  return { ...options, level: LEVELS[level] ? level : DEFAULT_OPTIONS.level };
+}
+
 /**
- * Ensure the logs directory exists
+ * Start a new run: later entries carry a new run id
+ * @returns {string} The new run id
  */
-function ensureLogDir() {
-  if (!fs.existsSync(LOG_DIR)) {
-    fs.mkdirSync(LOG_DIR, { recursive: true });
+function startRun() {
+  runId = createRunId();
+  return runId;
+}
+
+/**
+ * Get the current run id
+ * @returns {string} Run id
+ */
+function getRunId() {
+  return runId;
+}
+
+/**
+ * Set the main log file (tests write to a temporary one)
+ * @param {string} [file] - Path, or undefined for logs/activity.log
+ */
+function setLogFile(file) {
+  logFile = file || LOG_FILE;
+}
+
+/**
+ * Get the main log file
+ * @returns {string} Path
+ */
+function getLogFile() {
+  return logFile;
+}
+
+/**
+ * Hide secrets, email addresses and URL tokens in a string
+ * @param {string} text - Text
+ * @returns {string} Redacted text
+ */
+function redactText(text) {
+  let redacted = text;
+  for (const [name, value] of Object.entries(process.env)) {
+    if (SECRET_ENV_REGEX.test(name) && value && value.length >= 6) {
+      redacted = redacted.split(value).join(REDACTED);
+    }
   }
+  return redacted
+    .replace(URL_TOKEN_REGEX, `$1${REDACTED}`)
+    .replace(EMAIL_REGEX, '$1***@$2');
+}
+
+/**
+ * Hide secrets, email addresses and URL tokens in log data
+ * @param {*} value - Data (strings, arrays and objects are redacted recursively)
+ * @param {string} [key] - The value's key in its parent object
+ * @returns {*} Redacted copy
+ */
+function redact(value, key) {
+  if (typeof value === 'string') {
+    return key && SECRET_KEY_REGEX.test(key) ? REDACTED : redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  return value;
 }
 
 /**
  * Format a log entry
- * @param {string} level - Log level (INFO, WARN, ERROR)
+ * @param {string} level - Log level (DEBUG, INFO, WARN, ERROR)
  * @param {string} message - Log message
  * @param {object} [data] - Optional data object
+ * @param {string} [format] - 'text' or 'json'
  * @returns {string} Formatted log entry
  */
-function formatLogEntry(level, message, data) {
-  const timestamp = new Date().toISOString();
-  let entry = `${timestamp} [${level}] ${message}`;
+function formatLogEntry(level, message, data, format = 'text') {
+  const timestamp = clock.now().toISOString();
+  if (format === 'json') {
+    return JSON.stringify({
+      time: timestamp,
+      level,
+      run: runId,
+      ...(context ? { user: context.label } : {}),
+      message,
+      ...(data !== undefined ? { data } : {})
+    });
+  }
+
+  let entry = `${timestamp} [${level}] [${runId}] ${context ? `[${context.label}] ` : ''}${message}`;
   if (data !== undefined) {
     entry += ` ${JSON.stringify(data)}`;
   }
   return entry;
 }
 
+/**
+ * Get the name for a rotated log that isn't taken yet
+ * @param {string} file - Live log file
+ * @param {string} date - Date of the entries in it (YYYY-MM-DD)
+ * @returns {string} e.g. logs/activity-2026-01-12.log.gz
+ */
+function getRotatedName(file, date) {
+  const { dir, name, ext } = path.parse(file);
+  for (let n = 0; ; n++) {
+    const candidate = path.join(dir, `${name}-${date}${n > 0 ? `.${n}` : ''}${ext}.gz`);
+    if (!fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Delete rotated logs beyond keepFiles, or older than keepDays
+ * @param {string} file - Live log file
+ * @param {object} settings - Logging options
+ */
+function pruneRotated(file, settings) {
+  const { dir, name, ext } = path.parse(file);
+  const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?${ext.replace('.', '\\.')}\\.gz$`);
+  const rotated = fs.readdirSync(dir)
+    .map(entry => ({ entry, match: pattern.exec(entry) }))
+    .filter(({ match }) => match)
+    .map(({ entry, match }) => ({ file: path.join(dir, entry), date: match[1], n: parseInt(match[2] || '0', 10) }))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.n - a.n);
+
+  const today = clock.getZonedNow(settings.timezone).date;
+  const cutoff = new Date(Date.parse(`${today}T00:00:00Z`) - settings.keepDays * 86400000).toISOString().slice(0, 10);
+  rotated.forEach((item, i) => {
+    if (i >= settings.keepFiles || (settings.keepDays > 0 && item.date < cutoff)) {
+      fs.rmSync(item.file, { force: true });
+    }
+  });
+}
+
+/**
+ * Rotate a log file first if the next entry would take it past maxSizeKb, or it's from an earlier day
+ * @param {string} file - Log file
+ * @param {number} bytes - Size of the entry about to be written
+ * @param {object} settings - Logging options
+ */
+function rotateIfNeeded(file, bytes, settings) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    return; // Nothing to rotate yet
+  }
+  if (stat.size === 0) return;
+
+  const fileDate = clock.getZonedDateTime(stat.mtime, settings.timezone).date;
+  const today = clock.getZonedNow(settings.timezone).date;
+  const tooBig = settings.maxSizeKb > 0 && stat.size + bytes > settings.maxSizeKb * 1024;
+  if (!tooBig && !(settings.rotateDaily && today > fileDate)) {
+    return;
+  }
+
+  // Move the log aside first, so another process appending to it starts a new file
+  const target = getRotatedName(file, fileDate);
+  const moving = `${target}.tmp`;
+  try {
+    fs.renameSync(file, moving);
+  } catch (err) {
+    if (err.code === 'ENOENT') return; // Another process rotated it
+    throw err;
+  }
+  fs.writeFileSync(target, zlib.gzipSync(fs.readFileSync(moving)));
+  fs.rmSync(moving, { force: true });
+  pruneRotated(file, settings);
+}
+
+/**
+ * Append an entry to a log file, rotating it first if needed
+ * @param {string} file - Log file
+ * @param {string} entry - Formatted entry
+ * @param {object} settings - Logging options
+ */
+function writeToFile(file, entry, settings) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const line = `${entry}\n`;
+  try {
+    rotateIfNeeded(file, Buffer.byteLength(line), settings);
+  } catch (err) {
+    console.error(`Failed to rotate log file ${file}: ${err.message}`);
+  }
+  fs.appendFileSync(file, line);
+}
+
+/**
+ * Send log entries somewhere else instead of the console and log file
+ * @param {Function|null} fn - ({ level, message, data, entry }) => void, or null to go back to normal
+ */
+function setSink(fn) {
+  sink = fn;
+}
+
+/**
+ * Tag log entries with who they are about, and copy them to that teacher's own log
+ * @param {object|null} value - { label, file }, or null for no tag
+ */
+function setContext(value) {
+  context = value;
+}
+
+/**
+ * Get the current log context
+ * @returns {object|null} { label, file }, or null
+ */
+function getContext() {
+  return context;
+}
+
 /**
  * Write log entry to console and file
  * @param {string} level - Log level
@@ -37,7 +304,21 @@ function formatLogEntry(level, message, data) {
  * @param {object} [data] - Optional data object
  */
 function log(level, message, data) {
-  const entry = formatLogEntry(level, message, data);
+  const settings = getOptions();
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  if (settings.redact) {
+    message = redactText(message);
+    data = redact(data);
+  }
+  const entry = formatLogEntry(level, message, data, settings.format);
+
+  if (sink) {
+    sink({ level, message, data, entry });
+    return;
+  }
 
   // Always write to console
   if (level === 'ERROR') {
@@ -50,8 +331,10 @@ function log(level, message, data) {
 
   // Attempt to write to file
   try {
-    ensureLogDir();
-    fs.appendFileSync(LOG_FILE, entry + '\n');
+    writeToFile(logFile, entry, settings);
+    if (context?.file) {
+      writeToFile(context.file, entry, settings);
+    }
   } catch (err) {
     // If file write fails, log to console only
     console.error(`Failed to write to log file: ${err.message}`);
@@ -59,6 +342,15 @@ function log(level, message, data) {
 }
 
 const logger = {
+  /**
+   * Log a debugging message (only written when the level is DEBUG)
+   * @param {string} message - Log message
+   * @param {object} [data] - Optional data object
+   */
+  debug(message, data) {
+    log('DEBUG', message, data);
+  },
+
   /**
    * Log an informational message
    * @param {string} message - Log message
@@ -84,7 +376,19 @@ const logger = {
    */
   error(message, data) {
     log('ERROR', message, data);
-  }
+  },
+
+  LEVELS,
+  configure,
+  getOptions,
+  startRun,
+  getRunId,
+  setLogFile,
+  getLogFile,
+  redact,
+  setSink,
+  setContext,
+  getContext
 };
 
 module.exports = logger;
@@ -1,19 +1,13 @@
 require('dotenv').config();
 const logger = require('./logger');
+const { registerChannel, getEnabledChannels, checkChannel, getEnvName, getEnv } = require('./channels');
+const { buildMessage, sendMail } = require('./smtp');
+const { getEscalationPolicy } = require('./scheduler');
+const { DEFAULT_RETRY, withRetry, createHttpError } = require('./retry');
+const { renderTemplate, buildTemplateValues, getTemplates, renderTemplates } = require('./templates');
 
 const PUSHOVER_URL = 'https://api.pushover.net/1/messages.json';
 const RESEND_URL = 'https://api.resend.com/emails';
-const RETRY_DELAY_MS = 5000;
-const TIMEOUT_MS = 30000;
-
-/**
- * Delay execution for specified milliseconds
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise}
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
 
 /**
  * Fetch with timeout
@@ -22,7 +16,7 @@ function delay(ms) {
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<Response>}
  */
-async function fetchWithTimeout(url, options, timeout = TIMEOUT_MS) {
+async function fetchWithTimeout(url, options, timeout = DEFAULT_RETRY.timeoutMs) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -37,19 +31,69 @@ async function fetchWithTimeout(url, options, timeout = TIMEOUT_MS) {
   }
 }
 
+/**
+ * Send a request, retrying it according to settings.retry (see retry.js)
+ * @param {string} service - Service name (used in log and error messages)
+ * @param {string} url - URL to send to
+ * @param {object} options - Fetch options
+ * @param {object} settings - Settings object (for settings.retry)
+ * @returns {Promise<void>}
+ * @throws {Error} If the request can't be sent
+ */
+async function postWithRetry(service, url, options, settings) {
+  await withRetry(service, async ({ timeoutMs }) => {
+    let response;
+    try {
+      response = await fetchWithTimeout(url, options, timeoutMs);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`${service} API did not respond within ${(timeoutMs / 1000).toFixed(1)}s`);
+      }
+      throw err;
+    }
+    if (!response.ok) {
+      throw createHttpError(service, response, await response.text());
+    }
+  }, settings);
+}
+
+/**
+ * Render every string inside a JSON-style template (objects, arrays, strings)
+ * @param {*} template - Template value
+ * @param {object} values - Values to substitute
+ * @returns {*} Rendered copy
+ */
+function renderJsonTemplate(template, values) {
+  if (typeof template === 'string') {
+    return renderTemplate(template, values);
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderJsonTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderJsonTemplate(value, values);
+    }
+    return rendered;
+  }
+  return template;
+}
+
 /**
  * Send a push notification via Pushover API
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {object} settings - Settings object with pushover config
+ * @param {object} [overrides] - Extra payload fields (e.g. { priority: 2, retry, expire })
  * @returns {Promise<void>}
  */
-async function sendPushover(title, message, settings) {
-  const userKey = process.env.PUSHOVER_USER_KEY;
-  const apiToken = process.env.PUSHOVER_API_TOKEN;
+async function sendPushover(title, message, settings, overrides = {}) {
+  const userKey = getEnv(settings, 'PUSHOVER_USER_KEY');
+  const apiToken = getEnv(settings, 'PUSHOVER_API_TOKEN');
 
   if (!userKey || !apiToken) {
-    throw new Error('Missing Pushover credentials: PUSHOVER_USER_KEY and PUSHOVER_API_TOKEN must be set in .env');
+    throw new Error(`Missing Pushover credentials: ${getEnvName(settings, 'PUSHOVER_USER_KEY')} and ${getEnvName(settings, 'PUSHOVER_API_TOKEN')} must be set in .env`);
   }
 
   const payload = {
@@ -58,7 +102,8 @@ async function sendPushover(title, message, settings) {
     title,
     message,
     priority: settings.pushover?.priority ?? 1,
-    sound: settings.pushover?.sound ?? 'pushover'
+    sound: settings.pushover?.sound ?? 'pushover',
+    ...overrides
   };
 
   const options = {
@@ -67,27 +112,22 @@ async function sendPushover(title, message, settings) {
     body: JSON.stringify(payload)
   };
 
-  // First attempt
-  let response;
-  try {
-    response = await fetchWithTimeout(PUSHOVER_URL, options);
-    if (response.ok) return;
-  } catch (err) {
-    logger.warn('Pushover first attempt failed, retrying...', { error: err.message });
-  }
-
-  // Retry after delay
-  await delay(RETRY_DELAY_MS);
+  await postWithRetry('Pushover', settings.pushover?.apiUrl || PUSHOVER_URL, options, settings);
+}
 
-  try {
-    response = await fetchWithTimeout(PUSHOVER_URL, options);
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`Pushover API returned ${response.status}: ${text}`);
-    }
-  } catch (err) {
-    throw new Error(`Pushover failed after retry: ${err.message}`);
+/**
+ * Send an email using the transport chosen in settings.email.transport
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body (plain text)
+ * @param {object} settings - Settings object with email config
+ * @param {string|null} [html] - HTML version of the body, sent alongside the text
+ * @returns {Promise<void>}
+ */
+async function sendEmail(subject, body, settings, html = null) {
+  if (settings.email?.transport === 'smtp') {
+    return sendSmtpEmail(subject, body, settings, html);
   }
+  return sendResendEmail(subject, body, settings, html);
 }
 
 /**
@@ -95,13 +135,14 @@ async function sendPushover(title, message, settings) {
  * @param {string} subject - Email subject
  * @param {string} body - Email body (plain text)
  * @param {object} settings - Settings object with email config
+ * @param {string|null} [html] - HTML version of the body
  * @returns {Promise<void>}
  */
-async function sendEmail(subject, body, settings) {
-  const apiKey = process.env.RESEND_API_KEY;
+async function sendResendEmail(subject, body, settings, html = null) {
+  const apiKey = getEnv(settings, 'RESEND_API_KEY');
 
   if (!apiKey) {
-    throw new Error('Missing Resend credentials: RESEND_API_KEY must be set in .env');
+    throw new Error(`Missing Resend credentials: ${getEnvName(settings, 'RESEND_API_KEY')} must be set in .env`);
   }
 
   const from = settings.email?.fromName
@@ -112,7 +153,8 @@ async function sendEmail(subject, body, settings) {
     from,
     to: settings.email.to,
     subject,
-    text: body
+    text: body,
+    ...(html ? { html } : {})
   };
 
   const options = {
@@ -124,69 +166,434 @@ async function sendEmail(subject, body, settings) {
     body: JSON.stringify(payload)
   };
 
-  // First attempt
-  let response;
-  try {
-    response = await fetchWithTimeout(RESEND_URL, options);
-    if (response.ok) return;
-  } catch (err) {
-    logger.warn('Resend first attempt failed, retrying...', { error: err.message });
+  await postWithRetry('Resend', settings.email.apiUrl || RESEND_URL, options, settings);
+}
+
+/**
+ * Send an email directly through an SMTP server (settings.email.smtp)
+ * Credentials come from SMTP_USER / SMTP_PASS in .env (leave unset for an open relay)
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body (plain text)
+ * @param {object} settings - Settings object with email config
+ * @param {string|null} [html] - HTML version of the body
+ * @returns {Promise<void>}
+ */
+async function sendSmtpEmail(subject, body, settings, html = null) {
+  const smtp = settings.email?.smtp || {};
+  if (!smtp.host) {
+    throw new Error('Missing SMTP config: email.smtp.host must be set in settings.json');
   }
 
-  // Retry after delay
-  await delay(RETRY_DELAY_MS);
+  const security = smtp.security || 'starttls';
+  const message = buildMessage({
+    from: settings.email.from,
+    fromName: settings.email.fromName,
+    to: settings.email.to,
+    subject,
+    text: body,
+    html
+  });
 
-  try {
-    response = await fetchWithTimeout(RESEND_URL, options);
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`Resend API returned ${response.status}: ${text}`);
-    }
-  } catch (err) {
-    throw new Error(`Resend failed after retry: ${err.message}`);
+  await withRetry('SMTP', ({ timeoutMs }) => sendMail({
+    host: smtp.host,
+    port: smtp.port || (security === 'tls' ? 465 : 587),
+    security,
+    authMethod: smtp.authMethod,
+    rejectUnauthorized: smtp.rejectUnauthorized !== false,
+    user: getEnv(settings, 'SMTP_USER'),
+    pass: getEnv(settings, 'SMTP_PASS'),
+    from: settings.email.from,
+    to: settings.email.to,
+    message,
+    timeout: timeoutMs
+  }), settings);
+}
+
+/**
+ * Send a push notification via a (self-hosted) ntfy server
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {object} settings - Settings object with ntfy config
+ * @returns {Promise<void>}
+ */
+async function sendNtfy(title, message, settings) {
+  const { url, topic } = settings.ntfy || {};
+  if (!url || !topic) {
+    throw new Error('Missing ntfy config: ntfy.url and ntfy.topic must be set in settings.json');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  const token = getEnv(settings, 'NTFY_TOKEN');
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
   }
+
+  const payload = {
+    topic,
+    title,
+    message,
+    priority: settings.ntfy.priority ?? 4,
+    tags: settings.ntfy.tags ?? ['clipboard']
+  };
+
+  const options = {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  };
+
+  await postWithRetry('ntfy', url.replace(/\/+$/, ''), options, settings);
 }
 
 /**
- * Send notifications via both Pushover and Email
- * @param {object} lesson - Lesson object with class and subject
+ * Send a push notification via a self-hosted Gotify server
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {object} settings - Settings object with gotify config
+ * @returns {Promise<void>}
+ */
+async function sendGotify(title, message, settings) {
+  const appToken = getEnv(settings, 'GOTIFY_TOKEN');
+
+  if (!appToken) {
+    throw new Error(`Missing Gotify credentials: ${getEnvName(settings, 'GOTIFY_TOKEN')} must be set in .env`);
+  }
+  if (!settings.gotify?.url) {
+    throw new Error('Missing Gotify config: gotify.url must be set in settings.json');
+  }
+
+  const payload = {
+    title,
+    message,
+    priority: settings.gotify.priority ?? 8
+  };
+
+  const options = {
+    method: 'POST',
+    headers: {
+      'X-Gotify-Key': appToken,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  };
+
+  await postWithRetry('Gotify', `${settings.gotify.url.replace(/\/+$/, '')}/message`, options, settings);
+}
+
+/**
+ * Send a notification to a generic JSON webhook
+ * settings.webhook.body and header values are templates: {{title}}, {{message}},
+ * {{subject}}, {{body}}, any of the reminder placeholders ({{class}}, {{start}},
+ * {{note}}, {{next.class}}... - see templates.js), {{lesson.class}}, {{lesson.subject}},
+ * {{lesson.period}}, {{lesson.room}} and {{env.NAME}} (for secrets kept in .env, if NAME is
+ * listed in settings.env) are filled in.
+ * @param {object} notification - Notification { title, message, subject, body, lesson, values }
+ * @param {object} settings - Settings object with webhook config
+ * @returns {Promise<void>}
+ */
+async function sendWebhook(notification, settings) {
+  const webhook = settings.webhook || {};
+  if (!webhook.url) {
+    throw new Error('Missing webhook config: webhook.url must be set in settings.json');
+  }
+
+  // {{env.NAME}} only reaches the names listed in settings.env, each read through its
+  // mapping, so a teacher's webhook gets their own secret and can't read anyone else's
+  const env = {};
+  for (const name of Object.keys(settings.env || {})) {
+    env[name] = getEnv(settings, name);
+  }
+  // The rendered title, message, subject and body win over lesson fields of the same name:
+  // {{subject}} is always the message's subject, and the lesson's is {{lesson.subject}}
+  const { values: lessonValues = {}, ...content } = notification;
+  const { title, message, subject, body } = content;
+  const values = { ...content, ...lessonValues, title, message, subject, body, env };
+  const bodyTemplate = webhook.body ?? {
+    title: '{{title}}',
+    message: '{{message}}',
+    class: '{{lesson.class}}',
+    subject: '{{lesson.subject}}',
+    period: '{{lesson.period}}'
+  };
+
+  const options = {
+    method: webhook.method || 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...renderJsonTemplate(webhook.headers || {}, values)
+    },
+    body: JSON.stringify(renderJsonTemplate(bodyTemplate, values))
+  };
+
+  await postWithRetry('Webhook', webhook.url, options, settings);
+}
+
+/**
+ * Get the Pushover payload overrides for an escalated follow-up
+ * From settings.escalation.escalateFromAttempt onwards, settings.escalation.pushover
+ * (e.g. { priority: 2, retry: 60, expire: 600 }) replaces the normal priority
+ * @param {object} notification - Notification with attempt number
  * @param {object} settings - Settings object
- * @returns {Promise<object>} { pushover: 'success'|'failed', email: 'success'|'failed' }
+ * @returns {object} Payload overrides (empty if not escalated)
  */
-async function sendNotifications(lesson, settings) {
-  const pushoverTitle = '📋 Take Registration';
-  const pushoverMessage = `${lesson.class} (${lesson.subject})`;
+function getPushoverEscalation(notification, settings) {
+  const escalation = getEscalationPolicy(settings.escalation);
+  if (!escalation.enabled || notification.attempt < escalation.escalateFromAttempt) {
+    return {};
+  }
 
-  const emailSubject = `📋 Take Registration – ${lesson.class}`;
-  const emailBody = `Reminder: Take registration for ${lesson.class} (${lesson.subject})`;
+  const overrides = { priority: 2, retry: 60, expire: 600, ...escalation.pushover };
+  if (overrides.priority !== 2) {
+    // retry/expire are only valid for emergency priority
+    delete overrides.retry;
+    delete overrides.expire;
+  }
+  return overrides;
+}
+
+registerChannel({
+  name: 'pushover',
+  description: 'Pushover push notifications',
+  envVars: ['PUSHOVER_USER_KEY', 'PUSHOVER_API_TOKEN'],
+  validateConfig(settings) {
+    const errors = [];
+    const priority = settings.pushover?.priority;
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < -2 || priority > 2)) {
+      errors.push(`pushover.priority must be a whole number from -2 to 2: ${priority}`);
+    }
+    return errors;
+  },
+  send(notification, settings) {
+    const overrides = { ...getPushoverEscalation(notification, settings) };
+    if (notification.ackUrl) {
+      overrides.url = notification.ackUrl;
+      overrides.url_title = '✓ Registration done';
+    }
+    return sendPushover(notification.title, notification.message, settings, overrides);
+  }
+});
 
-  logger.info('Sending notifications', { class: lesson.class, subject: lesson.subject });
+registerChannel({
+  name: 'email',
+  description: 'Email via the Resend API or an SMTP server (email.transport)',
+  envVars: settings => (settings.email?.transport === 'smtp' ? [] : ['RESEND_API_KEY']),
+  validateConfig(settings) {
+    const errors = [];
+    if (!settings.email?.to) errors.push('email.to must be set in settings.json');
+    if (!settings.email?.from) errors.push('email.from must be set in settings.json');
 
-  const results = await Promise.allSettled([
-    sendPushover(pushoverTitle, pushoverMessage, settings),
-    sendEmail(emailSubject, emailBody, settings)
-  ]);
+    const transport = settings.email?.transport ?? 'resend';
+    if (!['resend', 'smtp'].includes(transport)) {
+      errors.push(`email.transport must be "resend" or "smtp": ${transport}`);
+    }
+    if (transport === 'smtp') {
+      const smtp = settings.email.smtp || {};
+      if (!smtp.host) errors.push('email.smtp.host must be set in settings.json');
+      if (smtp.security !== undefined && !['starttls', 'tls', 'none'].includes(smtp.security)) {
+        errors.push(`email.smtp.security must be "starttls", "tls" or "none": ${smtp.security}`);
+      }
+      if (smtp.authMethod !== undefined && !['PLAIN', 'LOGIN'].includes(String(smtp.authMethod).toUpperCase())) {
+        errors.push(`email.smtp.authMethod must be "PLAIN" or "LOGIN": ${smtp.authMethod}`);
+      }
+      if (Boolean(getEnv(settings, 'SMTP_USER')) !== Boolean(getEnv(settings, 'SMTP_PASS'))) {
+        errors.push(`${getEnvName(settings, 'SMTP_USER')} and ${getEnvName(settings, 'SMTP_PASS')} must both be set in .env (or both left empty)`);
+      }
+    }
+    return errors;
+  },
+  send(notification, settings) {
+    return sendEmail(notification.subject, notification.body, settings, notification.html);
+  }
+});
 
-  const pushoverResult = results[0].status === 'fulfilled' ? 'success' : 'failed';
-  const emailResult = results[1].status === 'fulfilled' ? 'success' : 'failed';
+registerChannel({
+  name: 'ntfy',
+  description: 'Push notifications via an ntfy server (NTFY_TOKEN optional)',
+  envVars: [],
+  validateConfig(settings) {
+    const errors = [];
+    if (!settings.ntfy?.url) errors.push('ntfy.url must be set in settings.json');
+    if (!settings.ntfy?.topic) errors.push('ntfy.topic must be set in settings.json');
+    return errors;
+  },
+  send(notification, settings) {
+    return sendNtfy(notification.title, notification.message, settings);
+  }
+});
 
-  if (pushoverResult === 'success') {
-    logger.info('Pushover notification sent successfully');
-  } else {
-    logger.error('Pushover notification failed', { error: results[0].reason?.message });
+registerChannel({
+  name: 'gotify',
+  description: 'Push notifications via a Gotify server',
+  envVars: ['GOTIFY_TOKEN'],
+  validateConfig(settings) {
+    return settings.gotify?.url ? [] : ['gotify.url must be set in settings.json'];
+  },
+  send(notification, settings) {
+    return sendGotify(notification.title, notification.message, settings);
   }
+});
 
-  if (emailResult === 'success') {
-    logger.info('Email sent successfully');
-  } else {
-    logger.error('Email failed', { error: results[1].reason?.message });
+registerChannel({
+  name: 'webhook',
+  description: 'JSON POST to a custom webhook URL',
+  envVars: [],
+  validateConfig(settings) {
+    const errors = [];
+    if (!settings.webhook?.url) errors.push('webhook.url must be set in settings.json');
+    const body = settings.webhook?.body;
+    if (body !== undefined && (body === null || typeof body !== 'object')) {
+      errors.push('webhook.body must be a JSON object or array template');
+    }
+    return errors;
+  },
+  send(notification, settings) {
+    return sendWebhook(notification, settings);
   }
+});
+
+/**
+ * Build the notification content for a lesson from the templates (see templates.js)
+ * @param {object} lesson - Lesson object with class and subject
+ * @param {object} [options] - { attempt, ackUrl, note, date, start, end, next } - attempt is
+ *   1 for the first reminder, 2+ for follow-ups; ackUrl is the "registration done" link, if
+ *   enabled; note is the lesson's or period's message, e.g. "Also collect homework"; start
+ *   and end are the period's times and next is the next lesson that day ({ class, subject,
+ *   room, period, start, end }), if any
+ * @param {object} [templates] - Templates to use (from getTemplates; the defaults if not given)
+ * @returns {object} { title, message, subject, body, html, lesson, attempt, ackUrl, note, values }
+ * @throws {Error} If a template can't be rendered
+ */
+function buildNotification(lesson, options = {}, templates = getTemplates({})) {
+  const values = buildTemplateValues(lesson, options);
+  return {
+    ...renderTemplates(templates, values),
+    lesson,
+    attempt: values.attempt,
+    ackUrl: values.ackUrl,
+    note: values.note,
+    values
+  };
+}
+
+/**
+ * Create an error for a send that can never succeed as things stand (not worth retrying)
+ * @param {string} message - Error message
+ * @returns {Error} Error with permanent: true
+ */
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+/**
+ * Send a notification through channel entries, building it separately for each channel
+ * @param {Array<object>} entries - Enabled channel entries (from getEnabledChannels)
+ * @param {object} settings - Settings object
+ * @param {Function} build - (channel name) => notification; throwing rejects that channel
+ * @returns {Promise<object>} Status per channel, in priority order (see sendNotifications)
+ */
+async function sendToChannels(entries, settings, build) {
+  const results = await Promise.allSettled(entries.map(async entry => {
+    if (!entry.channel) {
+      throw permanentError(`Unknown notification channel: "${entry.name}"`);
+    }
+    const problems = checkChannel(entry.channel, settings);
+    if (problems.length > 0) {
+      throw permanentError(problems.join('; '));
+    }
+    let notification;
+    try {
+      notification = build(entry.name);
+    } catch (err) {
+      throw permanentError(err.message);
+    }
+    await entry.channel.send(notification, settings);
+  }));
+
+  const statuses = {};
+  entries.forEach((entry, i) => {
+    if (results[i].status === 'fulfilled') {
+      statuses[entry.name] = 'success';
+      logger.info('Notification sent successfully', { channel: entry.name });
+    } else {
+      statuses[entry.name] = results[i].reason?.permanent ? 'rejected' : 'failed';
+      logger.error('Notification failed', { channel: entry.name, error: results[i].reason?.message });
+    }
+  });
 
-  return { pushover: pushoverResult, email: emailResult };
+  return statuses;
+}
+
+/**
+ * Get the enabled channel entries, optionally narrowed to some of them
+ * @param {object} settings - Settings object
+ * @param {Array<string>} [names] - Channel names to keep (all enabled channels if not given)
+ * @returns {Array<object>} Channel entries
+ */
+function selectChannels(settings, names) {
+  return getEnabledChannels(settings).filter(entry => !names || names.includes(entry.name));
+}
+
+/**
+ * Send notifications via every enabled channel (settings.channels)
+ * @param {object} lesson - Lesson object with class and subject
+ * @param {object} settings - Settings object
+ * @param {object} [options] - { attempt, ackUrl, note, date, start, end, next } (see
+ *   buildNotification), and { channels: [names] } to send through only some of the enabled channels
+ * @returns {Promise<object>} Status per channel, in priority order, e.g. { pushover: 'success', email: 'failed' }
+ *   - 'rejected' instead of 'failed' means trying again won't help (e.g. a bad address or missing credentials)
+ */
+async function sendNotifications(lesson, settings, options = {}) {
+  const entries = selectChannels(settings, options.channels);
+
+  logger.info('Sending notifications', {
+    class: lesson.class,
+    subject: lesson.subject,
+    attempt: options.attempt ?? 1,
+    channels: entries.map(entry => entry.name)
+  });
+
+  // Each channel can have its own templates (settings.templates.channels)
+  return sendToChannels(entries, settings, name => buildNotification(lesson, options, getTemplates(settings, name)));
+}
+
+/**
+ * Send a message that isn't about one lesson (such as the morning digest) via every
+ * enabled channel. It has no lesson, so webhook placeholders like {{lesson.class}} are empty.
+ * @param {object} content - { title, message, subject, body, html, kind, date }
+ * @param {object} settings - Settings object
+ * @param {object} [options] - { channels: [names] } to send through only some of the enabled channels
+ * @returns {Promise<object>} Status per channel, in priority order (see sendNotifications)
+ */
+async function sendMessage(content, settings, options = {}) {
+  const entries = selectChannels(settings, options.channels);
+  logger.info('Sending message', { kind: content.kind, channels: entries.map(entry => entry.name) });
+
+  const { kind = null, date = null, ...text } = content;
+  const notification = {
+    title: text.title,
+    message: text.message,
+    subject: text.subject,
+    body: text.body,
+    html: text.html ?? null,
+    lesson: null,
+    attempt: null,
+    ackUrl: null,
+    note: null,
+    values: { kind, date, lesson: null }
+  };
+  return sendToChannels(entries, settings, () => notification);
 }
 
 module.exports = {
+  fetchWithTimeout,
   sendPushover,
   sendEmail,
-  sendNotifications
+  sendNtfy,
+  sendGotify,
+  sendWebhook,
+  buildNotification,
+  sendNotifications,
+  sendMessage
 };
@@ -0,0 +1,272 @@
+// Outbox for notifications that couldn't be sent
+//
+// When a channel fails (after its retries), the reminder for that channel is queued
+// here and tried again at the start of each later run, through that channel only - so
+// a Pushover reminder that got through isn't sent again because email failed.
+// A queued reminder is given up ("dead-lettered", and logged as an error) once its
+// period has ended, or if the channel rejects it outright. It's dropped quietly if
+// registration is acknowledged in the meantime.
+//
+// The outbox lives in the history file as events:
+//   queued   - { id, date, class, period, subject, room, attempt, channel, ackUrl, note, start, end,
+//                next, expiresAt }
+//   attempting - { id, date, class, period, channel, run, until }: a run has claimed the item
+//                and is sending it; other runs leave it alone until a delivery event follows,
+//                or until the claim runs out (if that run crashed)
+//   delivery - { id, date, class, period, channel, status: 'sent'|'failed'|'dead'|'cancelled'|'superseded', reason }
+// An item is pending until it has a delivery event with a status other than 'failed'.
+
+const logger = require('./logger');
+const clock = require('./clock');
+const { withLock, readEvents, appendEvent } = require('./history');
+const { isAcknowledged } = require('./dedup');
+const { sendNotifications } = require('./notifications');
+
+// Statuses that take an item out of the outbox
+const FINAL_STATUSES = ['sent', 'dead', 'cancelled', 'superseded'];
+
+// How long a claim on an item lasts: well past the run deadline (settings.retry.deadlineMs)
+const CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Build the outbox id for one reminder through one channel
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} lesson - Lesson object with class and period properties
+ * @param {number} attempt - Reminder attempt number
+ * @param {string} channel - Channel name
+ * @returns {string} Id
+ */
+function outboxId(date, lesson, attempt, channel) {
+  return `${date}/${lesson.class}/${lesson.period}/${attempt}/${channel}`;
+}
+
+/**
+ * Get the outbox items that are still waiting to be sent
+ * @returns {Array<object>} Queued events, each with tries (failed retries so far) and
+ *   claimedUntil (ISO string while a run is sending it, otherwise null)
+ */
+function getPendingItems() {
+  const deliveries = new Map();
+  const claims = new Map();
+  for (const event of readEvents()) {
+    if (event.type === 'delivery') {
+      if (!deliveries.has(event.id)) deliveries.set(event.id, []);
+      deliveries.get(event.id).push(event);
+      claims.delete(event.id);
+    } else if (event.type === 'attempting') {
+      claims.set(event.id, event.until);
+    }
+  }
+
+  return readEvents({ type: 'queued' })
+    .map(item => ({ ...item, deliveries: deliveries.get(item.id) || [] }))
+    .filter(item => !item.deliveries.some(event => FINAL_STATUSES.includes(event.status)))
+    .map(({ deliveries: tried, ...item }) => ({ ...item, tries: tried.length, claimedUntil: claims.get(item.id) ?? null }));
+}
+
+/**
+ * Claim an outbox item for this run, so an overlapping run doesn't send it too
+ * @param {object} item - Pending item
+ * @returns {boolean} True if claimed; false if it's no longer pending or another run has it
+ */
+function claimItem(item) {
+  return withLock(() => {
+    const current = getPendingItems().find(pending => pending.id === item.id);
+    const now = clock.now();
+    if (!current || (current.claimedUntil && new Date(current.claimedUntil) > now)) {
+      return false;
+    }
+    appendEvent({
+      type: 'attempting',
+      id: item.id,
+      date: item.date,
+      class: item.class,
+      period: item.period,
+      channel: item.channel,
+      run: logger.getRunId(),
+      until: new Date(now.getTime() + CLAIM_MS).toISOString()
+    });
+    return true;
+  });
+}
+
+/**
+ * Check if anything is waiting in the outbox
+ * @returns {boolean} True if there are pending items
+ */
+function hasPendingItems() {
+  return getPendingItems().length > 0;
+}
+
+/**
+ * Record what happened to an outbox item
+ * @param {object} item - Queued item
+ * @param {string} status - 'sent', 'failed', 'dead', 'cancelled' or 'superseded'
+ * @param {string} [reason] - Why (for dead, cancelled and superseded items)
+ */
+function recordDelivery(item, status, reason) {
+  appendEvent({
+    type: 'delivery',
+    id: item.id,
+    date: item.date,
+    class: item.class,
+    period: item.period,
+    channel: item.channel,
+    status,
+    ...(reason ? { reason } : {})
+  });
+}
+
+/**
+ * Log an item that is being given up on
+ * @param {object} item - Queued item
+ * @param {string} reason - Why
+ */
+function deadLetter(item, reason) {
+  recordDelivery(item, 'dead', reason);
+  logger.error('Notification dead-lettered', {
+    class: item.class,
+    period: item.period,
+    date: item.date,
+    attempt: item.attempt,
+    channel: item.channel,
+    queuedAt: item.at,
+    tries: item.tries + 1,
+    reason
+  });
+}
+
+/**
+ * Queue the channels that failed to send a reminder, to be retried on later runs
+ * An older reminder for the same lesson and channel that is still queued is superseded
+ * @param {object} lesson - Lesson object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} statuses - Status per channel, from sendNotifications
+ * @param {object} options - { attempt, ackUrl, note, start, end, next } (see buildNotification)
+ *   and expiresAt: Date (the end of the period)
+ * @returns {Array<string>} Names of the channels queued
+ */
+function queueFailures(lesson, date, statuses, options) {
+  const { attempt, ackUrl = null, note = null, start = null, end = null, next = null, expiresAt } = options;
+  const failed = Object.keys(statuses).filter(name => statuses[name] === 'failed');
+  if (failed.length === 0) {
+    return [];
+  }
+
+  withLock(() => {
+    const pending = getPendingItems();
+    for (const channel of failed) {
+      const id = outboxId(date, lesson, attempt, channel);
+      if (pending.some(item => item.id === id)) {
+        continue;
+      }
+      for (const older of pending.filter(item =>
+        item.date === date && item.class === lesson.class && item.period === lesson.period && item.channel === channel
+      )) {
+        recordDelivery(older, 'superseded', `reminder ${attempt} queued`);
+      }
+
+      appendEvent({
+        type: 'queued',
+        id,
+        date,
+        class: lesson.class,
+        period: lesson.period,
+        subject: lesson.subject,
+        room: lesson.room,
+        attempt,
+        channel,
+        ackUrl,
+        note,
+        start,
+        end,
+        next,
+        expiresAt: expiresAt.toISOString()
+      });
+    }
+  });
+
+  logger.warn('Queued failed notifications to retry on the next run', {
+    class: lesson.class,
+    period: lesson.period,
+    attempt,
+    channels: failed
+  });
+  return failed;
+}
+
+/**
+ * Try to send everything in the outbox
+ * @param {object} settings - Settings object
+ * @returns {Promise<object>} Counts: { sent, failed, dead, cancelled }
+ */
+async function drainOutbox(settings) {
+  const counts = { sent: 0, failed: 0, dead: 0, cancelled: 0 };
+  const pending = getPendingItems();
+  if (pending.length === 0) {
+    return counts;
+  }
+
+  logger.info('Retrying queued notifications', { count: pending.length });
+
+  for (const item of pending) {
+    if (!claimItem(item)) {
+      logger.info('Skipping queued notification another run is sending', { id: item.id });
+      continue;
+    }
+    const lesson = { class: item.class, period: item.period, subject: item.subject, room: item.room };
+
+    if (isAcknowledged(lesson, item.date)) {
+      recordDelivery(item, 'cancelled', 'registration acknowledged');
+      counts.cancelled++;
+      continue;
+    }
+    if (clock.now() >= new Date(item.expiresAt)) {
+      deadLetter(item, 'the period has ended');
+      counts.dead++;
+      continue;
+    }
+
+    let status;
+    try {
+      const statuses = await sendNotifications(lesson, settings, {
+        attempt: item.attempt,
+        ackUrl: item.ackUrl,
+        note: item.note,
+        date: item.date,
+        start: item.start,
+        end: item.end,
+        next: item.next,
+        channels: [item.channel]
+      });
+      status = statuses[item.channel];
+    } catch (err) {
+      logger.error('Failed to send queued notification', { id: item.id, error: err.message });
+      status = 'failed';
+    }
+
+    if (status === 'success') {
+      recordDelivery(item, 'sent');
+      logger.info('Queued notification delivered', { class: item.class, period: item.period, channel: item.channel });
+      counts.sent++;
+    } else if (status === 'rejected') {
+      deadLetter(item, 'rejected by the channel');
+      counts.dead++;
+    } else if (status === undefined) {
+      deadLetter(item, 'the channel is no longer enabled');
+      counts.dead++;
+    } else {
+      recordDelivery(item, 'failed');
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  getPendingItems,
+  hasPendingItems,
+  queueFailures,
+  drainOutbox
+};
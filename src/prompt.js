@@ -0,0 +1,74 @@
+const readline = require('readline');
+
+// One interface for the whole process, so piped answers aren't lost between questions
+let rl = null;
+let closed = false;
+const lines = [];
+const waiting = [];
+
+/**
+ * Create the shared readline interface on first use
+ */
+function open() {
+  if (rl) return;
+  rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  rl.on('line', line => {
+    if (waiting.length > 0) {
+      waiting.shift()(line);
+    } else {
+      lines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    while (waiting.length > 0) {
+      waiting.shift()(null);
+    }
+  });
+}
+
+/**
+ * Ask a question on the terminal and wait for the answer
+ * Input is paused between questions so it doesn't keep the process alive
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The answer, trimmed ('' if input closes first)
+ */
+async function ask(question) {
+  open();
+  process.stdout.write(question);
+
+  let answer;
+  if (lines.length > 0) {
+    answer = lines.shift();
+  } else if (closed) {
+    answer = null;
+  } else {
+    rl.resume();
+    answer = await new Promise(resolve => waiting.push(resolve));
+    rl.pause();
+  }
+
+  if (answer === null) {
+    process.stdout.write('\n');
+    return '';
+  }
+  if (!process.stdin.isTTY) {
+    process.stdout.write(`${answer}\n`);
+  }
+  return answer.trim();
+}
+
+/**
+ * Ask a yes/no question (anything but y/yes counts as no)
+ * @param {string} question - Question, without the [y/N] suffix
+ * @returns {Promise<boolean>} True if the answer was yes
+ */
+async function confirm(question) {
+  const answer = await ask(`${question} [y/N] `);
+  return /^y(es)?$/i.test(answer);
+}
+
+module.exports = {
+  ask,
+  confirm
+};
@@ -0,0 +1,426 @@
+const { loadTimetable, getLessonsForDate } = require('./timetable');
+const { loadTerms, findTermForDate, isValidDateString } = require('./terms');
+const { loadExceptions, emptyExceptions, mergeExceptions, getClosure } = require('./exceptions');
+const { addDays, getNotifyTime, getRemindedLessons } = require('./scheduler');
+const clock = require('./clock');
+const { readEvents } = require('./history');
+const { formatCsv } = require('./csv');
+const { escapeHtml } = require('./html');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Columns shared by the per-class and per-day summaries
+const SUMMARY_COLUMNS = [
+  { key: 'lessons', label: 'Lessons' },
+  { key: 'reminded', label: 'Reminded' },
+  { key: 'failed', label: 'Failed' },
+  { key: 'missed', label: 'Missed' },
+  { key: 'acknowledged', label: 'Acknowledged' },
+  { key: 'ackRate', label: 'Ack %' }
+];
+
+const LESSON_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'day', label: 'Day' },
+  { key: 'period', label: 'Period' },
+  { key: 'class', label: 'Class' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'reminders', label: 'Reminders' },
+  { key: 'status', label: 'Status' },
+  { key: 'failedChannels', label: 'Failed channels' },
+  { key: 'acknowledgedAt', label: 'Acknowledged at' },
+  { key: 'acknowledgedVia', label: 'Acknowledged via' }
+];
+
+const TABLES = {
+  class: [{ key: 'class', label: 'Class' }, ...SUMMARY_COLUMNS],
+  day: [{ key: 'date', label: 'Date' }, { key: 'day', label: 'Day' }, ...SUMMARY_COLUMNS],
+  lesson: LESSON_COLUMNS
+};
+
+/**
+ * Get the weekday name for a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} e.g. "Monday"
+ */
+function dayName(date) {
+  return DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Work out the date range a report covers
+ * Ranges never extend past today, since later lessons can't have been reminded yet
+ * @param {object} options - { term, from, to, week }
+ * @param {string} today - Today's date string (YYYY-MM-DD)
+ * @returns {object} { from, to, title }
+ * @throws {Error} If the term is unknown or the dates are invalid
+ */
+function resolveReportRange(options, today) {
+  const { term, from, to, week } = options;
+  let range;
+
+  if (term) {
+    const { terms } = loadTerms();
+    const wanted = term.toLowerCase();
+    const match = terms.find(candidate =>
+      candidate.name.toLowerCase() === wanted || candidate.title.toLowerCase() === wanted
+    );
+    if (!match) {
+      const known = terms.map(candidate => candidate.name).join(', ') || 'none';
+      throw new Error(`Unknown term: ${term} (available: ${known})`);
+    }
+    range = { from: match.startDate, to: match.endDate, title: match.title };
+  } else if (week) {
+    // Monday of the current week
+    const offset = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+    range = { from: addDays(today, -offset), to: today, title: 'This week' };
+  } else if (from || to) {
+    if (!from) {
+      throw new Error('--to needs --from as well');
+    }
+    range = { from, to: to || today, title: null };
+  } else {
+    // The current term, or the one that ended most recently during holidays
+    const { terms } = loadTerms();
+    const current = findTermForDate(terms, today) ||
+      terms.filter(candidate => candidate.startDate <= today).pop();
+    if (!current) {
+      throw new Error('No term has started yet; give a term name or --from/--to');
+    }
+    range = { from: current.startDate, to: current.endDate, title: current.title };
+  }
+
+  for (const date of [range.from, range.to]) {
+    if (!isValidDateString(date)) {
+      throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+  }
+  if (range.to > today) {
+    range.to = today;
+  }
+  if (range.to < range.from) {
+    throw new Error(`Nothing to report: ${range.from} is after ${range.to}`);
+  }
+  return range;
+}
+
+/**
+ * Create a loader that replays the timetable for past dates
+ * Timetables and exceptions are loaded once per term rather than once per day
+ * @param {object} settings - Settings object
+ * @returns {Function} (date) => { timetable, lessons } ({ timetable: null } between terms or on closures)
+ */
+function createDayReplayer(settings) {
+  const { terms, errors } = loadTerms();
+  const loaded = new Map();
+  const problems = [...errors];
+
+  function load(name) {
+    if (!loaded.has(name)) {
+      let entry = null;
+      try {
+        const timetable = loadTimetable(name);
+        let exceptions;
+        try {
+          exceptions = loadExceptions(timetable);
+        } catch (err) {
+          problems.push(err.message);
+          exceptions = mergeExceptions(emptyExceptions(), timetable.exceptions);
+        }
+        entry = { timetable, exceptions };
+      } catch (err) {
+        problems.push(`Failed to load timetable "${name}": ${err.message}`);
+      }
+      loaded.set(name, entry);
+    }
+    return loaded.get(name);
+  }
+
+  function replay(date) {
+    const name = settings.activeTimetable || findTermForDate(terms, date)?.name;
+    const entry = name ? load(name) : null;
+    if (!entry || getClosure(entry.exceptions, date)) {
+      return { timetable: null, lessons: [] };
+    }
+    return { timetable: entry.timetable, lessons: getLessonsForDate(entry.timetable, date, entry.exceptions) };
+  }
+
+  replay.problems = problems;
+  return replay;
+}
+
+/**
+ * Summarise a set of lesson rows
+ * @param {Array} lessons - Lesson rows from buildReport
+ * @returns {object} { lessons, reminded, failed, missed, acknowledged, ackRate }
+ */
+function summarise(lessons) {
+  const count = status => lessons.filter(lesson => lesson.status === status).length;
+  const acknowledged = lessons.filter(lesson => lesson.acknowledgedAt).length;
+  return {
+    lessons: lessons.length,
+    reminded: count('reminded'),
+    failed: count('failed'),
+    missed: count('missed'),
+    acknowledged,
+    ackRate: lessons.length > 0 ? `${Math.round((acknowledged / lessons.length) * 100)}%` : '-'
+  };
+}
+
+/**
+ * Group lesson rows by a key, keeping first-seen order
+ * @param {Array} lessons - Lesson rows
+ * @param {Function} keyFn - (lesson) => group key
+ * @returns {Map} key => rows
+ */
+function groupBy(lessons, keyFn) {
+  const groups = new Map();
+  for (const lesson of lessons) {
+    const key = keyFn(lesson);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(lesson);
+  }
+  return groups;
+}
+
+/**
+ * Replay the timetable over a date range and compare it with the notification history
+ *
+ * A lesson is "reminded" if at least one channel delivered a reminder, "failed" if
+ * reminders were attempted but every channel failed, and "missed" if no reminder was
+ * recorded at all (e.g. the Pi was off). Lessons recorded in the history but no longer
+ * in the timetable (because it has since been edited) are included too.
+ * @param {object} settings - Settings object
+ * @param {object} range - { from, to, title } (from resolveReportRange)
+ * @param {Date} [now] - Current time; today's lessons only count once their reminder is due
+ * @returns {object} { from, to, title, lessons, byClass, byDay, totals, problems }
+ */
+function buildReport(settings, range, now = clock.now()) {
+  const replay = createDayReplayer(settings);
+  const expected = new Map();
+
+  const add = (date, lesson, periods) => {
+    const key = `${date}|${lesson.class}|${lesson.period}`;
+    if (expected.has(key)) return;
+
+    // Skip lessons whose reminder isn't due yet
+    const period = periods && periods[lesson.period];
+    if (period) {
+      const notifyTime = getNotifyTime(lesson, periods, settings.notificationOffset);
+      if (clock.zonedTimeToDate(date, notifyTime, settings.timezone) > now) return;
+    }
+
+    expected.set(key, {
+      date,
+      day: dayName(date),
+      period: lesson.period,
+      start: period ? period.start : '',
+      class: lesson.class,
+      subject: lesson.subject || ''
+    });
+  };
+
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    // Silent lessons and the second halves of doubles are never reminded, so don't count
+    const { timetable, lessons } = replay(date);
+    for (const lesson of timetable ? getRemindedLessons(lessons, timetable.periods) : []) {
+      add(date, lesson, timetable.periods);
+    }
+  }
+  for (const event of readEvents({ type: 'lesson', from: range.from, to: range.to })) {
+    add(event.date, event, replay(event.date).timetable?.periods);
+  }
+
+  const events = readEvents({ from: range.from, to: range.to });
+  const lessons = [...expected.entries()].map(([key, lesson]) => {
+    const mine = events.filter(event => `${event.date}|${event.class}|${event.period}` === key);
+    const attempts = mine.filter(event => event.type === 'attempt');
+    const ack = mine.find(event => event.type === 'ack');
+
+    // Channels that failed at first but got through from the outbox on a later run count as sent
+    const retried = new Set(mine.filter(event => event.type === 'delivery' && event.status === 'sent').map(event => event.channel));
+    const statuses = attempts.flatMap(event => Object.entries(event.channels || {}));
+    const delivered = retried.size > 0 || statuses.some(([, status]) => status === 'success');
+    const failedChannels = [...new Set(statuses
+      .filter(([name, status]) => status !== 'success' && !retried.has(name))
+      .map(([name]) => name))];
+
+    let status = 'missed';
+    if (delivered) {
+      status = 'reminded';
+    } else if (attempts.length > 0) {
+      status = 'failed';
+    }
+
+    return {
+      ...lesson,
+      reminders: attempts.length,
+      status,
+      failedChannels: failedChannels.join(' '),
+      acknowledgedAt: ack ? ack.at : '',
+      acknowledgedVia: ack ? ack.via || '' : ''
+    };
+  });
+
+  lessons.sort((a, b) =>
+    a.date.localeCompare(b.date) || a.start.localeCompare(b.start) || a.class.localeCompare(b.class)
+  );
+
+  const byClass = [...groupBy(lessons, lesson => lesson.class).entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([name, rows]) => ({ class: name, ...summarise(rows) }));
+
+  const byDay = [...groupBy(lessons, lesson => lesson.date).entries()]
+    .map(([date, rows]) => ({ date, day: dayName(date), ...summarise(rows) }));
+
+  return {
+    from: range.from,
+    to: range.to,
+    title: range.title,
+    lessons,
+    byClass,
+    byDay,
+    totals: summarise(lessons),
+    problems: replay.problems
+  };
+}
+
+/**
+ * Format rows as a plain-text table
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array<object>} rows - Row objects
+ * @returns {string} Table text
+ */
+function formatTable(columns, rows) {
+  const widths = columns.map(column =>
+    Math.max(column.label.length, ...rows.map(row => String(row[column.key]).length))
+  );
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => row[column.key])))
+  ].join('\n');
+}
+
+/**
+ * Get the heading for a report
+ * @param {object} report - Report from buildReport
+ * @returns {string} e.g. "Registration report: Summer 2026 (2026-04-20 to 2026-07-04)"
+ */
+function reportHeading(report) {
+  const range = `${report.from} to ${report.to}`;
+  return `Registration report: ${report.title ? `${report.title} (${range})` : range}`;
+}
+
+/**
+ * Format a report for the terminal
+ * @param {object} report - Report from buildReport
+ * @returns {string} Text
+ */
+function formatConsoleReport(report) {
+  const { totals } = report;
+  const heading = reportHeading(report);
+  const sections = [
+    `${heading}\n${'='.repeat(heading.length)}`,
+    `${totals.lessons} lessons, ${totals.reminded} reminded, ${totals.failed} failed, ` +
+      `${totals.missed} missed, ${totals.acknowledged} acknowledged (${totals.ackRate})`
+  ];
+
+  if (report.lessons.length > 0) {
+    sections.push('By class\n\n' + formatTable(TABLES.class, report.byClass));
+    sections.push('By day\n\n' + formatTable(TABLES.day, report.byDay));
+  }
+  if (report.problems.length > 0) {
+    sections.push('Problems\n\n' + report.problems.map(problem => `- ${problem}`).join('\n'));
+  }
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Format one of a report's tables as CSV
+ * @param {object} report - Report from buildReport
+ * @param {string} [table] - 'class', 'day' or 'lesson'
+ * @returns {string} CSV text
+ * @throws {Error} If the table name is unknown
+ */
+function formatCsvReport(report, table = 'class') {
+  const rows = { class: report.byClass, day: report.byDay, lesson: report.lessons }[table];
+  if (!rows) {
+    throw new Error(`Unknown table: ${table} (available: ${Object.keys(TABLES).join(', ')})`);
+  }
+  return formatCsv(TABLES[table], rows);
+}
+
+/**
+ * Format rows as an HTML table
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array<object>} rows - Row objects
+ * @returns {string} HTML
+ */
+function formatHtmlTable(columns, rows) {
+  const head = columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+  const body = rows.map(row => {
+    const className = row.status && row.status !== 'reminded' ? ` class="${row.status}"` : '';
+    const cells = columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('');
+    return `<tr${className}>${cells}</tr>`;
+  }).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Format a report as a self-contained HTML page (no external assets)
+ * @param {object} report - Report from buildReport
+ * @param {Date} [generatedAt] - When the report was produced
+ * @returns {string} HTML
+ */
+function formatHtmlReport(report, generatedAt = clock.now()) {
+  const { totals } = report;
+  const heading = escapeHtml(reportHeading(report));
+  const sections = [];
+
+  if (report.lessons.length > 0) {
+    sections.push(`<h2>By class</h2>\n${formatHtmlTable(TABLES.class, report.byClass)}`);
+    sections.push(`<h2>By day</h2>\n${formatHtmlTable(TABLES.day, report.byDay)}`);
+    sections.push(`<h2>Lessons</h2>\n${formatHtmlTable(TABLES.lesson, report.lessons)}`);
+  } else {
+    sections.push('<p>No lessons in this period.</p>');
+  }
+  if (report.problems.length > 0) {
+    const items = report.problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('\n');
+    sections.push(`<h2>Problems</h2>\n<ul>\n${items}\n</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:2em;color:#222}
+table{border-collapse:collapse;margin-bottom:2em}
+th,td{border:1px solid #ccc;padding:.3em .6em;text-align:left}
+th{background:#f2f2f2}
+tr.failed td{background:#fde2e2}
+tr.missed td{background:#fff3cd}
+.summary{font-size:1.1em}
+footer{color:#777;font-size:.9em}
+</style></head>
+<body>
+<h1>${heading}</h1>
+<p class="summary">${totals.lessons} lessons, ${totals.reminded} reminded, ${totals.failed} failed,
+${totals.missed} missed, ${totals.acknowledged} acknowledged (${escapeHtml(totals.ackRate)})</p>
+${sections.join('\n')}
+<footer>Generated ${escapeHtml(generatedAt.toISOString())}</footer>
+</body></html>
+`;
+}
+
+module.exports = {
+  resolveReportRange,
+  buildReport,
+  formatConsoleReport,
+  formatCsvReport,
+  formatHtmlReport
+};
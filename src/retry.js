@@ -0,0 +1,208 @@
+// Retrying failed sends
+//
+// Every channel sends through withRetry(). A failure is retried with exponential
+// backoff (plus a little random jitter, so several channels that failed together don't
+// all retry at the same moment), unless it can't succeed on a retry: a 4xx response
+// other than a timeout or rate limit, or a permanent SMTP rejection. When the server
+// says how long to wait (Retry-After, or on a 429 the rate-limit headers Pushover and
+// Resend send) that is used instead, up to maxDelayMs and if it fits in the time left.
+//
+// All retries in one run share a deadline (settings.retry.deadlineMs, started by
+// runCheck, or by runAllChecks for every teacher together), so a cron run gives up before
+// the next one starts rather than overlapping it.
+
+const logger = require('./logger');
+
+const DEFAULT_RETRY = {
+  attempts: 3,          // Tries in total, including the first
+  delayMs: 5000,        // Wait before the first retry
+  backoff: 2,           // Each later wait is this many times longer...
+  maxDelayMs: 60000,    // ...up to this
+  jitter: 0.2,          // Waits are shortened by up to this fraction, at random
+  timeoutMs: 30000,     // Time allowed for each request
+  deadlineMs: 45000     // Time allowed for all sends in one run (the cron install runs every minute)
+};
+
+// HTTP statuses worth retrying besides 5xx: timeout, too early, too many requests
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+let deadline = null;
+
+/**
+ * Fill in retry policy defaults
+ * @param {object} settings - Settings object (settings.retry overrides the defaults)
+ * @returns {object} Complete policy (see DEFAULT_RETRY)
+ */
+function getRetryPolicy(settings) {
+  return { ...DEFAULT_RETRY, ...settings?.retry };
+}
+
+/**
+ * Start the deadline for a run's sends
+ * @param {object} settings - Settings object (for settings.retry.deadlineMs)
+ */
+function startDeadline(settings) {
+  deadline = Date.now() + getRetryPolicy(settings).deadlineMs;
+}
+
+/**
+ * Clear the run deadline (sends outside a run have no overall limit)
+ */
+function clearDeadline() {
+  deadline = null;
+}
+
+/**
+ * Check whether a run deadline has been started
+ * @returns {boolean} True if sends are limited by a deadline
+ */
+function hasDeadline() {
+  return deadline !== null;
+}
+
+/**
+ * Get the time left before the run deadline
+ * @returns {number} Milliseconds (Infinity if no deadline is set)
+ */
+function getRemainingMs() {
+  return deadline === null ? Infinity : Math.max(0, deadline - Date.now());
+}
+
+/**
+ * Delay execution for specified milliseconds
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Work out how long a server asked us to wait, from the response headers
+ * Checks Retry-After (seconds or an HTTP date), then, only for 429 Too Many Requests,
+ * RateLimit-Reset (seconds, sent by Resend) and X-Limit-App-Reset (a Unix time, sent by
+ * Pushover). Those two come with every response, and Pushover's is when the monthly
+ * quota resets, so they say nothing about when a server error will clear.
+ * @param {number} status - HTTP status
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - Current time in ms (for dates)
+ * @returns {number|null} Milliseconds to wait, or null if the headers don't say
+ */
+function getRetryAfterMs(status, headers, now = Date.now()) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter.trim())) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  if (status !== 429) {
+    return null;
+  }
+
+  const reset = headers.get('ratelimit-reset');
+  if (reset && /^\d+$/.test(reset.trim())) {
+    return parseInt(reset, 10) * 1000;
+  }
+
+  const appReset = headers.get('x-limit-app-reset');
+  if (appReset && /^\d+$/.test(appReset.trim())) {
+    return Math.max(0, parseInt(appReset, 10) * 1000 - now);
+  }
+
+  return null;
+}
+
+/**
+ * Build the error for an unsuccessful HTTP response
+ * @param {string} service - Service name (used in the message)
+ * @param {Response} response - Fetch response
+ * @param {string} text - Response body
+ * @returns {Error} Error with status, permanent and retryAfterMs properties
+ */
+function createHttpError(service, response, text) {
+  const err = new Error(`${service} API returned ${response.status}: ${text}`);
+  err.status = response.status;
+  err.permanent = response.status < 500 && !RETRYABLE_STATUSES.includes(response.status);
+  err.retryAfterMs = getRetryAfterMs(response.status, response.headers);
+  return err;
+}
+
+/**
+ * Get the wait before a retry: exponential backoff with jitter, or what the server asked
+ * for (up to maxDelayMs)
+ * @param {object} policy - Retry policy
+ * @param {number} retry - 1 for the first retry, 2 for the second...
+ * @param {Error} err - The error from the failed attempt
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {number} Milliseconds
+ */
+function getRetryDelayMs(policy, retry, err, random) {
+  if (typeof err.retryAfterMs === 'number') {
+    return Math.min(err.retryAfterMs, policy.maxDelayMs);
+  }
+  const backoff = Math.min(policy.maxDelayMs, policy.delayMs * Math.pow(policy.backoff, retry - 1));
+  return Math.round(backoff * (1 - policy.jitter * random()));
+}
+
+/**
+ * Run an operation, retrying transient failures
+ * @param {string} service - Service name (used in log and error messages)
+ * @param {Function} operation - async ({ attempt, timeoutMs }) => void, throws on failure.
+ *   Errors with permanent: true aren't retried; retryAfterMs sets the wait before the next try
+ * @param {object} settings - Settings object (for settings.retry)
+ * @param {object} [options] - { random } to make the jitter predictable in tests
+ * @returns {Promise<void>}
+ * @throws {Error} If every attempt fails, the failure is permanent (with permanent: true),
+ *   or time runs out
+ */
+async function withRetry(service, operation, settings, options = {}) {
+  const policy = getRetryPolicy(settings);
+  const random = options.random || Math.random;
+  const attempts = Math.max(1, policy.attempts);
+
+  for (let attempt = 1; ; attempt++) {
+    const remaining = getRemainingMs();
+    if (remaining <= 0) {
+      throw new Error(`${service} not sent: the run deadline has passed`);
+    }
+
+    try {
+      await operation({ attempt, timeoutMs: Math.min(policy.timeoutMs, remaining) });
+      return;
+    } catch (err) {
+      if (err.permanent) {
+        const failure = new Error(`${service} failed (not retried): ${err.message}`);
+        failure.permanent = true;
+        throw failure;
+      }
+      if (attempt >= attempts) {
+        throw new Error(`${service} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${err.message}`);
+      }
+
+      const wait = getRetryDelayMs(policy, attempt, err, random);
+      if (wait >= getRemainingMs()) {
+        throw new Error(`${service} failed: ${err.message} (retrying in ${Math.ceil(wait / 1000)}s would pass the run deadline)`);
+      }
+
+      logger.warn(`${service} attempt ${attempt} failed, retrying in ${(wait / 1000).toFixed(1)}s`, { error: err.message });
+      await delay(wait);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  getRetryPolicy,
+  startDeadline,
+  clearDeadline,
+  hasDeadline,
+  getRemainingMs,
+  getRetryAfterMs,
+  createHttpError,
+  withRetry
+};
@@ -0,0 +1,76 @@
+// Rotating ("Week A / Week B") timetable support
+//
+// A rota timetable declares:
+//   "rota": { "length": 2, "anchorDate": "2026-01-12", "skipWeeks": ["2026-02-16"] }
+// and keys its schedule by week: { "weekA": { "monday": [...] }, "weekB": { ... } }
+//
+// anchorDate is any day in a Week A. Weeks listed in skipWeeks (any day in the week)
+// are holiday weeks: they have no lessons and don't advance the rota.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Get the schedule keys for each week of a rota
+ * @param {object} rota - Rota definition from the timetable
+ * @returns {Array<string>} e.g. ['weekA', 'weekB']
+ */
+function getRotaWeekKeys(rota) {
+  const keys = [];
+  for (let i = 0; i < rota.length; i++) {
+    keys.push(`week${String.fromCharCode(65 + i)}`);
+  }
+  return keys;
+}
+
+/**
+ * Format a week key for display
+ * @param {string} key - Week key (e.g. 'weekA')
+ * @returns {string} e.g. 'Week A'
+ */
+function formatWeekKey(key) {
+  return `Week ${key.slice(4)}`;
+}
+
+/**
+ * Get the UTC timestamp of the Monday starting the week that contains a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Milliseconds since epoch (UTC midnight)
+ */
+function weekStart(date) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  const dayIndex = (new Date(time).getUTCDay() + 6) % 7; // Monday = 0
+  return time - dayIndex * DAY_MS;
+}
+
+/**
+ * Work out which week of the rota a date falls in
+ * @param {object} rota - Rota definition from the timetable
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {object} { week: 'weekA'|..., skipped: false } or { week: null, skipped: true }
+ */
+function getRotaWeek(rota, date) {
+  const target = weekStart(date);
+  const anchor = weekStart(rota.anchorDate);
+  const skipped = [...new Set((rota.skipWeeks || []).map(weekStart))];
+
+  if (skipped.includes(target)) {
+    return { week: null, skipped: true };
+  }
+
+  let weeks = Math.round((target - anchor) / WEEK_MS);
+  if (weeks >= 0) {
+    weeks -= skipped.filter(week => week >= anchor && week < target).length;
+  } else {
+    weeks += skipped.filter(week => week > target && week < anchor).length;
+  }
+
+  const index = ((weeks % rota.length) + rota.length) % rota.length;
+  return { week: getRotaWeekKeys(rota)[index], skipped: false };
+}
+
+module.exports = {
+  getRotaWeekKeys,
+  formatWeekKey,
+  getRotaWeek
+};
@@ -1,8 +1,26 @@
 const logger = require('./logger');
+const clock = require('./clock');
 
 // Notification window in minutes (handles GitHub Actions scheduling drift)
 const NOTIFICATION_WINDOW_MINUTES = 15;
 
+// Follow-ups may go out this much early, so a cron run a few seconds short of
+// the interval doesn't push the reminder back a whole minute
+const FOLLOW_UP_TOLERANCE_MS = 30 * 1000;
+
+// Two lessons for the same class make a double only if the second starts within this many
+// minutes of the first ending (or the second has "double": true)
+const DOUBLE_CHANGEOVER_MINUTES = 10;
+
+// Escalation defaults (settings.escalation overrides these)
+const DEFAULT_ESCALATION = {
+  enabled: false,
+  intervalMinutes: 5,
+  maxAttempts: 3,
+  untilPeriodEnd: true,
+  escalateFromAttempt: 2
+};
+
 /**
  * Parse a time string in HH:MM format
  * @param {string} timeString - Time in "HH:MM" format
@@ -26,15 +44,15 @@ function parseTime(timeString) {
 }
 
 /**
- * Add minutes to a time object
+ * Add minutes to a time object, wrapping around midnight
  * @param {object} time - { hours, minutes }
- * @param {number} minutesToAdd - Minutes to add
+ * @param {number} minutesToAdd - Minutes to add (may be negative)
  * @returns {object} New time object with minutes added
  */
 function addMinutes(time, minutesToAdd) {
-  const totalMinutes = time.hours * 60 + time.minutes + minutesToAdd;
+  const totalMinutes = (((time.hours * 60 + time.minutes + minutesToAdd) % 1440) + 1440) % 1440;
   return {
-    hours: Math.floor(totalMinutes / 60) % 24,
+    hours: Math.floor(totalMinutes / 60),
     minutes: totalMinutes % 60
   };
 }
@@ -45,34 +63,7 @@ function addMinutes(time, minutesToAdd) {
  * @returns {object} { hours, minutes, dayOfWeek }
  */
 function getCurrentTime(timezone) {
-  const now = new Date();
-
-  // Get localized time string in the specified timezone
-  const options = {
-    timeZone: timezone,
-    hour: '2-digit',
-    minute: '2-digit',
-    weekday: 'long',
-    hour12: false
-  };
-
-  const formatter = new Intl.DateTimeFormat('en-GB', options);
-  const parts = formatter.formatToParts(now);
-
-  let hours = 0;
-  let minutes = 0;
-  let dayOfWeek = '';
-
-  for (const part of parts) {
-    if (part.type === 'hour') {
-      hours = parseInt(part.value, 10);
-    } else if (part.type === 'minute') {
-      minutes = parseInt(part.value, 10);
-    } else if (part.type === 'weekday') {
-      dayOfWeek = part.value.toLowerCase();
-    }
-  }
-
+  const { hours, minutes, dayOfWeek } = clock.getZonedNow(timezone);
   return { hours, minutes, dayOfWeek };
 }
 
@@ -91,23 +82,128 @@ function timeToMinutes(time) {
  * @returns {string} Date string
  */
 function getTodayDateString(timezone) {
-  const now = new Date();
-  const options = {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
+  return clock.getZonedNow(timezone).date;
+}
+
+/**
+ * Add days to a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date string (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const time = Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Work out how a lesson is reminded
+ * The lesson's own offset, silent and message fields win, then its period's, then settings
+ * @param {object} lesson - Lesson object with period property
+ * @param {object} periods - Periods object from timetable
+ * @param {number} offsetMinutes - settings.notificationOffset
+ * @returns {object} { offset, silent, message } (message is null if there isn't one)
+ */
+function getLessonRules(lesson, periods, offsetMinutes) {
+  const period = periods[lesson.period] || {};
+  return {
+    offset: lesson.offset ?? period.offset ?? offsetMinutes,
+    silent: lesson.silent ?? period.silent ?? false,
+    message: lesson.message ?? period.message ?? null
   };
-  const formatter = new Intl.DateTimeFormat('en-CA', options); // en-CA gives YYYY-MM-DD format
-  return formatter.format(now);
+}
+
+/**
+ * Get the time a lesson's first reminder is due
+ * @param {object} lesson - Lesson object with period property
+ * @param {object} periods - Periods object from timetable
+ * @param {number} offsetMinutes - settings.notificationOffset
+ * @returns {object|null} { hours, minutes }, or null if the period is unknown
+ */
+function getNotifyTime(lesson, periods, offsetMinutes) {
+  const period = periods[lesson.period];
+  if (!period) {
+    return null;
+  }
+  return addMinutes(parseTime(period.start), getLessonRules(lesson, periods, offsetMinutes).offset);
+}
+
+/**
+ * Check whether a lesson is the second half of a double: the same class has the period
+ * just before it, ending no more than DOUBLE_CHANGEOVER_MINUTES before this one starts.
+ * Doubles are reminded once, at the start; "double": true on the second lesson makes it
+ * a double across a longer break, and "double": false reminds it separately.
+ * @param {object} lesson - Lesson object with period and class properties
+ * @param {Array} lessons - All of that day's lessons
+ * @param {object} periods - Periods object from timetable
+ * @returns {boolean} True if the lesson continues a double
+ */
+function isDoubleContinuation(lesson, lessons, periods) {
+  if (lesson.double === false || !periods[lesson.period]) {
+    return false;
+  }
+  const order = Object.keys(periods)
+    .filter(name => /^\d{1,2}:\d{2}$/.test(periods[name]?.start))
+    .sort((a, b) => timeToMinutes(parseTime(periods[a].start)) - timeToMinutes(parseTime(periods[b].start)));
+  const previous = order[order.indexOf(lesson.period) - 1];
+  if (previous === undefined || !lessons.some(other => other.period === previous && other.class === lesson.class)) {
+    return false;
+  }
+  if (lesson.double === true) {
+    return true;
+  }
+  if (!/^\d{1,2}:\d{2}$/.test(periods[previous].end)) {
+    return false;
+  }
+  const gap = timeToMinutes(parseTime(periods[lesson.period].start)) - timeToMinutes(parseTime(periods[previous].end));
+  return gap >= 0 && gap <= DOUBLE_CHANGEOVER_MINUTES;
+}
+
+/**
+ * Get the lesson after this one on the same day (for the {{next...}} template placeholders)
+ * The second half of a double with this class doesn't count as the next lesson
+ * @param {object} lesson - Lesson object with period and class properties
+ * @param {Array} lessons - All of that day's lessons
+ * @param {object} periods - Periods object from timetable
+ * @returns {object|null} { class, subject, room, period, start, end }, or null if it's the last
+ */
+function getNextLesson(lesson, lessons, periods) {
+  const startOf = other => timeToMinutes(parseTime(periods[other.period].start));
+  if (!periods[lesson.period]) {
+    return null;
+  }
+
+  const next = lessons
+    .filter(other => periods[other.period] && startOf(other) > startOf(lesson))
+    .filter(other => !(other.class === lesson.class && isDoubleContinuation(other, lessons, periods)))
+    .sort((a, b) => startOf(a) - startOf(b))[0];
+  if (!next) {
+    return null;
+  }
+
+  const { start, end } = periods[next.period];
+  return { class: next.class, subject: next.subject, room: next.room ?? null, period: next.period, start, end };
+}
+
+/**
+ * Get the lessons that are reminded at all: not silent, and not the second half of a double
+ * @param {Array} lessons - All of a day's lessons
+ * @param {object} periods - Periods object from timetable
+ * @returns {Array} Lessons to remind
+ */
+function getRemindedLessons(lessons, periods) {
+  return lessons.filter(lesson =>
+    !getLessonRules(lesson, periods).silent && !isDoubleContinuation(lesson, lessons, periods)
+  );
 }
 
 /**
  * Check if a notification should be sent for a lesson right now
  * Returns true if current time is between 0 and 15 minutes AFTER the notification time
+ * (the lesson's or period's offset if it has one), and never for silent lessons
  * @param {object} lesson - Lesson object with period property
  * @param {object} periods - Periods object from timetable
- * @param {number} offsetMinutes - Minutes after lesson start to notify
+ * @param {number} offsetMinutes - Minutes after lesson start to notify (settings.notificationOffset)
  * @param {object} currentTime - { hours, minutes }
  * @returns {boolean} True if within notification window
  */
@@ -118,8 +214,13 @@ function shouldNotifyNow(lesson, periods, offsetMinutes, currentTime) {
     return false;
   }
 
+  const rules = getLessonRules(lesson, periods, offsetMinutes);
+  if (rules.silent) {
+    return false;
+  }
+
   const periodStart = parseTime(period.start);
-  const notifyTime = addMinutes(periodStart, offsetMinutes);
+  const notifyTime = addMinutes(periodStart, rules.offset);
 
   // Convert times to minutes since midnight for comparison
   const currentMinutes = timeToMinutes(currentTime);
@@ -133,6 +234,7 @@ function shouldNotifyNow(lesson, periods, offsetMinutes, currentTime) {
 
 /**
  * Get all lessons that are within the notification time window
+ * Silent lessons and the second halves of doubles are left out
  * Note: Deduplication is handled separately in index.js using the dedup module
  * @param {Array} lessons - Array of today's lessons
  * @param {object} periods - Periods object from timetable
@@ -141,17 +243,103 @@ function shouldNotifyNow(lesson, periods, offsetMinutes, currentTime) {
  * @returns {Array} Array of lessons within notification window
  */
 function getLessonsToNotify(lessons, periods, offsetMinutes, currentTime) {
-  return lessons.filter(lesson =>
+  return getRemindedLessons(lessons, periods).filter(lesson =>
     shouldNotifyNow(lesson, periods, offsetMinutes, currentTime)
   );
 }
 
+/**
+ * Fill in escalation policy defaults
+ * @param {object} [policy] - settings.escalation
+ * @returns {object} Complete policy
+ */
+function getEscalationPolicy(policy) {
+  return { ...DEFAULT_ESCALATION, ...policy };
+}
+
+/**
+ * Check if a follow-up reminder is due for a lesson that hasn't been acknowledged
+ * Follow-ups repeat every intervalMinutes after the last attempt, until maxAttempts
+ * is reached or (if untilPeriodEnd) the period ends
+ * @param {object} lesson - Lesson object with period property
+ * @param {object} periods - Periods object from timetable
+ * @param {object|null} state - Today's notification state for the lesson (from dedup)
+ * @param {object} policy - Escalation policy (settings.escalation)
+ * @param {object} currentTime - { hours, minutes }
+ * @param {Date} [now] - Current instant (for the interval since the last attempt)
+ * @returns {boolean} True if a follow-up should be sent now
+ */
+function shouldFollowUpNow(lesson, periods, state, policy, currentTime, now = clock.now()) {
+  const escalation = getEscalationPolicy(policy);
+  if (!escalation.enabled || !state || state.attempts < 1 || state.acknowledgedAt) {
+    return false;
+  }
+
+  const period = periods[lesson.period];
+  if (!period) {
+    return false;
+  }
+
+  if (escalation.maxAttempts && state.attempts >= escalation.maxAttempts) {
+    return false;
+  }
+
+  // Without either limit follow-ups would never stop; stop at the period end
+  const untilPeriodEnd = escalation.untilPeriodEnd || !escalation.maxAttempts;
+  if (untilPeriodEnd && timeToMinutes(currentTime) >= timeToMinutes(parseTime(period.end))) {
+    return false;
+  }
+
+  const elapsed = now.getTime() - Date.parse(state.lastNotifiedAt);
+  return elapsed >= escalation.intervalMinutes * 60000 - FOLLOW_UP_TOLERANCE_MS;
+}
+
+/**
+ * Get the times follow-up reminders would go out for a lesson if never acknowledged
+ * @param {object} lesson - Lesson object with period property
+ * @param {object} periods - Periods object from timetable
+ * @param {number} offsetMinutes - Minutes after lesson start to notify (settings.notificationOffset)
+ * @param {object} policy - Escalation policy (settings.escalation)
+ * @returns {Array<object>} [{ hours, minutes }] (empty if escalation is disabled)
+ */
+function getFollowUpTimes(lesson, periods, offsetMinutes, policy) {
+  const escalation = getEscalationPolicy(policy);
+  const period = periods[lesson.period];
+  if (!escalation.enabled || !period || !(escalation.intervalMinutes > 0)) {
+    return [];
+  }
+
+  // Without either limit follow-ups would never stop; stop at the period end
+  const untilPeriodEnd = escalation.untilPeriodEnd || !escalation.maxAttempts;
+  const notifyTime = getNotifyTime(lesson, periods, offsetMinutes);
+  const endMinutes = timeToMinutes(parseTime(period.end));
+  const times = [];
+
+  for (let attempt = 2; !escalation.maxAttempts || attempt <= escalation.maxAttempts; attempt++) {
+    const minutesAfter = (attempt - 1) * escalation.intervalMinutes;
+    if (untilPeriodEnd && timeToMinutes(notifyTime) + minutesAfter >= endMinutes) {
+      break;
+    }
+    times.push(addMinutes(notifyTime, minutesAfter));
+  }
+  return times;
+}
+
 module.exports = {
   parseTime,
   addMinutes,
   getCurrentTime,
+  getLessonRules,
+  getNotifyTime,
+  isDoubleContinuation,
+  getNextLesson,
+  getRemindedLessons,
   shouldNotifyNow,
   getLessonsToNotify,
   getTodayDateString,
+  addDays,
+  getEscalationPolicy,
+  shouldFollowUpNow,
+  getFollowUpTimes,
   NOTIFICATION_WINDOW_MINUTES
 };
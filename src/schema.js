@@ -0,0 +1,282 @@
+// A small JSON Schema validator for the config files
+//
+// The schemas in schemas/ are ordinary JSON Schema (2020-12) files, so editors can use
+// them too. Only the keywords those files use are supported here:
+//   $ref (within a file, or to another file in schemas/), type, enum, const,
+//   properties, required, additionalProperties, patternProperties, minProperties, items,
+//   minItems, uniqueItems, minimum, maximum, minLength, pattern,
+//   format (date, time, uri), oneOf, anyOf, if/then/else
+// Annotations ($schema, $id, $comment, title, description, default, examples) are ignored.
+
+const fs = require('fs');
+const path = require('path');
+const { joinPointer } = require('./json');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+const schemaCache = new Map();
+
+const FORMATS = {
+  date: value => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  },
+  time: value => /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (err) {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  date: 'a date (YYYY-MM-DD)',
+  time: 'a time (HH:MM, 24-hour)',
+  uri: 'a URL'
+};
+
+/**
+ * Load a schema file from the schemas directory
+ * @param {string} file - File name, e.g. 'settings.schema.json'
+ * @returns {object} Parsed schema
+ * @throws {Error} If the file is missing or isn't valid JSON
+ */
+function loadSchema(file) {
+  if (!schemaCache.has(file)) {
+    const content = fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf8');
+    schemaCache.set(file, JSON.parse(content));
+  }
+  return schemaCache.get(file);
+}
+
+/**
+ * Resolve a $ref such as '#/$defs/lesson' or 'exceptions.schema.json'
+ * @param {string} ref - Reference
+ * @param {object} root - Schema the reference appears in
+ * @returns {object} { schema, root } - the target and the schema file it lives in
+ * @throws {Error} If the reference can't be resolved
+ */
+function resolveRef(ref, root) {
+  const [file, fragment = ''] = ref.split('#');
+  const target = file ? loadSchema(file) : root;
+
+  let schema = target;
+  for (const token of fragment.split('/').slice(1)) {
+    schema = schema?.[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (!schema) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return { schema, root: target };
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'object', 'string' or 'boolean'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Format a list of allowed values for a message
+ * @param {Array} values - Allowed values
+ * @returns {string} e.g. '"resend" or "smtp"'
+ */
+function formatChoices(values) {
+  const quoted = values.map(value => JSON.stringify(value));
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+}
+
+/**
+ * Validate a value against a schema, collecting every problem
+ * @param {*} value - Value to check
+ * @param {object|boolean} schema - Schema (or sub-schema)
+ * @param {object} root - Schema file the sub-schema belongs to (for $ref)
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Array<object>} problems - { pointer, message } entries are added here
+ */
+function check(value, schema, root, pointer, problems) {
+  if (schema === true) return;
+  if (schema === false) {
+    problems.push({ pointer, message: 'is not allowed here' });
+    return;
+  }
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, root);
+    check(value, resolved.schema, resolved.root, pointer, problems);
+  }
+
+  const type = typeOf(value);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const matches = types.includes(type) || (type === 'integer' && types.includes('number'));
+    if (!matches) {
+      problems.push({ pointer, message: `must be ${types.map(t => (t === 'integer' ? 'a whole number' : `${/^[aeiou]/.test(t) ? 'an' : 'a'} ${t}`)).join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    problems.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push({ pointer, message: `must be ${formatChoices(schema.enum)}: ${JSON.stringify(value)}` });
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ pointer, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      problems.push({ pointer, message: `has an invalid format: ${JSON.stringify(value)}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      problems.push({ pointer, message: `must be ${FORMAT_NAMES[schema.format]}: ${JSON.stringify(value)}` });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ pointer, message: `must be at least ${schema.minimum}: ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ pointer, message: `must be at most ${schema.maximum}: ${value}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ pointer, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          problems.push({ pointer: joinPointer(pointer, i), message: `is a duplicate: ${key}` });
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(item, schema.items, root, joinPointer(pointer, i), problems));
+    }
+  }
+
+  if (type === 'object') {
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      problems.push({ pointer, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        problems.push({ pointer, message: `is missing "${name}"` });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const itemPointer = joinPointer(pointer, name);
+      let known = false;
+
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+        known = true;
+        check(item, schema.properties[name], root, itemPointer, problems);
+      }
+      for (const [pattern, itemSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern, 'u').test(name)) {
+          known = true;
+          check(item, itemSchema, root, itemPointer, problems);
+        }
+      }
+
+      if (!known && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          const expected = Object.keys(schema.properties || {}).filter(key => !key.startsWith('$'));
+          problems.push({
+            pointer: itemPointer,
+            unrecognised: true,
+            message: `is not a recognised property${expected.length > 0 && expected.length <= 6 ? ` (expected ${formatChoices(expected)})` : ''}`
+          });
+        } else {
+          check(item, schema.additionalProperties, root, itemPointer, problems);
+        }
+      }
+    }
+  }
+
+  if (schema.if) {
+    const branch = validateSchema(value, schema.if, root, pointer).length === 0 ? schema.then : schema.else;
+    if (branch) {
+      check(value, branch, root, pointer, problems);
+    }
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!schema[keyword]) continue;
+
+    const results = schema[keyword].map(option => validateSchema(value, option, root, pointer));
+    const passing = results.filter(result => result.length === 0).length;
+    if (passing === 0) {
+      // Report the option that came closest, which is usually the one that was meant:
+      // the one whose property names fit best, then the one with the fewest problems
+      const score = result => [result.filter(problem => problem.unrecognised).length, result.length];
+      const closest = results.reduce((best, result) => {
+        const [a, b] = [score(result), score(best)];
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]) ? result : best;
+      });
+      problems.push(...closest);
+    } else if (keyword === 'oneOf' && passing > 1) {
+      problems.push({ pointer, message: 'matches more than one of the allowed forms' });
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check (e.g. parsed settings.json)
+ * @param {object|string} schema - Schema object, or the name of a file in schemas/
+ * @param {object} [root] - Schema file the schema belongs to (for $ref; defaults to schema)
+ * @param {string} [pointer] - JSON pointer of the value ('' for the whole document)
+ * @returns {Array<object>} Problems as { pointer, message } (empty if valid)
+ */
+function validateSchema(value, schema, root, pointer = '') {
+  const resolved = typeof schema === 'string' ? loadSchema(schema) : schema;
+  const problems = [];
+  check(value, resolved, root || resolved, pointer, problems);
+  return problems;
+}
+
+/**
+ * Format a validation problem as a single line
+ * @param {object} problem - { pointer, message }
+ * @returns {string} e.g. '/periods/1st School/end: must be a time (HH:MM, 24-hour): "9.40"'
+ */
+function formatProblem(problem) {
+  return `${problem.pointer || '(top level)'}: ${problem.message}`;
+}
+
+/**
+ * Turn a list of problems into the { valid, errors } shape the validators return
+ * @param {Array<object>} problems - { pointer, message } entries
+ * @returns {object} { valid, errors: [formatted strings], problems }
+ */
+function toValidationResult(problems) {
+  const cleaned = problems.map(({ pointer, message }) => ({ pointer, message }));
+  return { valid: cleaned.length === 0, errors: cleaned.map(formatProblem), problems: cleaned };
+}
+
+module.exports = {
+  SCHEMAS_DIR,
+  loadSchema,
+  validateSchema,
+  formatProblem,
+  toValidationResult
+};
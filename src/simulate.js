@@ -0,0 +1,514 @@
+// Dry runs of the reminder pipeline against a virtual clock
+//
+// The simulator works out when the scheduler would run (from the GitHub Actions cron
+// schedule, or every N minutes), optionally delays each run by a random amount as
+// GitHub does under load, then calls the real runCheck() at each of those instants with
+// the clock set accordingly. Notifications go to a recording channel instead of real
+// services, and history goes to a temporary file, so nothing is sent or recorded.
+// The recorded notifications are then compared with the lessons in the timetable.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const clock = require('./clock');
+const { registerChannel } = require('./channels');
+const { getHistoryFile, setHistoryFile } = require('./history');
+const { runCheck, loadDay } = require('./check');
+const { loadTerms, findTermForDate, isValidDateString } = require('./terms');
+const {
+  addDays,
+  getNotifyTime,
+  getRemindedLessons,
+  getFollowUpTimes,
+  NOTIFICATION_WINDOW_MINUTES
+} = require('./scheduler');
+
+const WORKFLOW_PATH = path.join(__dirname, '..', '.github', 'workflows', 'main.yml');
+const SIMULATION_CHANNEL = 'simulation';
+
+// Field ranges for the five cron fields: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - e.g. "*", "*\/5", "6-18", "1,15,30", "1-5/2"
+ * @param {object} field - { name, min, max }
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name}: "${text}"`);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let low = field.min;
+    let high = field.max;
+    if (match[1] !== '*') {
+      low = parseInt(match[2], 10);
+      // "5/15" means 5, 20, 35, ... up to the end of the range
+      high = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : low);
+    }
+    if (step < 1 || low < field.min || high > field.max || low > high) {
+      throw new Error(`Invalid cron ${field.name}: "${text}"`);
+    }
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (as used by GitHub Actions, always in UTC)
+ * @param {string} expression - e.g. "*\/5 6-18 * * 1-6"
+ * @returns {object} { expression, minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression: "${expression}" (expected 5 fields)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // 7 is another way of writing Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check if a cron schedule fires at a given minute
+ * Like cron, when both day fields are restricted a match on either is enough
+ * @param {object} cron - From parseCron
+ * @param {Date} instant - Start of a minute
+ * @returns {boolean} True if the schedule fires then
+ */
+function cronMatches(cron, instant) {
+  if (!cron.minutes.has(instant.getUTCMinutes()) ||
+      !cron.hours.has(instant.getUTCHours()) ||
+      !cron.months.has(instant.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.daysOfMonth.has(instant.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(instant.getUTCDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Read the cron schedules from the GitHub Actions workflow
+ * @param {string} [file] - Workflow file
+ * @returns {Array<string>} Cron expressions
+ * @throws {Error} If the file can't be read or has no schedule
+ */
+function readWorkflowSchedules(file = WORKFLOW_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Failed to read workflow ${file}: ${err.message}`);
+  }
+
+  const expressions = [...text.matchAll(/^\s*-\s*cron:\s*['"]([^'"]+)['"]/gm)].map(match => match[1]);
+  if (expressions.length === 0) {
+    throw new Error(`No cron schedule found in ${file}`);
+  }
+  return expressions;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32), so simulations with jitter
+ * can be repeated exactly
+ * @param {number} seed - Any integer
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Work out when the scheduler would run between two instants
+ * @param {object} options - { start: Date, end: Date, crons: [parsed], everyMinutes,
+ *   jitterMinutes, random } - give either crons or everyMinutes
+ * @returns {Array<Date>} Run times in order, each delayed by up to jitterMinutes
+ */
+function buildRunTimes(options) {
+  const { start, end, crons = [], everyMinutes = null, jitterMinutes = 0, random = Math.random } = options;
+  const runs = [];
+
+  // Schedules fire on whole minutes, counted in UTC like cron
+  const firstMinute = Math.ceil(start.getTime() / 60000);
+  for (let minute = firstMinute; minute * 60000 < end.getTime(); minute++) {
+    const scheduled = new Date(minute * 60000);
+    const fires = everyMinutes
+      ? minute % everyMinutes === 0
+      : crons.some(cron => cronMatches(cron, scheduled));
+    if (!fires) {
+      continue;
+    }
+    // Whole seconds, as a real runner would start at some arbitrary second
+    const delaySeconds = Math.floor(random() * jitterMinutes * 60);
+    runs.push(new Date(scheduled.getTime() + delaySeconds * 1000));
+  }
+
+  return runs.sort((a, b) => a - b);
+}
+
+/**
+ * Work out the date range to simulate
+ * @param {object} options - { term, from, to }
+ * @param {string} today - Today's date string (YYYY-MM-DD)
+ * @returns {object} { from, to, title }
+ * @throws {Error} If the term is unknown or the dates are invalid
+ */
+function resolveSimulationRange(options, today) {
+  const { term, from, to } = options;
+  let range;
+
+  if (term) {
+    const { terms } = loadTerms();
+    const wanted = term.toLowerCase();
+    const match = terms.find(candidate =>
+      candidate.name.toLowerCase() === wanted || candidate.title.toLowerCase() === wanted
+    );
+    if (!match) {
+      const known = terms.map(candidate => candidate.name).join(', ') || 'none';
+      throw new Error(`Unknown term: ${term} (available: ${known})`);
+    }
+    range = { from: match.startDate, to: match.endDate, title: match.title };
+  } else if (from || to) {
+    if (!from) {
+      throw new Error('--to needs --from as well');
+    }
+    range = { from, to: to || from, title: null };
+  } else {
+    // The current term, or the next one during holidays
+    const { terms } = loadTerms();
+    const current = findTermForDate(terms, today) ||
+      terms.find(candidate => candidate.startDate > today);
+    if (!current) {
+      throw new Error('No current or upcoming term; give a term name or --from/--to');
+    }
+    range = { from: current.startDate, to: current.endDate, title: current.title };
+  }
+
+  for (const date of [range.from, range.to]) {
+    if (!isValidDateString(date)) {
+      throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+  }
+  if (range.to < range.from) {
+    throw new Error(`Nothing to simulate: ${range.from} is after ${range.to}`);
+  }
+  return range;
+}
+
+/**
+ * Get a lesson's key for matching notifications to lessons
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} lesson - Lesson object with class and period properties
+ * @returns {string} Key
+ */
+function lessonKey(date, lesson) {
+  return `${date}|${lesson.class}|${lesson.period}`;
+}
+
+/**
+ * Format an instant as HH:MM in a timezone
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - Timezone string
+ * @returns {string} e.g. "09:10"
+ */
+function formatZonedTime(instant, timezone) {
+  const zoned = clock.getZonedDateTime(instant, timezone);
+  return `${String(zoned.hours).padStart(2, '0')}:${String(zoned.minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Run the reminder pipeline over a date range against a virtual clock
+ * @param {object} settings - Settings object (channels are replaced by a recording channel)
+ * @param {object} options - { from, to, crons: [expression], everyMinutes, jitterMinutes, seed }
+ *   - give either crons or everyMinutes
+ * @returns {Promise<object>} { from, to, timezone, schedule, jitterMinutes, seed, runs,
+ *   lessons: [...], unexpected: [...], problems: [...], warnings: [...], errors: [...] }
+ */
+async function simulate(settings, options) {
+  const { from, to, crons = [], everyMinutes = null, jitterMinutes = 0, seed = 1 } = options;
+  const timezone = settings.timezone;
+  const simulated = { ...settings, channels: [{ name: SIMULATION_CHANNEL, enabled: true }] };
+  const parsedCrons = crons.map(parseCron);
+
+  const sent = [];
+  registerChannel({
+    name: SIMULATION_CHANNEL,
+    description: 'Records notifications during a simulation',
+    send: async notification => {
+      // Only lesson reminders are checked; the daily digest and summary have no lesson
+      if (!notification.lesson) return;
+      const at = clock.now();
+      sent.push({
+        at,
+        date: clock.getZonedDateTime(at, timezone).date,
+        lesson: notification.lesson,
+        attempt: notification.attempt
+      });
+    }
+  });
+
+  // Warnings and errors are collected (once each) rather than printed on every run
+  const messages = { WARN: new Map(), ERROR: new Map() };
+  const collect = ({ level, message, data }) => {
+    if (!messages[level]) return;
+    const text = data === undefined ? message : `${message} ${JSON.stringify(data)}`;
+    messages[level].set(text, (messages[level].get(text) || 0) + 1);
+  };
+
+  const runs = buildRunTimes({
+    start: clock.zonedTimeToDate(from, { hours: 0, minutes: 0 }, timezone),
+    end: clock.zonedTimeToDate(addDays(to, 1), { hours: 0, minutes: 0 }, timezone),
+    crons: parsedCrons,
+    everyMinutes,
+    jitterMinutes,
+    random: createRandom(seed)
+  });
+
+  const previousHistoryFile = getHistoryFile();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-simulate-'));
+  const expected = [];
+  let failedRuns = 0;
+
+  setHistoryFile(path.join(dir, 'history.jsonl'));
+  logger.setSink(collect);
+  try {
+    for (const run of runs) {
+      clock.setClock(run);
+      try {
+        await runCheck({ settings: simulated });
+      } catch (err) {
+        failedRuns++;
+        collect({ level: 'ERROR', message: `Run failed: ${err.message}` });
+      }
+    }
+
+    // The lessons that should have been reminded, from the same timetable lookup
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      let day;
+      try {
+        day = loadDay(simulated, date);
+      } catch (err) {
+        collect({ level: 'ERROR', message: `Failed to load ${date}: ${err.message}` });
+        continue;
+      }
+      if (!day.timetable || day.closure) {
+        continue;
+      }
+      for (const lesson of getRemindedLessons(day.lessons, day.timetable.periods)) {
+        expected.push({ date, lesson, periods: day.timetable.periods });
+      }
+    }
+  } finally {
+    clock.resetClock();
+    logger.setSink(null);
+    setHistoryFile(previousHistoryFile);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Match notifications to lessons
+  const byLesson = new Map();
+  for (const notification of sent) {
+    const key = lessonKey(notification.date, notification.lesson);
+    if (!byLesson.has(key)) byLesson.set(key, []);
+    byLesson.get(key).push(notification);
+  }
+
+  const lessons = [];
+  const problems = [];
+  for (const { date, lesson, periods } of expected) {
+    const key = lessonKey(date, lesson);
+    const notifications = byLesson.get(key) || [];
+    byLesson.delete(key);
+
+    const notifyTime = getNotifyTime(lesson, periods, settings.notificationOffset);
+    const dueAt = clock.zonedTimeToDate(date, notifyTime, timezone);
+    const windowEnd = new Date(dueAt.getTime() + NOTIFICATION_WINDOW_MINUTES * 60000);
+    const first = notifications.find(notification => notification.attempt === 1);
+    const followUps = getFollowUpTimes(lesson, periods, settings.notificationOffset, settings.escalation).length;
+
+    const entry = {
+      date,
+      lesson,
+      dueAt,
+      notifications,
+      delayMinutes: first ? Math.round((first.at - dueAt) / 60000) : null
+    };
+    lessons.push(entry);
+
+    const describe = `${date} ${lesson.class} (${lesson.period}, due ${formatZonedTime(dueAt, timezone)})`;
+    if (!first) {
+      const ranInWindow = runs.some(run => run >= dueAt && run < windowEnd);
+      problems.push({
+        kind: 'missed',
+        lesson: entry,
+        message: `${describe}: missed - ${ranInWindow
+          ? 'the scheduler ran but nothing was sent'
+          : `no run between ${formatZonedTime(dueAt, timezone)} and ${formatZonedTime(windowEnd, timezone)}`}`
+      });
+    }
+
+    const attempts = notifications.map(notification => notification.attempt);
+    if (new Set(attempts).size < attempts.length) {
+      problems.push({
+        kind: 'duplicate',
+        lesson: entry,
+        message: `${describe}: reminded more than once (attempts ${attempts.join(', ')})`
+      });
+    } else if (first && notifications.length < 1 + followUps) {
+      problems.push({
+        kind: 'follow-up',
+        lesson: entry,
+        message: `${describe}: ${notifications.length - 1} of ${followUps} follow-ups sent`
+      });
+    }
+  }
+
+  // Anything left over went out for a lesson that isn't in the timetable that day
+  const unexpected = [...byLesson.values()].flat();
+  for (const notification of unexpected) {
+    problems.push({
+      kind: 'unexpected',
+      lesson: null,
+      message: `${notification.date} ${notification.lesson.class} (${notification.lesson.period}): ` +
+        `reminder at ${formatZonedTime(notification.at, timezone)} for a lesson not in the timetable that day`
+    });
+  }
+
+  const summarise = map => [...map].map(([message, count]) => (count > 1 ? `${message} (x${count})` : message));
+
+  return {
+    from,
+    to,
+    timezone,
+    schedule: everyMinutes ? `every ${everyMinutes} min` : crons.join(', '),
+    jitterMinutes,
+    seed,
+    runs: runs.length,
+    failedRuns,
+    lessons,
+    unexpected,
+    problems,
+    warnings: summarise(messages.WARN),
+    errors: summarise(messages.ERROR)
+  };
+}
+
+/**
+ * Format simulation results for the console
+ * @param {object} result - From simulate()
+ * @param {object} [options] - { summary: true to leave out the list of notifications }
+ * @returns {string} Text output
+ */
+function formatSimulation(result, options = {}) {
+  const { timezone } = result;
+  const lines = [];
+  const jitter = result.jitterMinutes ? `, runs delayed by up to ${result.jitterMinutes} min (seed ${result.seed})` : '';
+  lines.push(`Simulation: ${result.from} to ${result.to}, ${result.schedule} (UTC)${jitter}`);
+  lines.push('');
+
+  if (!options.summary) {
+    const rows = [];
+    for (const entry of result.lessons) {
+      for (const notification of entry.notifications) {
+        rows.push([
+          entry.date,
+          formatZonedTime(entry.dueAt, timezone),
+          formatZonedTime(notification.at, timezone),
+          String(notification.attempt),
+          entry.lesson.class,
+          entry.lesson.period,
+          entry.lesson.subject || ''
+        ]);
+      }
+    }
+
+    if (rows.length > 0) {
+      const header = ['Date', 'Due', 'Sent', 'Attempt', 'Class', 'Period', 'Subject'];
+      const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+      const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+      lines.push(formatRow(header));
+      lines.push(...rows.map(formatRow));
+      lines.push('');
+    }
+  }
+
+  const count = kind => result.problems.filter(problem => problem.kind === kind).length;
+  const reminded = result.lessons.filter(entry => entry.delayMinutes !== null);
+  const maxDelay = reminded.reduce((max, entry) => Math.max(max, entry.delayMinutes), 0);
+  const sent = result.lessons.reduce((total, entry) => total + entry.notifications.length, 0) + result.unexpected.length;
+
+  lines.push(`${result.runs} runs, ${result.lessons.length} lessons, ${sent} notifications`);
+  lines.push(`${reminded.length} reminded (at most ${maxDelay} min late), ${count('missed')} missed, ${count('duplicate')} duplicated`);
+
+  if (result.problems.length > 0) {
+    lines.push('');
+    lines.push('Problems:');
+    lines.push(...result.problems.map(problem => `  ${problem.message}`));
+  }
+  if (result.errors.length > 0) {
+    lines.push('');
+    lines.push(`Errors${result.failedRuns ? ` (${result.failedRuns} runs failed)` : ''}:`);
+    lines.push(...result.errors.map(message => `  ${message}`));
+  }
+  if (result.warnings.length > 0) {
+    lines.push('');
+    lines.push('Warnings:');
+    lines.push(...result.warnings.map(message => `  ${message}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  WORKFLOW_PATH,
+  parseCron,
+  cronMatches,
+  readWorkflowSchedules,
+  createRandom,
+  buildRunTimes,
+  resolveSimulationRange,
+  simulate,
+  formatSimulation
+};
@@ -0,0 +1,297 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const clock = require('./clock');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Check whether a string is plain printable ASCII
+ * @param {string} value - String to check
+ * @returns {boolean} True if no encoding is needed
+ */
+function isPlainAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+/**
+ * Encode header text as RFC 2047 encoded-words (UTF-8, base64)
+ * Long values are split across several encoded-words without breaking characters
+ * @param {string} value - Header text
+ * @returns {string} Encoded text, folded onto continuation lines if needed
+ */
+function encodeHeaderValue(value) {
+  if (isPlainAscii(value)) {
+    return value;
+  }
+
+  // 39 bytes of UTF-8 -> 52 base64 chars, so an encoded-word (64 chars) still fits in a
+  // 76-character line after a header name such as "Subject: "
+  const words = [];
+  let chunk = '';
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char, 'utf8') > 39) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+/**
+ * Format an address with an optional display name for a header
+ * @param {string} address - Email address
+ * @param {string} [name] - Display name
+ * @returns {string} e.g. "Registration Reminder" <reg@example.com>
+ */
+function formatAddress(address, name) {
+  if (!name) {
+    return `<${address}>`;
+  }
+  const displayName = isPlainAscii(name)
+    ? `"${name.replace(/(["\\])/g, '\\$1')}"`
+    : encodeHeaderValue(name);
+  return `${displayName} <${address}>`;
+}
+
+/**
+ * Encode a message body part as base64 with CRLF line endings
+ * @param {string} text - Body text
+ * @returns {string} Base64 lines, each ending in CRLF
+ */
+function encodeBody(text) {
+  return Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8')
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build an RFC 5322 message: plain text, or multipart/alternative when there's an HTML body
+ * @param {object} options - { from, fromName, to, subject, text, html, date } (date defaults to the clock's now)
+ * @returns {string} Message with CRLF line endings (not dot-stuffed)
+ */
+function buildMessage({ from, fromName, to, subject, text, html = null, date = clock.now() }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const domain = from.split('@')[1] || os.hostname();
+
+  const headers = [
+    `From: ${formatAddress(from, fromName)}`,
+    `To: ${recipients.map(address => formatAddress(address)).join(', ')}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    headers.push('Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: base64');
+    return `${headers.join('\r\n')}\r\n\r\n${encodeBody(text)}`;
+  }
+
+  const boundary = `=_${crypto.randomUUID()}`;
+  headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+  const parts = [['text/plain', text], ['text/html', html]].map(([type, content]) =>
+    `--${boundary}\r\nContent-Type: ${type}; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${encodeBody(content)}`
+  );
+  return `${headers.join('\r\n')}\r\n\r\n${parts.join('')}--${boundary}--\r\n`;
+}
+
+/**
+ * Read SMTP replies from a socket
+ * @param {net.Socket} socket - Connected socket
+ * @returns {object} { read(): Promise<{ code, lines }>, attach(socket) }
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let current = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      current.push(line.slice(4));
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: current });
+        current = [];
+      }
+    }
+    deliver();
+  };
+
+  const onError = err => {
+    failure = err;
+    deliver();
+  };
+
+  const onClose = () => onError(failure || new Error('SMTP connection closed unexpectedly'));
+
+  const attach = target => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  };
+
+  const detach = target => {
+    target.removeListener('data', onData);
+    target.removeListener('error', onError);
+    target.removeListener('close', onClose);
+  };
+
+  attach(socket);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        deliver();
+      });
+    },
+    attach,
+    detach
+  };
+}
+
+/**
+ * Open a TCP or implicit-TLS connection
+ * @param {object} options - { host, port, secure, timeout, rejectUnauthorized }
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure, timeout, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timed out after ${timeout}ms`)));
+    socket.once('error', reject);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Send a message through an SMTP server
+ * @param {object} options - Connection and envelope options:
+ *   host, port, security ('starttls' | 'tls' | 'none'), user, pass,
+ *   authMethod ('PLAIN' | 'LOGIN'), from, to, message, timeout, rejectUnauthorized
+ * @returns {Promise<void>}
+ * @throws {Error} If the server rejects any step or the connection fails
+ */
+async function sendMail(options) {
+  const {
+    host,
+    port,
+    security = 'starttls',
+    user,
+    pass,
+    from,
+    to,
+    message,
+    timeout = DEFAULT_TIMEOUT_MS,
+    rejectUnauthorized = true
+  } = options;
+
+  let socket = await connect({ host, port, secure: security === 'tls', timeout, rejectUnauthorized });
+  const reader = createReplyReader(socket);
+
+  const expect = async (codes, step) => {
+    const reply = await reader.read();
+    if (!codes.includes(reply.code)) {
+      const err = new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      // 5xx replies are permanent (bad address, authentication failed); 4xx are worth retrying
+      err.permanent = reply.code >= 500;
+      throw err;
+    }
+    return reply;
+  };
+
+  const command = (line, codes, step = line.split(' ')[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+
+    if (security === 'starttls') {
+      if (!ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw new Error('SMTP server does not support STARTTLS (set email.smtp.security to "none" to allow plain text)');
+      }
+      await command('STARTTLS', [220]);
+
+      reader.detach(socket);
+      socket = await new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: host, rejectUnauthorized }, () => resolve(secured));
+        secured.once('error', reject);
+      });
+      socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timed out after ${timeout}ms`)));
+      reader.attach(socket);
+
+      ehlo = await command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+    }
+
+    if (user && pass) {
+      const authLine = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+      const supported = authLine.toUpperCase().split(/[\s=]+/).slice(1);
+      const method = (options.authMethod || (supported.includes('PLAIN') ? 'PLAIN' : 'LOGIN')).toUpperCase();
+
+      if (method === 'PLAIN') {
+        const credentials = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      } else if (method === 'LOGIN') {
+        await command('AUTH LOGIN', [334], 'AUTH LOGIN');
+        await command(Buffer.from(user, 'utf8').toString('base64'), [334], 'AUTH LOGIN (username)');
+        await command(Buffer.from(pass, 'utf8').toString('base64'), [235], 'AUTH LOGIN (password)');
+      } else {
+        throw new Error(`Unsupported SMTP auth method: ${method}`);
+      }
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const recipient of Array.isArray(to) ? to : [to]) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+
+    // Dot-stuff lines starting with "." and terminate with <CRLF>.<CRLF>
+    const data = message.replace(/\r\n\./g, '\r\n..').replace(/^\./, '..');
+    socket.write(data.endsWith('\r\n') ? data : `${data}\r\n`);
+    await command('.', [250], 'message delivery');
+
+    socket.write('QUIT\r\n');
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  encodeHeaderValue,
+  buildMessage,
+  sendMail
+};
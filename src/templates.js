@@ -0,0 +1,233 @@
+// Notification templates
+//
+// What a reminder says comes from templates with {{placeholders}}:
+//   {{class}}, {{subject}}, {{room}}, {{period}}, {{start}}, {{end}} - the lesson
+//   {{date}} (YYYY-MM-DD), {{day}} (e.g. Monday)
+//   {{next.class}}, {{next.subject}}, {{next.room}}, {{next.period}}, {{next.start}},
+//   {{next.end}} - the teacher's next lesson that day (empty if there isn't one)
+//   {{attempt}}, {{reminder}} (" (reminder 2)" on follow-ups, empty on the first)
+//   {{note}} - the lesson's or period's message, {{ackUrl}} - the "registration done" link
+//   {{lesson.class}} etc. also work, as in webhook templates
+// {{#name}}...{{/name}} is only shown when name has a value, {{^name}}...{{/name}} only
+// when it doesn't, e.g. "{{#next}}Next: {{next.class}} at {{next.start}}{{/next}}".
+//
+// settings.templates replaces any of the defaults below; settings.templates.channels.<name>
+// replaces them again for one channel:
+//   "templates": {
+//     "message": "{{class}} ({{subject}}) in {{room}}",
+//     "channels": { "email": { "html": "<p>Take registration for <b>{{class}}</b></p>" } }
+//   }
+// Rendering only substitutes values - nothing in a template is run - and a placeholder
+// that isn't one of the above is an error. Values in the html template are escaped.
+
+const { escapeHtml } = require('./html');
+
+// Push channels use title and message; email uses subject, body and (if set) html
+const TEMPLATE_KEYS = ['title', 'message', 'subject', 'body', 'html'];
+
+const DEFAULT_TEMPLATES = {
+  title: '📋 Take Registration{{reminder}}',
+  message: '{{class}} ({{subject}}){{#note}}\n{{note}}{{/note}}',
+  subject: '📋 Take Registration – {{class}}{{reminder}}',
+  body: 'Reminder: Take registration for {{class}} ({{subject}}){{#note}}\n{{note}}{{/note}}' +
+    '{{#ackUrl}}\n\nDone? Mark registration as taken: {{ackUrl}}{{/ackUrl}}',
+  html: null
+};
+
+// Stand-in lesson used to check templates render and to preview them
+const SAMPLE = {
+  lesson: { period: '1st School', class: 'FMat2-2', subject: 'Further Maths', room: '23 New' },
+  options: {
+    attempt: 2,
+    ackUrl: 'http://raspberrypi.local:8080/ack?t=example',
+    note: 'Also collect homework',
+    date: '2026-01-12',
+    start: '09:00',
+    end: '09:40',
+    next: { period: '2nd School', class: 'CMsiW-1', subject: 'Single Maths', room: '23 New', start: '09:50', end: '10:30' }
+  }
+};
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SECTION_REGEX = /\{\{\s*([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/;
+const TAG_REGEX = /\{\{[^}]*\}\}/;
+
+/**
+ * Look up a placeholder's value
+ * Only the values' own properties are used, so a template can't reach anything else
+ * @param {object} values - Values to substitute
+ * @param {string} key - Dotted name, e.g. "next.class"
+ * @param {string} tag - The placeholder as written (for the error message)
+ * @returns {*} The value (null or '' if it's empty)
+ * @throws {Error} If there's no such placeholder
+ */
+function lookup(values, key, tag) {
+  let value = values;
+  for (const part of key.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      if (value === null && part !== key) {
+        return null; // e.g. {{next.class}} when there's no next lesson
+      }
+      throw new Error(`Unknown template placeholder: ${tag}`);
+    }
+    value = value[part];
+  }
+  if (value === undefined) {
+    throw new Error(`Unknown template placeholder: ${tag}`);
+  }
+  return value;
+}
+
+/**
+ * Fill {{placeholder}} markers and {{#section}}/{{^section}} blocks in a template string
+ * Placeholders may use dotted paths into the values object, e.g. {{lesson.class}}
+ * @param {string} template - Template string
+ * @param {object} values - Values to substitute
+ * @param {object} [options] - { escape: (string) => string } applied to every value
+ * @returns {string} Rendered string
+ * @throws {Error} If a placeholder has no matching value, or a section isn't closed
+ */
+function renderTemplate(template, values, options = {}) {
+  const escape = options.escape || (value => value);
+
+  let text = template;
+  let match;
+  while ((match = SECTION_REGEX.exec(text)) !== null) {
+    const [whole, kind, key, inner] = match;
+    const value = lookup(values, key, `{{${kind}${key}}}`);
+    const present = value !== null && value !== '' && value !== false;
+    text = text.slice(0, match.index) + ((kind === '#') === present ? inner : '') + text.slice(match.index + whole.length);
+  }
+
+  const stray = TAG_REGEX.exec(text.replace(PLACEHOLDER_REGEX, ''));
+  if (stray) {
+    throw new Error(`Unclosed section or malformed placeholder: ${stray[0]}`);
+  }
+
+  return text.replace(PLACEHOLDER_REGEX, (tag, key) => {
+    const value = lookup(values, key, tag);
+    return value === null ? '' : escape(String(value));
+  });
+}
+
+/**
+ * Get the day of the week for a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} e.g. "Monday"
+ */
+function getDayName(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', { weekday: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Build the values a reminder's templates are rendered with
+ * @param {object} lesson - Lesson object with class, subject, period and room
+ * @param {object} [options] - { attempt, ackUrl, note, date, start, end, next } (see buildNotification)
+ * @returns {object} Values for renderTemplate
+ */
+function buildTemplateValues(lesson, options = {}) {
+  const attempt = options.attempt ?? 1;
+  const next = options.next
+    ? {
+        class: options.next.class,
+        subject: options.next.subject,
+        room: options.next.room ?? null,
+        period: options.next.period,
+        start: options.next.start ?? null,
+        end: options.next.end ?? null
+      }
+    : null;
+
+  return {
+    class: lesson.class,
+    subject: lesson.subject,
+    room: lesson.room ?? null,
+    period: lesson.period ?? null,
+    start: options.start ?? null,
+    end: options.end ?? null,
+    date: options.date ?? null,
+    day: options.date ? getDayName(options.date) : null,
+    next,
+    attempt,
+    reminder: attempt > 1 ? ` (reminder ${attempt})` : '',
+    note: options.note ?? null,
+    ackUrl: options.ackUrl ?? null,
+    lesson: { ...lesson, room: lesson.room ?? null }
+  };
+}
+
+/**
+ * Get the templates for one channel: the defaults, then settings.templates, then
+ * settings.templates.channels.<channel>
+ * @param {object} settings - Settings object
+ * @param {string} [channel] - Channel name
+ * @returns {object} { title, message, subject, body, html } (html is null if not set)
+ */
+function getTemplates(settings, channel) {
+  const { channels = {}, ...shared } = settings.templates || {};
+  return { ...DEFAULT_TEMPLATES, ...shared, ...(channel ? channels[channel] : {}) };
+}
+
+/**
+ * Render a set of templates
+ * @param {object} templates - From getTemplates
+ * @param {object} values - From buildTemplateValues
+ * @returns {object} { title, message, subject, body, html } (html is null if there's no template)
+ * @throws {Error} Naming the template, if one can't be rendered
+ */
+function renderTemplates(templates, values) {
+  const rendered = {};
+  for (const key of TEMPLATE_KEYS) {
+    if (typeof templates[key] !== 'string') {
+      rendered[key] = null;
+      continue;
+    }
+    try {
+      rendered[key] = renderTemplate(templates[key], values, key === 'html' ? { escape: escapeHtml } : {});
+    } catch (err) {
+      throw new Error(`Template "${key}": ${err.message}`);
+    }
+  }
+  return rendered;
+}
+
+/**
+ * Check every template in settings.templates renders, using a sample lesson
+ * @param {object} templates - settings.templates
+ * @returns {Array<object>} Problems: [{ pointer, message }]
+ */
+function checkTemplates(templates) {
+  const problems = [];
+  if (!templates || typeof templates !== 'object') {
+    return problems;
+  }
+
+  const values = buildTemplateValues(SAMPLE.lesson, SAMPLE.options);
+  const check = (set, pointer) => {
+    for (const key of TEMPLATE_KEYS) {
+      if (typeof set?.[key] !== 'string') continue;
+      try {
+        renderTemplate(set[key], values);
+      } catch (err) {
+        problems.push({ pointer: `${pointer}/${key}`, message: err.message });
+      }
+    }
+  };
+
+  check(templates, '/templates');
+  for (const [name, set] of Object.entries(templates.channels || {})) {
+    check(set, `/templates/channels/${name}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  TEMPLATE_KEYS,
+  DEFAULT_TEMPLATES,
+  SAMPLE,
+  renderTemplate,
+  buildTemplateValues,
+  getTemplates,
+  renderTemplates,
+  checkTemplates
+};
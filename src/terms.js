@@ -0,0 +1,156 @@
+const { loadTimetable, listTimetables } = require('./timetable');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Candidate date string
+ * @returns {boolean} True if valid
+ */
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Load the term date range declared in every timetable file
+ * Files that can't be read or have incomplete dates are reported as errors
+ * @returns {object} { terms: [{ name, title, startDate, endDate }], errors: [...] }
+ */
+function loadTerms() {
+  const terms = [];
+  const errors = [];
+
+  for (const name of listTimetables()) {
+    let timetable;
+    try {
+      timetable = loadTimetable(name);
+    } catch (err) {
+      errors.push(err.message);
+      continue;
+    }
+
+    const meta = timetable.meta || {};
+    if (!isValidDateString(meta.startDate) || !isValidDateString(meta.endDate)) {
+      errors.push(`Timetable "${name}" has a missing or invalid meta.startDate/meta.endDate`);
+      continue;
+    }
+    if (meta.endDate < meta.startDate) {
+      errors.push(`Timetable "${name}" ends (${meta.endDate}) before it starts (${meta.startDate})`);
+      continue;
+    }
+
+    terms.push({
+      name,
+      title: meta.name || name,
+      startDate: meta.startDate,
+      endDate: meta.endDate
+    });
+  }
+
+  terms.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  return { terms, errors };
+}
+
+/**
+ * Find overlapping term date ranges
+ * @param {Array} terms - Terms sorted by startDate (as returned by loadTerms)
+ * @returns {Array<string>} Error messages (empty if no overlaps)
+ */
+function checkTermOverlaps(terms) {
+  const errors = [];
+  for (let i = 1; i < terms.length; i++) {
+    const previous = terms[i - 1];
+    const current = terms[i];
+    if (current.startDate <= previous.endDate) {
+      errors.push(
+        `Timetables "${previous.name}" (${previous.startDate} to ${previous.endDate}) and ` +
+        `"${current.name}" (${current.startDate} to ${current.endDate}) overlap`
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Add days to a date string
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Find gaps between one term's end date and the next one's start date
+ * Nothing is sent in a gap, so these are warnings: they're usually the holidays, but
+ * can also be a mistyped date
+ * @param {Array} terms - Terms sorted by startDate (as returned by loadTerms)
+ * @returns {Array<string>} Warning messages (empty if the terms follow on from each other)
+ */
+function checkTermGaps(terms) {
+  const warnings = [];
+  let latest = null;
+  for (const term of terms) {
+    if (latest && term.startDate > addDays(latest.endDate, 1)) {
+      warnings.push(
+        `No timetable covers ${addDays(latest.endDate, 1)} to ${addDays(term.startDate, -1)}, ` +
+        `between "${latest.name}" (ends ${latest.endDate}) and "${term.name}" (starts ${term.startDate})`
+      );
+    }
+    if (!latest || term.endDate > latest.endDate) {
+      latest = term;
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Find the term whose date range contains a date
+ * If ranges overlap, the term that started most recently wins
+ * @param {Array} terms - Terms sorted by startDate
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {object|null} Matching term, or null during holidays
+ */
+function findTermForDate(terms, date) {
+  let match = null;
+  for (const term of terms) {
+    if (term.startDate <= date && date <= term.endDate) {
+      match = term;
+    }
+  }
+  return match;
+}
+
+/**
+ * Work out which timetable should be used on a given date
+ * settings.activeTimetable, if set, is a manual override and skips the date lookup
+ * @param {object} settings - Settings object
+ * @param {string} date - Date string (YYYY-MM-DD) in the configured timezone
+ * @returns {object} { name: string|null, source: 'override'|'dates', errors: [...], warnings: [...] }
+ *   - errors: overlapping terms and unreadable dates; warnings: gaps between terms
+ */
+function resolveActiveTimetable(settings, date) {
+  if (settings.activeTimetable) {
+    return { name: settings.activeTimetable, source: 'override', errors: [], warnings: [] };
+  }
+
+  const { terms, errors } = loadTerms();
+  errors.push(...checkTermOverlaps(terms));
+
+  const term = findTermForDate(terms, date);
+  return { name: term ? term.name : null, source: 'dates', errors, warnings: checkTermGaps(terms) };
+}
+
+module.exports = {
+  isValidDateString,
+  loadTerms,
+  checkTermOverlaps,
+  checkTermGaps,
+  findTermForDate,
+  resolveActiveTimetable
+};
@@ -1,18 +1,31 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { applyExceptions, checkExceptions } = require('./exceptions');
+const { getRotaWeekKeys, formatWeekKey, getRotaWeek } = require('./rota');
+const { joinPointer } = require('./json');
+const { getZonedNow } = require('./clock');
+const { isDoubleContinuation } = require('./scheduler');
+const { validateSchema, toValidationResult } = require('./schema');
+const { getCurrentProfile, applyProfile } = require('./users');
 
 // Paths relative to project root
 const PROJECT_ROOT = path.join(__dirname, '..');
 const CONFIG_PATH = path.join(PROJECT_ROOT, 'config', 'settings.json');
 const TIMETABLES_DIR = path.join(PROJECT_ROOT, 'timetables');
 
+// Where timetables are kept when the teacher has no directory of their own (tests use a temporary one)
+let timetablesDir = TIMETABLES_DIR;
+
+const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
- * Load and parse settings.json
+ * Load and parse settings.json as it is, without any teacher's overrides
  * @returns {object} Parsed settings object
  * @throws {Error} If file missing or invalid JSON
  */
-function loadSettings() {
+function loadSharedSettings() {
   try {
     const content = fs.readFileSync(CONFIG_PATH, 'utf8');
     return JSON.parse(content);
@@ -27,6 +40,32 @@ function loadSettings() {
   }
 }
 
+/**
+ * Load the settings for the current teacher: settings.json with their profile applied
+ * (see users.js; outside withProfile this is just settings.json)
+ * @returns {object} Parsed settings object
+ * @throws {Error} If file missing or invalid JSON
+ */
+function loadSettings() {
+  return applyProfile(loadSharedSettings(), getCurrentProfile());
+}
+
+/**
+ * Set the timetables directory used when the teacher has no directory of their own
+ * @param {string} [dir] - Path, or undefined for timetables/
+ */
+function setTimetablesDir(dir) {
+  timetablesDir = dir || TIMETABLES_DIR;
+}
+
+/**
+ * Get the directory the current teacher's timetables are in
+ * @returns {string} timetables/, or timetables/<id>/ for a teacher with a profile
+ */
+function getTimetablesDir() {
+  return getCurrentProfile().timetablesDir || timetablesDir;
+}
+
 /**
  * Load and parse a timetable file
  * @param {string} timetableName - Name of timetable (without .json extension)
@@ -34,7 +73,7 @@ function loadSettings() {
  * @throws {Error} If file missing or invalid JSON
  */
 function loadTimetable(timetableName) {
-  const timetablePath = path.join(TIMETABLES_DIR, `${timetableName}.json`);
+  const timetablePath = path.join(getTimetablesDir(), `${timetableName}.json`);
   try {
     const content = fs.readFileSync(timetablePath, 'utf8');
     return JSON.parse(content);
@@ -50,90 +89,252 @@ function loadTimetable(timetableName) {
 }
 
 /**
- * Validate timetable structure
- * @param {object} timetable - Timetable object to validate
- * @returns {object} { valid: true } or { valid: false, errors: [...] }
+ * List the timetables available in the timetables directory
+ * @returns {Array<string>} Timetable names (without .json extension), sorted
  */
-function validateTimetable(timetable) {
-  const errors = [];
-  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+function listTimetables() {
+  let files;
+  try {
+    files = fs.readdirSync(getTimetablesDir());
+  } catch (err) {
+    // A new teacher may not have any timetables yet
+    if (err.code === 'ENOENT' && getTimetablesDir() !== timetablesDir) {
+      return [];
+    }
+    throw err;
+  }
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {string} time - Time string (already checked against the schema)
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
 
-  // Check meta.name
-  if (!timetable.meta || typeof timetable.meta.name !== 'string') {
-    errors.push('Missing or invalid meta.name');
+/**
+ * Check a reminder offset (a period's or a lesson's) falls before the period ends
+ * @param {*} offset - The offset, if any
+ * @param {object} period - Period with valid start and end times
+ * @param {string} pointer - JSON pointer of the offset
+ * @param {Array<object>} problems - { pointer, message } entries are added here
+ */
+function checkOffset(offset, period, pointer, problems) {
+  if (!Number.isInteger(offset)) return;
+  const length = toMinutes(period.end) - toMinutes(period.start);
+  if (length > 0 && offset >= length) {
+    problems.push({
+      pointer,
+      message: `puts the reminder after the period ends (${period.start}-${period.end}): ${offset}`
+    });
   }
+}
 
-  // Check periods
-  if (!timetable.periods || typeof timetable.periods !== 'object') {
-    errors.push('Missing or invalid periods object');
-  } else {
-    const periodNames = Object.keys(timetable.periods);
-    if (periodNames.length === 0) {
-      errors.push('Periods object is empty - must have at least one period');
+/**
+ * Check the periods make sense together: each ends after it starts, none overlap, and
+ * any reminder offset falls inside the period
+ * @param {object} periods - Periods object
+ * @param {Array<object>} problems - { pointer, message } entries are added here
+ */
+function checkPeriods(periods, problems) {
+  const timed = Object.entries(periods)
+    .filter(([, period]) => period && typeof period.start === 'string' && typeof period.end === 'string')
+    .filter(([, period]) => TIME_REGEX.test(period.start) && TIME_REGEX.test(period.end))
+    .map(([name, period]) => ({ name, start: toMinutes(period.start), end: toMinutes(period.end), period }))
+    .sort((a, b) => a.start - b.start);
+
+  for (const { name, start, end, period } of timed) {
+    if (end <= start) {
+      problems.push({
+        pointer: joinPointer(joinPointer('/periods', name), 'end'),
+        message: `must be after the start (${period.start}): ${period.end}`
+      });
     }
+    checkOffset(period.offset, period, joinPointer(joinPointer('/periods', name), 'offset'), problems);
+  }
 
-    for (const periodName of periodNames) {
-      const period = timetable.periods[periodName];
-      if (!period.start || !timeRegex.test(period.start)) {
-        errors.push(`Period "${periodName}" has invalid start time: ${period.start}`);
-      }
-      if (!period.end || !timeRegex.test(period.end)) {
-        errors.push(`Period "${periodName}" has invalid end time: ${period.end}`);
-      }
+  for (let i = 0; i < timed.length; i++) {
+    for (let j = i + 1; j < timed.length && timed[j].start < timed[i].end; j++) {
+      if (timed[j].end <= timed[j].start) continue;
+      problems.push({
+        pointer: joinPointer('/periods', timed[j].name),
+        message: `overlaps "${timed[i].name}" (${timed[i].period.start}-${timed[i].period.end})`
+      });
     }
   }
+}
 
-  // Check schedule
-  if (!timetable.schedule || typeof timetable.schedule !== 'object') {
-    errors.push('Missing or invalid schedule object');
-  } else {
-    const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    const periodNames = timetable.periods ? Object.keys(timetable.periods) : [];
-
-    for (const day of Object.keys(timetable.schedule)) {
-      if (!validDays.includes(day)) {
-        errors.push(`Invalid day key in schedule: "${day}"`);
-        continue;
+/**
+ * Check the lessons in a weekday-keyed schedule refer to real periods and don't clash,
+ * and that their reminder rules will take effect: an offset inside the period, and no
+ * offset or message on the second half of a double (which isn't reminded)
+ * @param {object} week - Day-keyed schedule ({ monday: [...], ... })
+ * @param {string} pointer - JSON pointer of the schedule
+ * @param {object} periods - Periods object (empty if the timetable has none)
+ * @param {Array<object>} problems - { pointer, message } entries are added here
+ */
+function checkWeek(week, pointer, periods, problems) {
+  const periodNames = Object.keys(periods);
+  const timed = Object.values(periods).every(period =>
+    period && TIME_REGEX.test(period.start) && TIME_REGEX.test(period.end)
+  );
+
+  for (const [day, lessons] of Object.entries(week)) {
+    if (!Array.isArray(lessons)) continue;
+
+    const seen = new Map();
+    lessons.forEach((lesson, i) => {
+      if (!lesson || typeof lesson.period !== 'string') return;
+      const lessonPointer = joinPointer(joinPointer(pointer, day), i);
+
+      if (!periodNames.includes(lesson.period)) {
+        problems.push({ pointer: `${lessonPointer}/period`, message: `is not one of the periods: "${lesson.period}"` });
+      } else if (seen.has(lesson.period)) {
+        problems.push({
+          pointer: lessonPointer,
+          message: `clashes with ${seen.get(lesson.period).class} in "${lesson.period}" on ${day}`
+        });
+      } else {
+        seen.set(lesson.period, lesson);
       }
 
-      const lessons = timetable.schedule[day];
-      if (!Array.isArray(lessons)) {
-        errors.push(`Schedule for ${day} is not an array`);
-        continue;
+      if (!timed || !periodNames.includes(lesson.period)) return;
+      checkOffset(lesson.offset, periods[lesson.period], `${lessonPointer}/offset`, problems);
+      if (lesson.silent !== true && isDoubleContinuation(lesson, lessons, periods)) {
+        for (const field of ['offset', 'message'].filter(name => lesson[name] !== undefined)) {
+          problems.push({
+            pointer: `${lessonPointer}/${field}`,
+            message: `has no effect: ${lesson.class} also has the period before, so this is the second half of a double and isn't reminded (add "double": false to remind it)`
+          });
+        }
       }
+    });
+  }
+}
+
+/**
+ * Validate timetable structure and content
+ * Checks the file against schemas/timetable.schema.json, then that the term dates are in
+ * order, periods end after they start and don't overlap, lessons use real periods and
+ * no two lessons share a period, reminder offsets fall inside their period (and aren't
+ * set on the unreminded second half of a double), and a rota has a schedule for each of
+ * its weeks.
+ * @param {object} timetable - Timetable object to validate
+ * @returns {object} { valid, errors: [...], problems: [{ pointer, message }] }
+ */
+function validateTimetable(timetable) {
+  const problems = validateSchema(timetable, 'timetable.schema.json');
+  if (!timetable || typeof timetable !== 'object') {
+    return toValidationResult(problems);
+  }
+
+  const { meta, periods, rota, schedule } = timetable;
+  if (meta && DATE_REGEX.test(meta.startDate) && DATE_REGEX.test(meta.endDate) && meta.endDate < meta.startDate) {
+    problems.push({ pointer: '/meta/endDate', message: `must not be before meta.startDate (${meta.startDate}): ${meta.endDate}` });
+  }
+
+  const hasPeriods = periods && typeof periods === 'object' && !Array.isArray(periods);
+  if (hasPeriods) {
+    checkPeriods(periods, problems);
+  }
+  const periodsForLessons = hasPeriods ? periods : {};
 
-      for (let i = 0; i < lessons.length; i++) {
-        const lesson = lessons[i];
-        if (!lesson.period) {
-          errors.push(`Lesson ${i + 1} on ${day} is missing period`);
-        } else if (!periodNames.includes(lesson.period)) {
-          errors.push(`Lesson ${i + 1} on ${day} references unknown period: "${lesson.period}"`);
+  if (schedule && typeof schedule === 'object' && !Array.isArray(schedule)) {
+    if (!rota) {
+      checkWeek(schedule, '/schedule', periodsForLessons, problems);
+    } else if (Number.isInteger(rota.length) && rota.length >= 1 && rota.length <= 26) {
+      const weekKeys = getRotaWeekKeys(rota);
+      for (const key of Object.keys(schedule)) {
+        if (!weekKeys.includes(key) && /^week[A-Z]$/.test(key)) {
+          problems.push({
+            pointer: joinPointer('/schedule', key),
+            message: `is not a week of a ${rota.length}-week rota (expected ${weekKeys.join(', ')})`
+          });
+        }
+      }
+      for (const key of weekKeys) {
+        const week = schedule[key];
+        if (!week || typeof week !== 'object' || Array.isArray(week)) {
+          if (week === undefined) {
+            problems.push({ pointer: '/schedule', message: `is missing "${key}" (${formatWeekKey(key)})` });
+          }
+          continue;
         }
+        checkWeek(week, joinPointer('/schedule', key), periodsForLessons, problems);
       }
     }
   }
 
-  return errors.length === 0
-    ? { valid: true }
-    : { valid: false, errors };
+  if (timetable.exceptions && typeof timetable.exceptions === 'object') {
+    problems.push(...checkExceptions(timetable.exceptions, periods, '/exceptions'));
+  }
+
+  return toValidationResult(problems);
+}
+
+/**
+ * Get the day-keyed schedule that applies on a date
+ * For rota timetables this is the schedule for that date's week
+ * @param {object} timetable - Timetable object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {object|null} Day-keyed schedule, or null in a skipped (holiday) rota week
+ */
+function getWeekSchedule(timetable, date) {
+  if (!timetable.rota) {
+    return timetable.schedule;
+  }
+  const { week } = getRotaWeek(timetable.rota, date);
+  return week ? timetable.schedule[week] || {} : null;
 }
 
 /**
  * Get lessons for today
+ * "Today" is the current date in the given timezone, not the host's, so the weekday
+ * always matches getCurrentTime() and getTodayDateString()
  * @param {object} timetable - Timetable object
+ * @param {string} timezone - Timezone string (settings.timezone)
+ * @param {object} [exceptions] - Exceptions object (closures, cancellations, etc.)
  * @returns {Array} Array of lesson objects for today (empty if no lessons)
  */
-function getTodayLessons(timetable) {
+function getTodayLessons(timetable, timezone, exceptions) {
+  return getLessonsForDate(timetable, getZonedNow(timezone).date, exceptions);
+}
+
+/**
+ * Get the lessons taking place on a specific date
+ * The weekday (and rota week) comes from the date itself, so it always agrees with the date
+ * @param {object} timetable - Timetable object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {object} [exceptions] - Exceptions object (closures, cancellations, etc.)
+ * @returns {Array} Array of lesson objects for that date (empty if no lessons)
+ */
+function getLessonsForDate(timetable, date, exceptions) {
   const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const today = days[new Date().getDay()];
+  const day = days[new Date(`${date}T00:00:00Z`).getUTCDay()];
 
-  const lessons = timetable.schedule[today];
-  return Array.isArray(lessons) ? lessons : [];
+  const schedule = getWeekSchedule(timetable, date);
+  const lessons = schedule && Array.isArray(schedule[day]) ? schedule[day] : [];
+  return exceptions ? applyExceptions(lessons, exceptions, date) : lessons;
 }
 
 module.exports = {
+  CONFIG_PATH,
+  TIMETABLES_DIR,
+  loadSharedSettings,
   loadSettings,
+  setTimetablesDir,
+  getTimetablesDir,
   loadTimetable,
+  listTimetables,
   validateTimetable,
-  getTodayLessons
+  getWeekSchedule,
+  getTodayLessons,
+  getLessonsForDate
 };
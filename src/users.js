@@ -0,0 +1,279 @@
+// Teacher profiles
+//
+// One deployment can remind several teachers. config/settings.json is the "default"
+// profile and always runs; each other teacher has config/users/<id>.json, which
+// overrides settings.json for them:
+//   {
+//     "name": "Jane Smith",
+//     "enabled": true,
+//     "notificationOffset": 5,
+//     "channels": [{ "name": "email", "enabled": true }],
+//     "email": { "to": "j.smith@example.org" },
+//     "env": { "PUSHOVER_USER_KEY": "JSMITH_PUSHOVER_USER_KEY" }
+//   }
+// Object sections (email, pushover, ...) are merged one level deep with settings.json, so
+// a profile only needs what differs; anything else (channels) replaces the shared value.
+// "env" points a credential at a different variable in .env.
+//
+// A teacher's timetables live in timetables/<id>/, and their history (dedup,
+// acknowledgements, outbox) in logs/users/<id>/, so nothing is shared between teachers.
+// Their log lines are tagged with the id and also written to logs/users/<id>/activity.log.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getHistoryFile, setHistoryFile } = require('./history');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const USERS_DIR = path.join(PROJECT_ROOT, 'config', 'users');
+const USER_TIMETABLES_DIR = path.join(PROJECT_ROOT, 'timetables');
+const USER_LOGS_DIR = path.join(PROJECT_ROOT, 'logs', 'users');
+
+const DEFAULT_USER = 'default';
+const USER_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Keys in a profile file that describe the profile rather than override settings
+const PROFILE_KEYS = ['$schema', 'name', 'enabled'];
+
+// What each channel needs from the teacher themselves; without it their reminders
+// would go to the address, topic or key in settings.json
+const PERSONAL_SETTINGS = {
+  pushover: 'env.PUSHOVER_USER_KEY',
+  email: 'email.to',
+  ntfy: 'ntfy.topic',
+  gotify: 'env.GOTIFY_TOKEN',
+  webhook: 'webhook.url'
+};
+
+// The profile settings.json stands for: shared directories, nothing overridden
+const DEFAULT_PROFILE = {
+  id: DEFAULT_USER,
+  name: DEFAULT_USER,
+  enabled: true,
+  file: null,
+  overrides: {},
+  timetablesDir: null,
+  historyFile: null,
+  logFile: null
+};
+
+let current = null;
+
+/**
+ * Check a user id is usable as a file and directory name
+ * @param {string} id - User id
+ * @returns {boolean} True if valid
+ */
+function isValidUserId(id) {
+  return typeof id === 'string' && USER_ID_REGEX.test(id);
+}
+
+/**
+ * Get the path of a teacher's profile file
+ * @param {string} id - User id
+ * @returns {string} Path
+ */
+function getProfilePath(id) {
+  return path.join(USERS_DIR, `${id}.json`);
+}
+
+/**
+ * Build a profile from the contents of its file
+ * @param {string} id - User id
+ * @param {object} data - Parsed profile file
+ * @returns {object} { id, name, enabled, file, data, overrides, timetablesDir, historyFile, logFile }
+ */
+function createProfile(id, data) {
+  const overrides = Object.fromEntries(Object.entries(data).filter(([key]) => !PROFILE_KEYS.includes(key)));
+  return {
+    id,
+    name: typeof data.name === 'string' && data.name ? data.name : id,
+    enabled: data.enabled !== false,
+    file: getProfilePath(id),
+    data,
+    overrides,
+    timetablesDir: path.join(USER_TIMETABLES_DIR, id),
+    historyFile: path.join(USER_LOGS_DIR, id, 'history.jsonl'),
+    logFile: path.join(USER_LOGS_DIR, id, 'activity.log')
+  };
+}
+
+/**
+ * Load one profile
+ * @param {string} id - User id ("default" for settings.json)
+ * @returns {object} Profile
+ * @throws {Error} If the id is invalid, or the file is missing or isn't a JSON object
+ */
+function loadProfile(id) {
+  if (id === DEFAULT_USER) {
+    return DEFAULT_PROFILE;
+  }
+  if (!isValidUserId(id)) {
+    throw new Error(`Invalid user id: "${id}" (use lower-case letters, digits and hyphens)`);
+  }
+
+  const file = getProfilePath(id);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Unknown user: ${id} (no ${path.relative(PROJECT_ROOT, file)})`);
+    }
+    if (err instanceof SyntaxError) {
+      throw new Error(`Invalid JSON in user profile ${id}: ${err.message}`);
+    }
+    throw err;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`User profile ${id} must be a JSON object`);
+  }
+  return createProfile(id, data);
+}
+
+/**
+ * Load every teacher's profile from config/users/ (not the default profile)
+ * @returns {object} { profiles: [...] sorted by id, errors: [...] for files that can't be used }
+ */
+function loadUserProfiles() {
+  let files;
+  try {
+    files = fs.readdirSync(USERS_DIR).filter(file => file.endsWith('.json')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { profiles: [], errors: [] };
+    }
+    throw err;
+  }
+
+  const profiles = [];
+  const errors = [];
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    try {
+      if (id === DEFAULT_USER) {
+        throw new Error(`"${DEFAULT_USER}" is reserved for config/settings.json; rename config/users/${file}`);
+      }
+      profiles.push(loadProfile(id));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { profiles, errors };
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply a profile's overrides to the shared settings
+ * @param {object} settings - Parsed settings.json
+ * @param {object|null} profile - Profile (null or the default profile leave settings as they are)
+ * @returns {object} Settings for the teacher
+ */
+function applyProfile(settings, profile) {
+  if (!profile || !isPlainObject(settings)) {
+    return settings;
+  }
+
+  const merged = { ...settings };
+  for (const [key, value] of Object.entries(profile.overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(settings[key]) ? { ...settings[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Look up a dotted setting in a profile file, e.g. "email.to"
+ * @param {object} data - Parsed profile file
+ * @param {string} setting - Dotted name
+ * @returns {*} The value, or undefined
+ */
+function getProfileSetting(data, setting) {
+  return setting.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+/**
+ * Get the profile commands and checks are running for
+ * @returns {object} Profile (the default profile outside withProfile)
+ */
+function getCurrentProfile() {
+  return current || DEFAULT_PROFILE;
+}
+
+/**
+ * Run a function as a teacher: their settings, timetables, history and log
+ * Works with sync and async functions; the previous profile is restored afterwards
+ * @param {object} profile - Profile (from loadProfile or loadUserProfiles)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value (a Promise for async functions)
+ */
+function withProfile(profile, fn) {
+  const previous = { profile: current, historyFile: getHistoryFile(), logContext: logger.getContext() };
+  const restore = () => {
+    current = previous.profile;
+    setHistoryFile(previous.historyFile);
+    logger.setContext(previous.logContext);
+  };
+
+  current = profile;
+  setHistoryFile(profile.historyFile || undefined);
+  logger.setContext(profile.id === DEFAULT_USER ? null : { label: profile.id, file: profile.logFile });
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(restore);
+  }
+  restore();
+  return result;
+}
+
+/**
+ * Write a teacher's profile file (and create their timetables directory)
+ * @param {string} id - User id
+ * @param {object} data - Profile contents
+ * @returns {object} The saved profile
+ * @throws {Error} If the id is invalid or reserved
+ */
+function saveProfile(id, data) {
+  if (id === DEFAULT_USER) {
+    throw new Error(`"${DEFAULT_USER}" is config/settings.json and can't be saved as a user profile`);
+  }
+  if (!isValidUserId(id)) {
+    throw new Error(`Invalid user id: "${id}" (use lower-case letters, digits and hyphens)`);
+  }
+
+  const profile = createProfile(id, data);
+  fs.mkdirSync(USERS_DIR, { recursive: true });
+  fs.writeFileSync(profile.file, JSON.stringify(data, null, 2) + '\n');
+  fs.mkdirSync(profile.timetablesDir, { recursive: true });
+  return profile;
+}
+
+module.exports = {
+  USERS_DIR,
+  DEFAULT_USER,
+  PERSONAL_SETTINGS,
+  isValidUserId,
+  getProfilePath,
+  createProfile,
+  loadProfile,
+  loadUserProfiles,
+  applyProfile,
+  getProfileSetting,
+  getCurrentProfile,
+  withProfile,
+  saveProfile
+};
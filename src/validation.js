@@ -0,0 +1,192 @@
+const logger = require('./logger');
+const { listTimetables } = require('./timetable');
+const { getChannel, listChannels, getEnabledChannels, getChannelEnvVars, getEnvName, getEnv } = require('./channels');
+const { joinPointer } = require('./json');
+const { validateSchema, toValidationResult } = require('./schema');
+const { PERSONAL_SETTINGS, applyProfile, getProfileSetting, withProfile } = require('./users');
+const { checkTemplates } = require('./templates');
+require('./notifications'); // registers the built-in channels
+
+// Set by --strict on the command line; settings.strictValidation does the same from the file
+let strictOverride = false;
+
+/**
+ * Check whether a time zone name is one the runtime knows
+ * @param {string} timezone - IANA time zone name
+ * @returns {boolean} True if usable with Intl.DateTimeFormat
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate settings.json
+ * Checks the file against schemas/settings.schema.json, then that the time zone exists,
+ * channel names are known and not repeated, every enabled channel has the settings it
+ * needs (e.g. email.from), the message templates render and activeTimetable names a
+ * real timetable.
+ * Missing credentials in .env are not checked here (see checkCredentials).
+ * @param {object} settings - Parsed settings
+ * @returns {object} { valid, errors: [...], problems: [{ pointer, message }] }
+ */
+function validateSettings(settings) {
+  const problems = validateSchema(settings, 'settings.schema.json');
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return toValidationResult(problems);
+  }
+
+  if (typeof settings.timezone === 'string' && settings.timezone && !isValidTimezone(settings.timezone)) {
+    problems.push({ pointer: '/timezone', message: `is not a known time zone: "${settings.timezone}"` });
+  }
+
+  if (Array.isArray(settings.channels)) {
+    const seen = new Set();
+    settings.channels.forEach((entry, i) => {
+      if (!entry || typeof entry.name !== 'string' || !entry.name) return;
+      const pointer = joinPointer('/channels', i);
+      if (!getChannel(entry.name)) {
+        const known = listChannels().map(channel => channel.name).join(', ');
+        problems.push({ pointer: `${pointer}/name`, message: `is not a known channel: "${entry.name}" (available: ${known})` });
+      } else if (seen.has(entry.name)) {
+        problems.push({ pointer: `${pointer}/name`, message: `is listed more than once: "${entry.name}"` });
+      }
+      seen.add(entry.name);
+    });
+  }
+
+  // Channel checks name the setting they're about ("email.from must be set ..."), which
+  // gives the pointer; skip any the schema has already reported
+  const enabled = new Map(getEnabledChannels(settings).filter(entry => entry.channel).map(entry => [entry.name, entry]));
+  for (const { name, channel } of enabled.values()) {
+    for (const error of channel.validateConfig(settings)) {
+      const match = /^([A-Za-z]+(?:\.[A-Za-z]+)*) (.*)$/.exec(error);
+      const pointer = match ? `/${match[1].replace(/\./g, '/')}` : joinPointer('', name);
+      if (match && problems.some(problem => problem.pointer === pointer || problem.pointer.startsWith(`${pointer}/`))) {
+        continue;
+      }
+      const message = match ? match[2].replace(/ in settings\.json$/, '') : error;
+      problems.push({ pointer, message: `${message} (the ${name} channel is enabled)` });
+    }
+  }
+
+  problems.push(...checkTemplates(settings.templates));
+
+  if (typeof settings.activeTimetable === 'string' && settings.activeTimetable) {
+    const names = listTimetables();
+    if (!names.includes(settings.activeTimetable)) {
+      problems.push({
+        pointer: '/activeTimetable',
+        message: `is not a timetable in timetables/: "${settings.activeTimetable}" (available: ${names.join(', ')})`
+      });
+    }
+  }
+
+  return toValidationResult(problems);
+}
+
+/**
+ * Validate a teacher's profile (config/users/<id>.json)
+ * Checks the file against schemas/user.schema.json, then the settings it gives once
+ * applied to settings.json (problems in sections the profile doesn't set belong to
+ * settings.json and are left out), then that the profile sets the teacher's own address,
+ * topic or key for every enabled channel.
+ * @param {object} profile - Profile (from loadProfile)
+ * @param {object} shared - Parsed settings.json
+ * @returns {object} { valid, errors: [...], problems: [{ pointer, message }] }
+ */
+function validateProfile(profile, shared) {
+  const problems = validateSchema(profile.data, 'user.schema.json');
+  if (problems.length > 0 || !shared || typeof shared !== 'object' || Array.isArray(shared)) {
+    return toValidationResult(problems);
+  }
+
+  const settings = applyProfile(shared, profile);
+  const own = Object.keys(profile.overrides);
+  for (const problem of withProfile(profile, () => validateSettings(settings)).problems) {
+    if (own.includes(problem.pointer.split('/')[1])) {
+      problems.push(problem);
+    }
+  }
+
+  for (const { name } of getEnabledChannels(settings)) {
+    const setting = PERSONAL_SETTINGS[name];
+    if (setting && getProfileSetting(profile.data, setting) === undefined) {
+      problems.push({
+        pointer: `/${setting.replace(/\./g, '/')}`,
+        message: `must be set for this teacher (the ${name} channel is enabled), or their reminders go to the one in settings.json`
+      });
+    }
+  }
+
+  return toValidationResult(problems);
+}
+
+/**
+ * List credentials missing from .env for the enabled channels (and acknowledgement links)
+ * These can't be seen in settings.json, so they are reported separately as warnings
+ * @param {object} settings - Parsed settings
+ * @returns {Array<string>} Problems
+ */
+function checkCredentials(settings) {
+  const problems = [];
+  for (const { name, channel } of getEnabledChannels(settings)) {
+    if (!channel) continue;
+    const missing = getChannelEnvVars(channel, settings)
+      .filter(variable => !getEnv(settings, variable))
+      .map(variable => getEnvName(settings, variable));
+    if (missing.length > 0) {
+      problems.push(`${missing.join(' and ')} must be set in .env for the ${name} channel`);
+    }
+  }
+  if (settings.ack?.enabled && !process.env.ACK_SECRET) {
+    problems.push('ACK_SECRET must be set in .env for acknowledgement links');
+  }
+  return problems;
+}
+
+/**
+ * Turn strict validation on for this process (the --strict flag)
+ * @param {boolean} value - True to refuse to run on invalid configuration
+ */
+function setStrictValidation(value) {
+  strictOverride = Boolean(value);
+}
+
+/**
+ * Check whether invalid configuration should stop a run rather than just be logged
+ * @param {object} [settings] - Settings object (settings.strictValidation)
+ * @returns {boolean} True in strict mode
+ */
+function isStrictValidation(settings) {
+  return strictOverride || settings?.strictValidation === true;
+}
+
+/**
+ * Log validation problems, or throw in strict mode
+ * @param {string} kind - What was validated, e.g. 'Timetable'
+ * @param {object} result - From validateSettings, validateTimetable or validateExceptions
+ * @param {object} settings - Settings object (for strict mode)
+ * @throws {Error} In strict mode, if there are problems
+ */
+function reportValidation(kind, result, settings) {
+  if (result.valid) return;
+
+  if (isStrictValidation(settings)) {
+    throw new Error(`${kind} validation failed (strict validation is on): ${result.errors.join('; ')}`);
+  }
+  logger.warn(`${kind} validation warnings`, { errors: result.errors });
+}
+
+module.exports = {
+  validateSettings,
+  validateProfile,
+  checkCredentials,
+  setStrictValidation,
+  isStrictValidation,
+  reportValidation
+};
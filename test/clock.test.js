@@ -0,0 +1,112 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../src/clock');
+
+const LONDON = 'Europe/London';
+
+describe('clock', () => {
+  afterEach(() => clock.resetClock());
+
+  it('returns a fixed instant after setClock', () => {
+    clock.setClock('2026-03-02T09:10:00Z');
+    assert.equal(clock.now().toISOString(), '2026-03-02T09:10:00.000Z');
+    assert.equal(clock.now().toISOString(), '2026-03-02T09:10:00.000Z');
+  });
+
+  it('accepts a function, so tests can move time forward', () => {
+    let time = Date.parse('2026-03-02T09:10:00Z');
+    clock.setClock(() => new Date(time));
+    time += 5 * 60000;
+    assert.equal(clock.now().toISOString(), '2026-03-02T09:15:00.000Z');
+  });
+
+  it('rejects an invalid fixed time', () => {
+    assert.throws(() => clock.setClock('not a date'), /Invalid clock time/);
+  });
+
+  it('goes back to the system clock after resetClock', () => {
+    clock.setClock('2000-01-01T00:00:00Z');
+    clock.resetClock();
+    assert.ok(Math.abs(clock.now().getTime() - Date.now()) < 1000);
+  });
+});
+
+describe('getZonedDateTime', () => {
+  it('gives the London date, time and weekday in winter (GMT)', () => {
+    const zoned = clock.getZonedDateTime(new Date('2026-01-12T09:10:00Z'), LONDON);
+    assert.deepEqual(
+      { date: zoned.date, hours: zoned.hours, minutes: zoned.minutes, dayOfWeek: zoned.dayOfWeek, offset: zoned.offsetMinutes },
+      { date: '2026-01-12', hours: 9, minutes: 10, dayOfWeek: 'monday', offset: 0 }
+    );
+  });
+
+  it('takes the date and weekday from the zone, not UTC, just after midnight in BST', () => {
+    // 23:30 UTC on Monday is already 00:30 on Tuesday in London
+    const zoned = clock.getZonedDateTime(new Date('2026-06-01T23:30:00Z'), LONDON);
+    assert.equal(zoned.date, '2026-06-02');
+    assert.equal(zoned.dayOfWeek, 'tuesday');
+    assert.equal(zoned.hours, 0);
+    assert.equal(zoned.minutes, 30);
+    assert.equal(zoned.offsetMinutes, 60);
+  });
+
+  it('jumps from 00:59 GMT to 02:00 BST when the clocks go forward', () => {
+    const before = clock.getZonedDateTime(new Date('2026-03-29T00:59:00Z'), LONDON);
+    const after = clock.getZonedDateTime(new Date('2026-03-29T01:00:00Z'), LONDON);
+    assert.deepEqual([before.hours, before.minutes, before.offsetMinutes], [0, 59, 0]);
+    assert.deepEqual([after.hours, after.minutes, after.offsetMinutes], [2, 0, 60]);
+    assert.equal(after.date, '2026-03-29');
+  });
+
+  it('repeats 01:00-01:59 when the clocks go back', () => {
+    const first = clock.getZonedDateTime(new Date('2026-10-25T00:30:00Z'), LONDON);
+    const second = clock.getZonedDateTime(new Date('2026-10-25T01:30:00Z'), LONDON);
+    assert.deepEqual([first.hours, first.minutes, first.offsetMinutes], [1, 30, 60]);
+    assert.deepEqual([second.hours, second.minutes, second.offsetMinutes], [1, 30, 0]);
+  });
+
+  it('handles zones east of UTC crossing midnight', () => {
+    const zoned = clock.getZonedDateTime(new Date('2026-06-01T15:00:00Z'), 'Pacific/Auckland');
+    assert.equal(zoned.date, '2026-06-02');
+    assert.equal(zoned.hours, 3);
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('converts a lesson time to the right instant either side of a DST change', () => {
+    assert.equal(clock.zonedTimeToDate('2026-03-27', { hours: 9, minutes: 10 }, LONDON).toISOString(), '2026-03-27T09:10:00.000Z');
+    assert.equal(clock.zonedTimeToDate('2026-03-30', { hours: 9, minutes: 10 }, LONDON).toISOString(), '2026-03-30T08:10:00.000Z');
+    assert.equal(clock.zonedTimeToDate('2026-10-23', { hours: 9, minutes: 10 }, LONDON).toISOString(), '2026-10-23T08:10:00.000Z');
+    assert.equal(clock.zonedTimeToDate('2026-10-26', { hours: 9, minutes: 10 }, LONDON).toISOString(), '2026-10-26T09:10:00.000Z');
+  });
+
+  it('gets times right on the day of the change itself', () => {
+    assert.equal(clock.zonedTimeToDate('2026-03-29', { hours: 9, minutes: 0 }, LONDON).toISOString(), '2026-03-29T08:00:00.000Z');
+    assert.equal(clock.zonedTimeToDate('2026-10-25', { hours: 9, minutes: 0 }, LONDON).toISOString(), '2026-10-25T09:00:00.000Z');
+  });
+
+  it('moves a time skipped by the clocks going forward to after the change', () => {
+    const instant = clock.zonedTimeToDate('2026-03-29', { hours: 1, minutes: 30 }, LONDON);
+    assert.equal(instant.toISOString(), '2026-03-29T01:30:00.000Z');
+    const zoned = clock.getZonedDateTime(instant, LONDON);
+    assert.deepEqual([zoned.hours, zoned.minutes], [2, 30]);
+  });
+
+  it('round-trips a time that happens twice when the clocks go back', () => {
+    const instant = clock.zonedTimeToDate('2026-10-25', { hours: 1, minutes: 30 }, LONDON);
+    const zoned = clock.getZonedDateTime(instant, LONDON);
+    assert.deepEqual([zoned.date, zoned.hours, zoned.minutes], ['2026-10-25', 1, 30]);
+  });
+
+  it('converts midnight, used for the end of the day', () => {
+    assert.equal(clock.zonedTimeToDate('2026-06-02', { hours: 0, minutes: 0 }, LONDON).toISOString(), '2026-06-01T23:00:00.000Z');
+  });
+});
+
+describe('getTimezoneOffsetMinutes', () => {
+  it('reports the offset at an instant', () => {
+    assert.equal(clock.getTimezoneOffsetMinutes(new Date('2026-01-01T12:00:00Z'), LONDON), 0);
+    assert.equal(clock.getTimezoneOffsetMinutes(new Date('2026-07-01T12:00:00Z'), LONDON), 60);
+    assert.equal(clock.getTimezoneOffsetMinutes(new Date('2026-07-01T12:00:00Z'), 'America/New_York'), -240);
+  });
+});
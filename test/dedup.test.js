@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+const { setHistoryFile, getHistoryFile, readEvents } = require('../src/history');
+const {
+  getNotificationState,
+  hasBeenNotified,
+  isAcknowledged,
+  recordLessons,
+  markNotified,
+  markAcknowledged
+} = require('../src/dedup');
+
+const DATE = '2026-01-12';
+const lesson = { period: '1st School', class: 'A1', subject: 'Maths' };
+const other = { period: '2nd School', class: 'B2', subject: 'Physics' };
+
+describe('dedup', () => {
+  let previousFile;
+  let dir;
+
+  before(() => {
+    previousFile = getHistoryFile();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    logger.setSink(() => {});
+  });
+
+  after(() => {
+    logger.setSink(null);
+    setHistoryFile(previousFile);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(t => {
+    // A fresh history for every test
+    setHistoryFile(path.join(dir, `${t.name.replace(/\W+/g, '-')}.jsonl`));
+  });
+
+  afterEach(() => clock.resetClock());
+
+  it('has no state for a lesson that has not been notified', () => {
+    assert.equal(getNotificationState(lesson, DATE), null);
+    assert.equal(hasBeenNotified(lesson, DATE), false);
+    assert.equal(isAcknowledged(lesson, DATE), false);
+  });
+
+  it('remembers a notification for that lesson and date only', () => {
+    markNotified(lesson, DATE, { pushover: 'success' });
+    assert.equal(hasBeenNotified(lesson, DATE), true);
+    assert.equal(hasBeenNotified(other, DATE), false);
+    assert.equal(hasBeenNotified(lesson, '2026-01-19'), false);
+    assert.equal(hasBeenNotified({ ...lesson, class: 'Z9' }, DATE), false);
+  });
+
+  it('counts attempts and keeps the first and last times', () => {
+    clock.setClock('2026-01-12T09:10:00Z');
+    assert.equal(markNotified(lesson, DATE), 1);
+    clock.setClock('2026-01-12T09:15:00Z');
+    assert.equal(markNotified(lesson, DATE), 2);
+
+    const state = getNotificationState(lesson, DATE);
+    assert.equal(state.attempts, 2);
+    assert.equal(state.firstNotifiedAt, '2026-01-12T09:10:00.000Z');
+    assert.equal(state.lastNotifiedAt, '2026-01-12T09:15:00.000Z');
+    assert.equal(state.acknowledgedAt, null);
+  });
+
+  it('records acknowledgements', () => {
+    markNotified(lesson, DATE);
+    assert.equal(markAcknowledged(lesson, DATE, { via: 'cli' }), 'acknowledged');
+    assert.equal(isAcknowledged(lesson, DATE), true);
+    assert.equal(getNotificationState(lesson, DATE).acknowledgedVia, 'cli');
+    assert.equal(isAcknowledged(other, DATE), false);
+  });
+
+  it('only accepts each ack link once', () => {
+    assert.equal(markAcknowledged(lesson, DATE, { via: 'link', tokenId: 'abc' }), 'acknowledged');
+    assert.equal(markAcknowledged(lesson, DATE, { via: 'link', tokenId: 'abc' }), 'token-used');
+    assert.equal(readEvents({ type: 'ack' }).length, 1);
+  });
+
+  it('records each lesson taking place once per date', () => {
+    recordLessons([lesson, other], DATE);
+    recordLessons([lesson, other], DATE);
+    recordLessons([lesson], '2026-01-19');
+    assert.equal(readEvents({ type: 'lesson', date: DATE }).length, 2);
+    assert.equal(readEvents({ type: 'lesson' }).length, 3);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/logger');
+const { registerChannel } = require('../src/channels');
+const { readEvents } = require('../src/history');
+const { markAcknowledged } = require('../src/dedup');
+const { getDailyMessageTimes, buildDigest } = require('../src/digest');
+const { FIXTURE_DATE, useCheckFixture } = require('./helpers/check-fixture');
+
+// A Monday
+const DATE = FIXTURE_DATE;
+
+// A small timetable of its own for the digest and message times
+const periods = {
+  'P1': { start: '09:00', end: '09:40' },
+  'P2': { start: '09:40', end: '10:20' },
+  'Chapel': { start: '08:30', end: '08:50', silent: true }
+};
+
+describe('daily message times', () => {
+  const lessons = [{ period: 'P2', class: 'X1', subject: 'Maths' }, { period: 'P1', class: 'Y2', subject: 'Physics' }];
+
+  it('sends the digest before the first period and the summary when the last one ends', () => {
+    const settings = { digest: { enabled: true, minutesBefore: 20 }, summary: { enabled: true } };
+    assert.deepEqual(getDailyMessageTimes(settings, periods, lessons), [
+      { kind: 'digest', time: { hours: 8, minutes: 40 } },
+      { kind: 'summary', time: { hours: 10, minutes: 20 } }
+    ]);
+  });
+
+  it('sends nothing unless enabled, and nothing on a day without lessons', () => {
+    assert.deepEqual(getDailyMessageTimes({}, periods, lessons), []);
+    assert.deepEqual(getDailyMessageTimes({ digest: { enabled: true } }, periods, []), []);
+    assert.deepEqual(getDailyMessageTimes({ summary: { enabled: true, time: '18:30' } }, periods, lessons),
+      [{ kind: 'summary', time: { hours: 18, minutes: 30 } }]);
+  });
+});
+
+describe('morning digest', () => {
+  it('lists the lessons in order with rooms, reminder times and rules', () => {
+    const digest = buildDigest({ notificationOffset: 10 }, DATE, periods, [
+      { period: 'P2', class: 'X1', subject: 'Maths' },
+      { period: 'Chapel', class: 'House', subject: 'Chapel' },
+      { period: 'P1', class: 'X1', subject: 'Maths', room: '12', message: 'Collect homework' }
+    ]);
+    assert.equal(digest.title, '📅 3 lessons today');
+    assert.equal(digest.subject, "📅 Today's lessons – Monday 12 January");
+    assert.deepEqual(digest.message.split('\n'), [
+      '08:30 House (Chapel) – no reminder',
+      '09:00 X1 (Maths), 12 – reminder 09:10 – Collect homework',
+      '09:40 X1 (Maths) – double, no second reminder'
+    ]);
+  });
+});
+
+// The fixture timetable on DATE (GMT): A1 in 1st School (09:00-09:40) and B2 in 2nd School (09:50-10:30)
+describe('daily messages through the channels', () => {
+  const sent = [];
+  let failing;
+
+  const { runAt } = useCheckFixture({
+    channels: [{ name: 'daily', enabled: true }],
+    digest: { enabled: true, minutesBefore: 30 },
+    summary: { enabled: true }
+  });
+
+  /**
+   * Get the daily messages sent so far
+   * @returns {Array<object>} Notifications without a lesson
+   */
+  function dailyMessages() {
+    return sent.filter(notification => notification.lesson === null);
+  }
+
+  before(() => {
+    registerChannel({
+      name: 'daily',
+      send: async notification => {
+        if (failing) throw new Error('Service unavailable');
+        sent.push(notification);
+      }
+    });
+    logger.setSink(() => {});
+  });
+
+  after(() => logger.setSink(null));
+
+  beforeEach(() => {
+    sent.length = 0;
+    failing = false;
+  });
+
+  it('sends the digest once, however many runs fall in its window', async () => {
+    await runAt('2026-01-12T08:25:00Z');
+    assert.equal(dailyMessages().length, 0);
+    await runAt('2026-01-12T08:30:30Z');
+    await runAt('2026-01-12T08:35:30Z');
+    assert.equal(dailyMessages().length, 1);
+    assert.match(dailyMessages()[0].message, /^09:00 A1 \(Maths\), 1 – reminder 09:10$/m);
+    assert.equal(dailyMessages()[0].values.kind, 'digest');
+  });
+
+  it('tries again on the next run if no channel got it', async () => {
+    failing = true;
+    await runAt('2026-01-12T08:30:30Z');
+    failing = false;
+    await runAt('2026-01-12T08:35:30Z');
+    await runAt('2026-01-12T08:40:30Z');
+    assert.equal(dailyMessages().length, 1);
+    assert.deepEqual(readEvents({ type: 'daily' }).map(event => event.channels.daily), ['failed', 'success']);
+  });
+
+  it('summarises which reminders went out and were acknowledged, after the last period', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    markAcknowledged({ class: 'A1', period: '1st School' }, DATE, { via: 'cli' });
+    await runAt('2026-01-12T10:30:30Z');
+
+    const [summary] = dailyMessages();
+    assert.equal(summary.values.kind, 'summary');
+    assert.equal(summary.title, '📊 Today: 1 of 2 reminded, 0 failed, 1 missed, 1 acknowledged');
+    assert.match(summary.message, /^09:00 A1 – reminded, acknowledged at 09:1\d$/m);
+    assert.match(summary.message, /^09:50 B2 – no reminder sent$/m);
+  });
+});
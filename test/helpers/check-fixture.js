@@ -0,0 +1,74 @@
+const { before, after, beforeEach, afterEach } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clock = require('../../src/clock');
+const { setHistoryFile, getHistoryFile } = require('../../src/history');
+const { setTimetablesDir } = require('../../src/timetable');
+const { setExceptionsFile } = require('../../src/exceptions');
+const { runCheck } = require('../../src/check');
+
+// Monday 12 January 2026 (GMT) in test/fixtures/timetable.json: A1 (Maths, room 1) in
+// 1st School (09:00-09:40), then B2 (Physics) in 2nd School (09:50-10:30)
+const FIXTURE_DATE = '2026-01-12';
+
+// Just enough settings to run the check; tests add their channels and anything else
+const FIXTURE_SETTINGS = {
+  activeTimetable: 'fixture',
+  timezone: 'Europe/London',
+  notificationOffset: 10,
+  channels: [],
+  escalation: { enabled: false },
+  ack: { enabled: false },
+  retry: { attempts: 1 }
+};
+
+/**
+ * Set up a describe block to run the notification check against the fixture timetable
+ * instead of config/ and timetables/. The hooks it registers give the block a temporary
+ * directory holding the fixture as "fixture", no shared exceptions, a history file per
+ * test and the real clock after each test, and put everything back afterwards.
+ * @param {object} [overrides] - Settings on top of FIXTURE_SETTINGS (e.g. channels)
+ * @returns {object} { settings, runAt(iso), dir } (dir is set once the block starts)
+ */
+function useCheckFixture(overrides = {}) {
+  const fixture = {
+    settings: { ...FIXTURE_SETTINGS, ...overrides },
+    dir: null,
+
+    /**
+     * Run a check at a given time
+     * @param {string} iso - Instant
+     * @returns {Promise<void>}
+     */
+    async runAt(iso) {
+      clock.setClock(iso);
+      await runCheck({ settings: fixture.settings });
+    }
+  };
+  let previousHistoryFile;
+
+  before(() => {
+    fixture.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    fs.mkdirSync(path.join(fixture.dir, 'timetables'));
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'timetable.json'), path.join(fixture.dir, 'timetables', 'fixture.json'));
+    previousHistoryFile = getHistoryFile();
+    setTimetablesDir(path.join(fixture.dir, 'timetables'));
+    setExceptionsFile(path.join(fixture.dir, 'exceptions.json'));
+  });
+
+  after(() => {
+    setTimetablesDir();
+    setExceptionsFile();
+    setHistoryFile(previousHistoryFile);
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  });
+
+  beforeEach(t => setHistoryFile(path.join(fixture.dir, `${t.name.replace(/\W+/g, '-')}.jsonl`)));
+
+  afterEach(() => clock.resetClock());
+
+  return fixture;
+}
+
+module.exports = { FIXTURE_DATE, FIXTURE_SETTINGS, useCheckFixture };
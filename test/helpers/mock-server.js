@@ -0,0 +1,61 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server that records requests and plays back scripted responses
+ * Responses are used in order; once they run out, every request gets 200 {"status":1}
+ * @returns {Promise<object>} { url, requests, reply(status, body, options), reset(), close() }
+ *   - requests: [{ method, path, headers, body }] (body parsed as JSON when possible)
+ *   - reply options: { delayMs } to hold the response back (to trigger client timeouts),
+ *     { headers } to add response headers (e.g. Retry-After)
+ */
+async function startMockServer() {
+  const requests = [];
+  const responses = [];
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch (err) {
+        // Not JSON; keep the text
+      }
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      const { status, body: responseBody, delayMs = 0, headers = {} } = responses.shift() || { status: 200, body: { status: 1 } };
+      const send = () => {
+        timers.delete(timer);
+        if (res.destroyed) return;
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+      };
+      const timer = setTimeout(send, delayMs);
+      timers.add(timer);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    reply(status, body = {}, options = {}) {
+      responses.push({ status, body, delayMs: options.delayMs, headers: options.headers });
+    },
+    reset() {
+      requests.length = 0;
+      responses.length = 0;
+    },
+    close() {
+      for (const timer of timers) clearTimeout(timer);
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockServer };
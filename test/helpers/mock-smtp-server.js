@@ -0,0 +1,118 @@
+const net = require('net');
+
+/**
+ * Start a local SMTP server that records each session and accepts every message
+ * It offers AUTH PLAIN and LOGIN but not STARTTLS, so clients must use security "none"
+ * @returns {Promise<object>} { port, sessions, reply(verb, line), reset(), close() }
+ *   - sessions: [{ commands, data }] - the command lines received, and the message as
+ *     sent after DATA (still dot-stuffed, without the closing ".")
+ *   - reply(verb, line): answer the next command starting with verb (e.g. "RCPT") with
+ *     line (e.g. "550 5.1.1 No such user") instead
+ */
+async function startMockSmtpServer() {
+  const sessions = [];
+  const replies = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    sessions.push(session);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let data = null;
+    let login = null;
+    const send = line => socket.write(`${line}\r\n`);
+
+    /**
+     * Answer one command line
+     * @param {string} line - Line received
+     */
+    const handle = line => {
+      if (data !== null) {
+        if (line === '.') {
+          session.data = data.join('\r\n');
+          data = null;
+          send('250 2.0.0 Queued');
+        } else {
+          data.push(line);
+        }
+        return;
+      }
+
+      session.commands.push(line);
+      if (login === 'username') {
+        login = 'password';
+        send('334 UGFzc3dvcmQ6');
+        return;
+      }
+      if (login === 'password') {
+        login = null;
+        send('235 2.7.0 Authenticated');
+        return;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      const scripted = replies.findIndex(reply => reply.verb === verb);
+      if (scripted !== -1) {
+        send(replies.splice(scripted, 1)[0].line);
+        return;
+      }
+
+      if (verb === 'EHLO') {
+        send('250-mock.local');
+        send('250-AUTH PLAIN LOGIN');
+        send('250 8BITMIME');
+      } else if (verb === 'AUTH' && /^AUTH LOGIN$/i.test(line)) {
+        login = 'username';
+        send('334 VXNlcm5hbWU6');
+      } else if (verb === 'AUTH') {
+        send('235 2.7.0 Authenticated');
+      } else if (verb === 'MAIL' || verb === 'RCPT') {
+        send('250 2.1.0 OK');
+      } else if (verb === 'DATA') {
+        data = [];
+        send('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'QUIT') {
+        send('221 2.0.0 Bye');
+        socket.end();
+      } else {
+        send('502 5.5.2 Command not recognised');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+
+    send('220 mock.local ESMTP');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    sessions,
+    reply(verb, line) {
+      replies.push({ verb: verb.toUpperCase(), line });
+    },
+    reset() {
+      sessions.length = 0;
+      replies.length = 0;
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockSmtpServer };
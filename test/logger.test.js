@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+
+describe('log entries', () => {
+  const entries = [];
+
+  before(() => logger.setSink(entry => entries.push(entry)));
+
+  after(() => {
+    logger.setSink(null);
+    logger.configure();
+  });
+
+  beforeEach(() => {
+    entries.length = 0;
+    clock.setClock('2026-01-12T09:10:00Z');
+  });
+
+  afterEach(() => {
+    clock.resetClock();
+    logger.setContext(null);
+    logger.configure();
+  });
+
+  it('tags text entries with the level, run id and teacher', () => {
+    logger.setContext({ label: 'jsmith' });
+    logger.info('Notification sent', { class: 'A1' });
+    assert.equal(entries[0].entry, `2026-01-12T09:10:00.000Z [INFO] [${logger.getRunId()}] [jsmith] Notification sent {"class":"A1"}`);
+  });
+
+  it('writes one JSON object per entry in json format', () => {
+    logger.configure({ format: 'json' });
+    logger.warn('Slow channel');
+    assert.deepEqual(JSON.parse(entries[0].entry), {
+      time: '2026-01-12T09:10:00.000Z', level: 'WARN', run: logger.getRunId(), message: 'Slow channel'
+    });
+  });
+
+  it('gives each run its own id', () => {
+    logger.info('First');
+    const first = logger.getRunId();
+    assert.notEqual(logger.startRun(), first);
+    logger.info('Second');
+    assert.match(entries[0].entry, new RegExp(`\\[${first}\\]`));
+    assert.match(entries[1].entry, new RegExp(`\\[${logger.getRunId()}\\]`));
+  });
+
+  it('leaves out entries below the level, which LOG_LEVEL overrides', () => {
+    logger.debug('Hidden');
+    logger.configure({ level: 'WARN' });
+    logger.info('Hidden too');
+    logger.error('Shown');
+    process.env.LOG_LEVEL = 'debug';
+    try {
+      logger.debug('Shown with LOG_LEVEL');
+    } finally {
+      delete process.env.LOG_LEVEL;
+    }
+    assert.deepEqual(entries.map(entry => entry.message), ['Shown', 'Shown with LOG_LEVEL']);
+  });
+
+  it('hides secrets, tokens in links and email addresses', () => {
+    process.env.TEST_API_TOKEN = 'abc123secretvalue';
+    try {
+      logger.error('Request to https://api.example.com/?key=abc123secretvalue failed', {
+        error: 'Bad token abc123secretvalue',
+        ackUrl: 'http://pi:8080/ack?t=eyJhbGciOi.sig',
+        to: ['jane.smith@school.org.uk'],
+        nested: { password: 'hunter2', userKey: 'u123' }
+      });
+    } finally {
+      delete process.env.TEST_API_TOKEN;
+    }
+    assert.equal(entries[0].message, 'Request to https://api.example.com/?key=[REDACTED] failed');
+    assert.deepEqual(entries[0].data, {
+      error: 'Bad token [REDACTED]',
+      ackUrl: 'http://pi:8080/ack?t=[REDACTED]',
+      to: ['j***@school.org.uk'],
+      nested: { password: '[REDACTED]', userKey: '[REDACTED]' }
+    });
+  });
+
+  it('logs data as it is when redaction is off', () => {
+    logger.configure({ redact: false });
+    logger.info('Sent', { to: 'jane.smith@school.org.uk' });
+    assert.deepEqual(entries[0].data, { to: 'jane.smith@school.org.uk' });
+  });
+});
+
+describe('log rotation', () => {
+  let dir;
+  let file;
+  let consoleLog;
+
+  /**
+   * List the rotated logs
+   * @returns {Array<string>} File names, sorted
+   */
+  function rotated() {
+    return fs.readdirSync(dir).filter(name => name.endsWith('.gz')).sort();
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    file = path.join(dir, 'activity.log');
+    logger.setLogFile(file);
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = consoleLog;
+    logger.setLogFile();
+    logger.configure();
+    clock.resetClock();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('gzips the log once it would pass maxSizeKb', () => {
+    logger.configure({ maxSizeKb: 1, rotateDaily: false });
+    for (let i = 0; i < 20; i++) {
+      logger.info(`Entry ${i}`, { padding: 'x'.repeat(60) });
+    }
+
+    const today = clock.getZonedNow().date;
+    assert.deepEqual(rotated(), [`activity-${today}.1.log.gz`, `activity-${today}.log.gz`]);
+    const first = zlib.gunzipSync(fs.readFileSync(path.join(dir, `activity-${today}.log.gz`))).toString();
+    assert.match(first, /\[INFO\] \[\w+\] Entry 0 /);
+    assert.ok(first.length <= 1024);
+    assert.match(fs.readFileSync(file, 'utf8'), /Entry 19/);
+  });
+
+  it('starts a new log on a new day, keeping keepFiles old ones', () => {
+    logger.configure({ keepFiles: 2 });
+    for (const day of ['2026-01-10', '2026-01-11', '2026-01-12', '2026-01-13']) {
+      clock.setClock(`${day}T09:00:00Z`);
+      logger.info(`Log for ${day}`);
+      fs.utimesSync(file, new Date(`${day}T09:00:00Z`), new Date(`${day}T09:00:00Z`));
+    }
+
+    assert.deepEqual(rotated(), ['activity-2026-01-11.log.gz', 'activity-2026-01-12.log.gz']);
+    assert.match(fs.readFileSync(file, 'utf8'), /^\S+ \[INFO\] \[\w+\] Log for 2026-01-13\n$/);
+  });
+
+  it('deletes rotated logs older than keepDays', () => {
+    fs.writeFileSync(path.join(dir, 'activity-2025-11-01.log.gz'), zlib.gzipSync('old'));
+    fs.writeFileSync(path.join(dir, 'activity-2026-01-05.log.gz'), zlib.gzipSync('recent'));
+    fs.writeFileSync(file, 'yesterday\n');
+    fs.utimesSync(file, new Date('2026-01-11T12:00:00Z'), new Date('2026-01-11T12:00:00Z'));
+    clock.setClock('2026-01-12T09:00:00Z');
+
+    logger.configure({ keepDays: 30 });
+    logger.info('Today');
+    assert.deepEqual(rotated(), ['activity-2026-01-05.log.gz', 'activity-2026-01-11.log.gz']);
+  });
+});
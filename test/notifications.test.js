@@ -0,0 +1,404 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/logger');
+const { startDeadline, clearDeadline } = require('../src/retry');
+const {
+  sendPushover,
+  sendEmail,
+  sendNtfy,
+  sendGotify,
+  sendWebhook,
+  buildNotification,
+  sendNotifications,
+  sendMessage
+} = require('../src/notifications');
+const { startMockServer } = require('./helpers/mock-server');
+
+const ENV = {
+  PUSHOVER_USER_KEY: 'test-user',
+  PUSHOVER_API_TOKEN: 'test-token',
+  RESEND_API_KEY: 'test-resend-key',
+  NTFY_TOKEN: 'test-ntfy-token',
+  GOTIFY_TOKEN: 'test-gotify-token',
+  WEBHOOK_SECRET: 'test-webhook-secret'
+};
+
+describe('notification senders against a mock server', () => {
+  let server;
+  let settings;
+  let savedEnv;
+
+  before(async () => {
+    server = await startMockServer();
+    savedEnv = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+    Object.assign(process.env, ENV);
+    logger.setSink(() => {});
+  });
+
+  after(async () => {
+    logger.setSink(null);
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    settings = {
+      pushover: { priority: 1, sound: 'pushover', apiUrl: `${server.url}/1/messages.json` },
+      email: { to: 'teacher@example.org', from: 'reminders@example.org', fromName: 'Registration', apiUrl: `${server.url}/emails` },
+      ntfy: { url: `${server.url}/`, topic: 'registration' },
+      gotify: { url: `${server.url}/gotify/` },
+      webhook: { url: `${server.url}/hook` },
+      retry: { attempts: 2, delayMs: 10, jitter: 0, timeoutMs: 200 }
+    };
+  });
+
+  describe('sendPushover', () => {
+    it('posts the message with the credentials and priority', async () => {
+      await sendPushover('📋 Take Registration', 'A1 (Maths)', settings);
+      assert.equal(server.requests.length, 1);
+      const [request] = server.requests;
+      assert.equal(request.method, 'POST');
+      assert.equal(request.path, '/1/messages.json');
+      assert.deepEqual(request.body, {
+        token: 'test-token',
+        user: 'test-user',
+        title: '📋 Take Registration',
+        message: 'A1 (Maths)',
+        priority: 1,
+        sound: 'pushover'
+      });
+    });
+
+    it('adds overrides such as emergency priority to the payload', async () => {
+      await sendPushover('Title', 'Message', settings, { priority: 2, retry: 60, expire: 600 });
+      assert.equal(server.requests[0].body.priority, 2);
+      assert.equal(server.requests[0].body.retry, 60);
+    });
+
+    it('retries after a server error', async () => {
+      server.reply(500, { status: 0, errors: ['down'] });
+      await sendPushover('Title', 'Message', settings);
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('retries a server error even though Pushover says when its monthly quota resets', async () => {
+      const monthEnd = String(Math.floor(Date.now() / 1000) + 20 * 86400);
+      server.reply(503, { status: 0, errors: ['unavailable'] }, { headers: { 'X-Limit-App-Reset': monthEnd } });
+      startDeadline({ retry: { deadlineMs: 5000 } });
+      try {
+        await sendPushover('Title', 'Message', settings);
+      } finally {
+        clearDeadline();
+      }
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('gives up after the retry fails too', async () => {
+      server.reply(500, 'first');
+      server.reply(503, 'second');
+      await assert.rejects(
+        sendPushover('Title', 'Message', settings),
+        /Pushover failed after 2 attempts: Pushover API returned 503: second/
+      );
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('times out a request that takes too long, then retries', async () => {
+      server.reply(200, { status: 1 }, { delayMs: 1000 });
+      const started = Date.now();
+      await sendPushover('Title', 'Message', settings);
+      assert.equal(server.requests.length, 2);
+      assert.ok(Date.now() - started < 1000, 'should not wait for the slow response');
+    });
+
+    it('fails when both attempts time out', async () => {
+      server.reply(200, {}, { delayMs: 1000 });
+      server.reply(200, {}, { delayMs: 1000 });
+      await assert.rejects(sendPushover('Title', 'Message', settings), /Pushover failed after 2 attempts: .*did not respond within 0.2s/);
+    });
+
+    it('does not retry a request the API rejects as invalid', async () => {
+      server.reply(400, { user: 'invalid', errors: ['user identifier is invalid'], status: 0 });
+      await assert.rejects(
+        sendPushover('Title', 'Message', settings),
+        /Pushover failed \(not retried\): Pushover API returned 400/
+      );
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('makes as many attempts as settings.retry.attempts allows', async () => {
+      server.reply(500, 'one');
+      server.reply(500, 'two');
+      server.reply(500, 'three');
+      settings.retry.attempts = 4;
+      await sendPushover('Title', 'Message', settings);
+      assert.equal(server.requests.length, 4);
+    });
+
+    it('refuses to send without credentials', async () => {
+      delete process.env.PUSHOVER_API_TOKEN;
+      try {
+        await assert.rejects(sendPushover('Title', 'Message', settings), /Missing Pushover credentials/);
+        assert.equal(server.requests.length, 0);
+      } finally {
+        process.env.PUSHOVER_API_TOKEN = ENV.PUSHOVER_API_TOKEN;
+      }
+    });
+  });
+
+  describe('sendEmail (Resend)', () => {
+    it('posts the email with a bearer token and a named sender', async () => {
+      await sendEmail('📋 Take Registration – A1', 'Reminder: Take registration for A1 (Maths)', settings);
+      assert.equal(server.requests.length, 1);
+      const [request] = server.requests;
+      assert.equal(request.path, '/emails');
+      assert.equal(request.headers.authorization, 'Bearer test-resend-key');
+      assert.deepEqual(request.body, {
+        from: 'Registration <reminders@example.org>',
+        to: 'teacher@example.org',
+        subject: '📋 Take Registration – A1',
+        text: 'Reminder: Take registration for A1 (Maths)'
+      });
+    });
+
+    it('sends an HTML body alongside the text when there is one', async () => {
+      await sendEmail('Subject', 'Body', settings, '<p>Body</p>');
+      assert.equal(server.requests[0].body.text, 'Body');
+      assert.equal(server.requests[0].body.html, '<p>Body</p>');
+    });
+
+    it('retries after being rate limited', async () => {
+      server.reply(429, { message: 'Too many requests' });
+      await sendEmail('Subject', 'Body', settings);
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('waits as long as Retry-After says before retrying', async () => {
+      server.reply(429, { message: 'Too many requests' }, { headers: { 'Retry-After': '1' } });
+      const started = Date.now();
+      await sendEmail('Subject', 'Body', settings);
+      assert.equal(server.requests.length, 2);
+      assert.ok(Date.now() - started >= 990);
+    });
+
+    it('does not retry a validation error', async () => {
+      server.reply(422, { name: 'validation_error', message: 'Invalid `to` field' });
+      await assert.rejects(sendEmail('Subject', 'Body', settings), /Resend failed \(not retried\): Resend API returned 422/);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('reports the status and response when both attempts fail', async () => {
+      server.reply(500, 'oops');
+      server.reply(500, 'still broken');
+      await assert.rejects(sendEmail('Subject', 'Body', settings), /Resend failed after 2 attempts: Resend API returned 500: still broken/);
+    });
+
+    it('times out a slow response, then retries', async () => {
+      server.reply(200, {}, { delayMs: 1000 });
+      await sendEmail('Subject', 'Body', settings);
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('refuses to send without an API key', async () => {
+      delete process.env.RESEND_API_KEY;
+      try {
+        await assert.rejects(sendEmail('Subject', 'Body', settings), /Missing Resend credentials/);
+        assert.equal(server.requests.length, 0);
+      } finally {
+        process.env.RESEND_API_KEY = ENV.RESEND_API_KEY;
+      }
+    });
+  });
+  describe('sendNtfy', () => {
+    it('posts the message to the topic with the access token', async () => {
+      await sendNtfy('📋 Take Registration', 'A1 (Maths)', settings);
+      const [request] = server.requests;
+      assert.equal(request.path, '/');
+      assert.equal(request.headers.authorization, 'Bearer test-ntfy-token');
+      assert.deepEqual(request.body, {
+        topic: 'registration',
+        title: '📋 Take Registration',
+        message: 'A1 (Maths)',
+        priority: 4,
+        tags: ['clipboard']
+      });
+    });
+
+    it('retries after a server error', async () => {
+      server.reply(502, 'bad gateway');
+      await sendNtfy('Title', 'Message', settings);
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('refuses to send without a topic', async () => {
+      delete settings.ntfy.topic;
+      await assert.rejects(sendNtfy('Title', 'Message', settings), /Missing ntfy config/);
+      assert.equal(server.requests.length, 0);
+    });
+  });
+
+  describe('sendGotify', () => {
+    it('posts the message with the app token', async () => {
+      settings.gotify.priority = 5;
+      await sendGotify('📋 Take Registration', 'A1 (Maths)', settings);
+      const [request] = server.requests;
+      assert.equal(request.path, '/gotify/message');
+      assert.equal(request.headers['x-gotify-key'], 'test-gotify-token');
+      assert.deepEqual(request.body, { title: '📋 Take Registration', message: 'A1 (Maths)', priority: 5 });
+    });
+
+    it('does not retry a request the server rejects', async () => {
+      server.reply(401, { error: 'Unauthorized' });
+      await assert.rejects(sendGotify('Title', 'Message', settings), /Gotify failed \(not retried\): Gotify API returned 401/);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('refuses to send without credentials', async () => {
+      delete process.env.GOTIFY_TOKEN;
+      try {
+        await assert.rejects(sendGotify('Title', 'Message', settings), /Missing Gotify credentials/);
+        assert.equal(server.requests.length, 0);
+      } finally {
+        process.env.GOTIFY_TOKEN = ENV.GOTIFY_TOKEN;
+      }
+    });
+  });
+
+  describe('sendWebhook', () => {
+    const notification = () => buildNotification({ period: '1st School', class: 'A1', subject: 'Maths' }, { attempt: 2 });
+
+    it('posts the lesson in the default body', async () => {
+      await sendWebhook(notification(), settings);
+      const [request] = server.requests;
+      assert.equal(request.method, 'POST');
+      assert.equal(request.path, '/hook');
+      assert.deepEqual(request.body, {
+        title: '📋 Take Registration (reminder 2)',
+        message: 'A1 (Maths)',
+        class: 'A1',
+        subject: 'Maths',
+        period: '1st School'
+      });
+    });
+
+    it('fills in its own body, method and headers, with secrets from .env', async () => {
+      settings.env = { WEBHOOK_SECRET: 'WEBHOOK_SECRET' };
+      settings.webhook = {
+        url: `${server.url}/hook`,
+        method: 'PUT',
+        headers: { 'X-Secret': '{{env.WEBHOOK_SECRET}}' },
+        body: { text: '{{title}}: {{class}}', attempt: '{{attempt}}', tags: ['registration', '{{period}}'] }
+      };
+      await sendWebhook(notification(), settings);
+      const [request] = server.requests;
+      assert.equal(request.method, 'PUT');
+      assert.equal(request.headers['x-secret'], 'test-webhook-secret');
+      assert.deepEqual(request.body, {
+        text: '📋 Take Registration (reminder 2): A1',
+        attempt: '2',
+        tags: ['registration', '1st School']
+      });
+    });
+
+    it('only reads the variables named in settings.env, through their mapping', async () => {
+      process.env.JSMITH_WEBHOOK_SECRET = 'jsmith-webhook-secret';
+      settings.env = { WEBHOOK_SECRET: 'JSMITH_WEBHOOK_SECRET' };
+      settings.webhook = { url: `${server.url}/hook`, body: { secret: '{{env.WEBHOOK_SECRET}}' } };
+      try {
+        await sendWebhook(notification(), settings);
+        for (const name of ['RESEND_API_KEY', 'JSMITH_WEBHOOK_SECRET']) {
+          settings.webhook.body = { secret: `{{env.${name}}}` };
+          await assert.rejects(sendWebhook(notification(), settings), { message: `Unknown template placeholder: {{env.${name}}}` });
+        }
+      } finally {
+        delete process.env.JSMITH_WEBHOOK_SECRET;
+      }
+      assert.equal(server.requests.length, 1);
+      assert.deepEqual(server.requests[0].body, { secret: 'jsmith-webhook-secret' });
+    });
+
+    it('retries after a server error', async () => {
+      server.reply(503, 'unavailable');
+      await sendWebhook(notification(), settings);
+      assert.equal(server.requests.length, 2);
+    });
+
+    it('refuses to send without a URL', async () => {
+      delete settings.webhook.url;
+      await assert.rejects(sendWebhook(notification(), settings), /Missing webhook config/);
+    });
+  });
+
+  describe('sendNotifications with templates', () => {
+    const lesson = { period: '1st School', class: 'A1', subject: 'Maths', room: '12' };
+    const options = {
+      date: '2026-01-12',
+      start: '09:00',
+      end: '09:40',
+      next: { period: '2nd School', class: 'B2', subject: 'Physics', room: '14', start: '09:50', end: '10:30' }
+    };
+
+    it('renders each channel with its own templates', async () => {
+      const statuses = await sendNotifications(lesson, {
+        ...settings,
+        channels: [{ name: 'pushover', enabled: true }, { name: 'email', enabled: true }],
+        templates: {
+          message: '{{class}} in {{room}} until {{end}}, then {{next.class}}',
+          channels: { email: { subject: '{{day}} {{start}}: {{class}}', html: '<b>{{class}}</b> ({{subject}})' } }
+        }
+      }, options);
+
+      assert.deepEqual(statuses, { pushover: 'success', email: 'success' });
+      const pushover = server.requests.find(request => request.path === '/1/messages.json');
+      const email = server.requests.find(request => request.path === '/emails');
+      assert.equal(pushover.body.message, 'A1 in 12 until 09:40, then B2');
+      assert.equal(email.body.subject, 'Monday 09:00: A1');
+      assert.equal(email.body.html, '<b>A1</b> (Maths)');
+      assert.equal(email.body.text, 'Reminder: Take registration for A1 (Maths)');
+    });
+
+    it('rejects a channel whose template has an unknown placeholder, without sending it', async () => {
+      const statuses = await sendNotifications(lesson, {
+        ...settings,
+        channels: [{ name: 'pushover', enabled: true }, { name: 'email', enabled: true }],
+        templates: { channels: { pushover: { title: '{{teacher}}' } } }
+      }, options);
+
+      assert.deepEqual(statuses, { pushover: 'rejected', email: 'success' });
+      assert.deepEqual(server.requests.map(request => request.path), ['/emails']);
+    });
+  });
+
+  describe('webhook placeholders', () => {
+    const webhookSettings = () => ({
+      ...settings,
+      channels: [{ name: 'webhook', enabled: true }],
+      webhook: {
+        url: `${server.url}/hook`,
+        body: { title: '{{title}}', subject: '{{subject}}', lessonSubject: '{{lesson.subject}}', room: '{{lesson.room}}' }
+      }
+    });
+
+    it('fills {{subject}} with the message subject for a reminder, and the lesson\'s with {{lesson.subject}}', async () => {
+      const statuses = await sendNotifications({ period: '1st School', class: 'A1', subject: 'Maths' }, webhookSettings());
+      assert.deepEqual(statuses, { webhook: 'success' });
+      assert.deepEqual(server.requests[0].body, {
+        title: '📋 Take Registration',
+        subject: '📋 Take Registration – A1',
+        lessonSubject: 'Maths',
+        room: ''
+      });
+    });
+
+    it('fills {{subject}} the same way for a message without a lesson', async () => {
+      const statuses = await sendMessage({ kind: 'digest', title: 'Your day', message: '3 lessons', subject: 'Today', body: '3 lessons' },
+        webhookSettings());
+      assert.deepEqual(statuses, { webhook: 'success' });
+      assert.deepEqual(server.requests[0].body, { title: 'Your day', subject: 'Today', lessonSubject: '', room: '' });
+    });
+  });
+});
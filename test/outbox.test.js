@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+const { registerChannel } = require('../src/channels');
+const { readEvents, appendEvent } = require('../src/history');
+const { markAcknowledged } = require('../src/dedup');
+const { getPendingItems, drainOutbox } = require('../src/outbox');
+const { FIXTURE_DATE, useCheckFixture } = require('./helpers/check-fixture');
+
+// A1 in 1st School (09:00-09:40), reminded at 09:10 (GMT)
+const DATE = FIXTURE_DATE;
+const LESSON = { class: 'A1', period: '1st School' };
+
+describe('outbox', () => {
+  const sends = { steady: [], flaky: [] };
+  let flakyOutcome;
+  let messages;
+
+  const { settings, runAt } = useCheckFixture({
+    channels: [{ name: 'steady', enabled: true }, { name: 'flaky', enabled: true }]
+  });
+
+  before(() => {
+    registerChannel({ name: 'steady', send: async notification => { sends.steady.push(notification); } });
+    registerChannel({
+      name: 'flaky',
+      send: async notification => {
+        sends.flaky.push(notification);
+        if (flakyOutcome === 'fail') throw new Error('Service unavailable');
+        if (flakyOutcome === 'reject') throw Object.assign(new Error('Bad user key'), { permanent: true });
+      }
+    });
+    logger.setSink(entry => messages.push(entry));
+  });
+
+  after(() => logger.setSink(null));
+
+  beforeEach(() => {
+    sends.steady.length = 0;
+    sends.flaky.length = 0;
+    messages = [];
+    flakyOutcome = 'fail';
+  });
+
+  it('queues only the channel that failed', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    assert.equal(sends.steady.length, 1);
+    const pending = getPendingItems();
+    assert.deepEqual(pending.map(item => [item.class, item.period, item.channel, item.attempt]), [
+      [LESSON.class, LESSON.period, 'flaky', 1]
+    ]);
+    assert.equal(pending[0].expiresAt, '2026-01-12T09:40:00.000Z');
+  });
+
+  it('resends through the failed channel only, on a later run', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    flakyOutcome = 'ok';
+    await runAt('2026-01-12T09:30:30Z');
+
+    assert.equal(sends.steady.length, 1, 'the channel that worked is not sent again');
+    assert.equal(sends.flaky.length, 2);
+    assert.equal(sends.flaky[1].lesson.class, LESSON.class);
+    assert.deepEqual(getPendingItems(), []);
+    assert.deepEqual(readEvents({ type: 'delivery' }).map(event => event.status), ['sent']);
+  });
+
+  it('keeps retrying while the channel is still failing', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    await runAt('2026-01-12T09:15:30Z');
+    await runAt('2026-01-12T09:20:30Z');
+    assert.equal(sends.flaky.length, 3);
+    assert.equal(getPendingItems()[0].tries, 2);
+  });
+
+  it('dead-letters a queued reminder once the period has ended', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    await runAt('2026-01-12T09:40:30Z');
+
+    assert.equal(sends.flaky.length, 1);
+    assert.deepEqual(getPendingItems(), []);
+    const dead = messages.find(entry => entry.message === 'Notification dead-lettered');
+    assert.equal(dead.level, 'ERROR');
+    assert.equal(dead.data.channel, 'flaky');
+    assert.equal(dead.data.reason, 'the period has ended');
+  });
+
+  it('drops a queued reminder once registration is acknowledged', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    markAcknowledged(LESSON, DATE, { via: 'cli' });
+    await runAt('2026-01-12T09:15:30Z');
+
+    assert.equal(sends.flaky.length, 1);
+    assert.deepEqual(getPendingItems(), []);
+    assert.equal(readEvents({ type: 'delivery' })[0].status, 'cancelled');
+  });
+
+  it('sends a queued reminder once when two runs drain the outbox at the same time', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    flakyOutcome = 'ok';
+    clock.setClock('2026-01-12T09:15:30Z');
+    const counts = await Promise.all([drainOutbox(settings), drainOutbox(settings)]);
+
+    assert.deepEqual(counts.map(count => count.sent), [1, 0]);
+    assert.equal(sends.flaky.length, 2);
+    assert.deepEqual(readEvents({ type: 'delivery' }).map(event => event.status), ['sent']);
+  });
+
+  it('sends a reminder claimed by a run that never finished, once the claim runs out', async () => {
+    await runAt('2026-01-12T09:10:30Z');
+    const [item] = getPendingItems();
+    appendEvent({ type: 'attempting', id: item.id, run: 'crashed', until: '2026-01-12T09:16:00.000Z' });
+    flakyOutcome = 'ok';
+
+    await runAt('2026-01-12T09:15:30Z');
+    assert.equal(sends.flaky.length, 1);
+    await runAt('2026-01-12T09:20:30Z');
+    assert.equal(sends.flaky.length, 2);
+    assert.deepEqual(getPendingItems(), []);
+  });
+
+  it('does not queue a reminder the channel rejected outright', async () => {
+    flakyOutcome = 'reject';
+    await runAt('2026-01-12T09:10:30Z');
+    assert.deepEqual(getPendingItems(), []);
+    assert.deepEqual(readEvents({ type: 'attempt' })[0].channels, { steady: 'success', flaky: 'rejected' });
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/logger');
+const { getRetryAfterMs, withRetry, startDeadline, clearDeadline } = require('../src/retry');
+
+const NOW = Date.parse('2026-01-12T09:10:00Z');
+
+describe('getRetryAfterMs', () => {
+  it('reads Retry-After in seconds or as a date', () => {
+    assert.equal(getRetryAfterMs(503, new Headers({ 'Retry-After': '3' }), NOW), 3000);
+    assert.equal(getRetryAfterMs(429, new Headers({ 'Retry-After': 'Mon, 12 Jan 2026 09:10:30 GMT' }), NOW), 30000);
+  });
+
+  it('reads the rate-limit reset headers sent by Resend and Pushover when rate limited', () => {
+    assert.equal(getRetryAfterMs(429, new Headers({ 'RateLimit-Reset': '2' }), NOW), 2000);
+    assert.equal(getRetryAfterMs(429, new Headers({ 'X-Limit-App-Reset': String(NOW / 1000 + 60) }), NOW), 60000);
+  });
+
+  it('ignores the rate-limit reset headers on other errors', () => {
+    assert.equal(getRetryAfterMs(503, new Headers({ 'RateLimit-Reset': '2' }), NOW), null);
+    assert.equal(getRetryAfterMs(500, new Headers({ 'X-Limit-App-Reset': String(NOW / 1000 + 86400 * 20) }), NOW), null);
+  });
+
+  it('returns null when the server does not say', () => {
+    assert.equal(getRetryAfterMs(429, new Headers({ 'Retry-After': 'soon' }), NOW), null);
+    assert.equal(getRetryAfterMs(429, new Headers(), NOW), null);
+  });
+});
+
+describe('withRetry', () => {
+  const settings = { retry: { attempts: 4, delayMs: 20, backoff: 2, maxDelayMs: 50, jitter: 0 } };
+
+  before(() => logger.setSink(() => {}));
+  after(() => logger.setSink(null));
+  afterEach(() => clearDeadline());
+
+  /**
+   * Make an operation that fails a number of times, recording when it was called
+   * @param {number} failures - Times to fail before succeeding
+   * @param {object} [props] - Properties for the thrown errors
+   * @returns {Function} Operation with a calls array
+   */
+  function failing(failures, props = {}) {
+    const calls = [];
+    const operation = async ({ attempt }) => {
+      calls.push({ attempt, at: Date.now() });
+      if (calls.length <= failures) {
+        throw Object.assign(new Error(`failure ${calls.length}`), props);
+      }
+    };
+    operation.calls = calls;
+    return operation;
+  }
+
+  it('backs off exponentially up to the maximum delay', async () => {
+    const operation = failing(3);
+    await withRetry('Test', operation, settings);
+    const gaps = operation.calls.slice(1).map((call, i) => call.at - operation.calls[i].at);
+    assert.deepEqual(operation.calls.map(call => call.attempt), [1, 2, 3, 4]);
+    // 20ms, 40ms, then 80ms capped at 50ms (timers may fire a little late)
+    for (const [gap, expected] of gaps.map((gap, i) => [gap, [20, 40, 50][i]])) {
+      assert.ok(gap >= expected - 2 && gap < expected + 40, `waited ${gap}ms, expected ${expected}ms`);
+    }
+  });
+
+  it('shortens waits by up to the jitter fraction', async () => {
+    const operation = failing(1);
+    const started = Date.now();
+    await withRetry('Test', operation, { retry: { delayMs: 200, jitter: 0.5 } }, { random: () => 0.99 });
+    assert.ok(Date.now() - started < 150);
+  });
+
+  it('gives up after the configured number of attempts', async () => {
+    const operation = failing(10);
+    await assert.rejects(withRetry('Test', operation, settings), /Test failed after 4 attempts: failure 4/);
+    assert.equal(operation.calls.length, 4);
+  });
+
+  it('does not retry permanent failures', async () => {
+    const operation = failing(1, { permanent: true });
+    await assert.rejects(withRetry('Test', operation, settings), /Test failed \(not retried\): failure 1/);
+    assert.equal(operation.calls.length, 1);
+  });
+
+  it('waits as long as the server asks instead of backing off', async () => {
+    const operation = failing(1, { retryAfterMs: 120 });
+    await withRetry('Test', operation, { retry: { ...settings.retry, maxDelayMs: 1000 } });
+    assert.ok(operation.calls[1].at - operation.calls[0].at >= 118);
+  });
+
+  it('waits no longer than maxDelayMs, whatever the server asks', async () => {
+    const operation = failing(1, { retryAfterMs: 86400000 });
+    await withRetry('Test', operation, { retry: { ...settings.retry, maxDelayMs: 80 } });
+    assert.equal(operation.calls.length, 2);
+  });
+
+  it('stops rather than wait past the run deadline', async () => {
+    startDeadline({ retry: { deadlineMs: 100 } });
+    const operation = failing(1, { retryAfterMs: 5000 });
+    await assert.rejects(withRetry('Test', operation, { retry: { ...settings.retry, maxDelayMs: 60000 } }), /would pass the run deadline/);
+    assert.equal(operation.calls.length, 1);
+  });
+
+  it('limits each attempt to the time left before the deadline', async () => {
+    startDeadline({ retry: { deadlineMs: 100 } });
+    let timeout;
+    await withRetry('Test', async ({ timeoutMs }) => { timeout = timeoutMs; }, { retry: { timeoutMs: 30000 } });
+    assert.ok(timeout <= 100);
+  });
+
+  it('does not start once the deadline has passed', async () => {
+    startDeadline({ retry: { deadlineMs: 1 } });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const operation = failing(0);
+    await assert.rejects(withRetry('Test', operation, settings), /the run deadline has passed/);
+    assert.equal(operation.calls.length, 0);
+  });
+});
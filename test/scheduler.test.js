@@ -0,0 +1,266 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+const {
+  parseTime,
+  addMinutes,
+  getCurrentTime,
+  getTodayDateString,
+  shouldNotifyNow,
+  shouldFollowUpNow,
+  getLessonRules,
+  isDoubleContinuation,
+  getRemindedLessons,
+  getLessonsToNotify,
+  getNextLesson
+} = require('../src/scheduler');
+const { getTodayLessons } = require('../src/timetable');
+const { setHistoryFile, getHistoryFile, appendEvent } = require('../src/history');
+
+const LONDON = 'Europe/London';
+
+const periods = {
+  '1st School': { start: '09:00', end: '09:40' },
+  'Late': { start: '23:20', end: '23:59' }
+};
+
+const timetable = {
+  meta: { name: 'Test', startDate: '2026-01-05', endDate: '2026-12-18' },
+  periods,
+  schedule: {
+    monday: [{ period: 'Late', class: 'MON', subject: 'Monday' }],
+    tuesday: [{ period: '1st School', class: 'TUE', subject: 'Tuesday' }]
+  }
+};
+
+describe('parseTime', () => {
+  it('parses HH:MM and H:MM', () => {
+    assert.deepEqual(parseTime('09:05'), { hours: 9, minutes: 5 });
+    assert.deepEqual(parseTime('9:05'), { hours: 9, minutes: 5 });
+    assert.deepEqual(parseTime('00:00'), { hours: 0, minutes: 0 });
+    assert.deepEqual(parseTime('23:59'), { hours: 23, minutes: 59 });
+  });
+
+  it('rejects badly formed times', () => {
+    for (const value of ['9', '09:5', '0905', '09:05:00', ' 09:05', '9.05', '']) {
+      assert.throws(() => parseTime(value), /Invalid time format/, value);
+    }
+  });
+
+  it('rejects times that are out of range', () => {
+    assert.throws(() => parseTime('24:00'), /Invalid time values/);
+    assert.throws(() => parseTime('12:60'), /Invalid time values/);
+  });
+});
+
+describe('addMinutes', () => {
+  it('adds minutes within the hour and across hours', () => {
+    assert.deepEqual(addMinutes({ hours: 9, minutes: 0 }, 10), { hours: 9, minutes: 10 });
+    assert.deepEqual(addMinutes({ hours: 9, minutes: 55 }, 10), { hours: 10, minutes: 5 });
+    assert.deepEqual(addMinutes({ hours: 9, minutes: 0 }, 0), { hours: 9, minutes: 0 });
+  });
+
+  it('wraps forwards past midnight', () => {
+    assert.deepEqual(addMinutes({ hours: 23, minutes: 55 }, 10), { hours: 0, minutes: 5 });
+    assert.deepEqual(addMinutes({ hours: 23, minutes: 0 }, 60), { hours: 0, minutes: 0 });
+  });
+
+  it('subtracts minutes, wrapping backwards past midnight', () => {
+    assert.deepEqual(addMinutes({ hours: 9, minutes: 5 }, -10), { hours: 8, minutes: 55 });
+    assert.deepEqual(addMinutes({ hours: 0, minutes: 5 }, -10), { hours: 23, minutes: 55 });
+  });
+});
+
+describe('shouldNotifyNow window', () => {
+  const lesson = { period: '1st School', class: 'A1' };
+  const at = (hours, minutes) => ({ hours, minutes });
+
+  it('opens at the notification time and stays open for 15 minutes', () => {
+    assert.equal(shouldNotifyNow(lesson, periods, 10, at(9, 9)), false);
+    assert.equal(shouldNotifyNow(lesson, periods, 10, at(9, 10)), true);
+    assert.equal(shouldNotifyNow(lesson, periods, 10, at(9, 24)), true);
+    assert.equal(shouldNotifyNow(lesson, periods, 10, at(9, 25)), false);
+  });
+
+  it('can notify before the lesson starts with a negative offset', () => {
+    assert.equal(shouldNotifyNow(lesson, periods, -5, at(8, 54)), false);
+    assert.equal(shouldNotifyNow(lesson, periods, -5, at(8, 55)), true);
+    assert.equal(shouldNotifyNow(lesson, periods, -5, at(9, 9)), true);
+    assert.equal(shouldNotifyNow(lesson, periods, -5, at(9, 10)), false);
+  });
+
+  it('notifies right at the start with no offset', () => {
+    assert.equal(shouldNotifyNow(lesson, periods, 0, at(8, 59)), false);
+    assert.equal(shouldNotifyNow(lesson, periods, 0, at(9, 0)), true);
+  });
+
+  it('never notifies for a period the timetable does not have', () => {
+    logger.setSink(() => {});
+    try {
+      assert.equal(shouldNotifyNow({ period: 'Lunch', class: 'A1' }, periods, 10, at(12, 0)), false);
+    } finally {
+      logger.setSink(null);
+    }
+  });
+});
+
+describe('lesson and period reminder rules', () => {
+  const rulePeriods = {
+    'P1': { start: '09:00', end: '09:40' },
+    'P2': { start: '09:40', end: '10:20' },
+    'After 4': { start: '16:00', end: '17:00', offset: 20, message: 'Sign the late book' },
+    'Chapel': { start: '08:30', end: '08:50', silent: true }
+  };
+  const at = (hours, minutes) => ({ hours, minutes });
+
+  it('takes the lesson\'s fields, then the period\'s, then the settings offset', () => {
+    assert.deepEqual(getLessonRules({ period: 'P1' }, rulePeriods, 10), { offset: 10, silent: false, message: null });
+    assert.deepEqual(getLessonRules({ period: 'After 4' }, rulePeriods, 10),
+      { offset: 20, silent: false, message: 'Sign the late book' });
+    assert.deepEqual(getLessonRules({ period: 'After 4', offset: 5, message: 'Also collect homework' }, rulePeriods, 10),
+      { offset: 5, silent: false, message: 'Also collect homework' });
+    assert.equal(getLessonRules({ period: 'Chapel', silent: false }, rulePeriods, 10).silent, false);
+  });
+
+  it('notifies at the period\'s own offset', () => {
+    const lesson = { period: 'After 4', class: 'X1' };
+    assert.equal(shouldNotifyNow(lesson, rulePeriods, 10, at(16, 10)), false);
+    assert.equal(shouldNotifyNow(lesson, rulePeriods, 10, at(16, 20)), true);
+  });
+
+  it('never notifies for a silent lesson or period', () => {
+    assert.equal(shouldNotifyNow({ period: 'Chapel', class: 'X1' }, rulePeriods, 0, at(8, 30)), false);
+    assert.equal(shouldNotifyNow({ period: 'P1', class: 'X1', silent: true }, rulePeriods, 0, at(9, 0)), false);
+  });
+
+  it('treats the same class in the next period as the second half of a double', () => {
+    const lessons = [{ period: 'P1', class: 'X1' }, { period: 'P2', class: 'X1' }];
+    assert.equal(isDoubleContinuation(lessons[0], lessons, rulePeriods), false);
+    assert.equal(isDoubleContinuation(lessons[1], lessons, rulePeriods), true);
+    assert.equal(isDoubleContinuation({ period: 'P2', class: 'Y2' }, lessons, rulePeriods), false);
+    assert.equal(isDoubleContinuation({ ...lessons[1], double: false }, lessons, rulePeriods), false);
+  });
+
+  it('reminds the same class again after a gap, unless the lesson says it is a double', () => {
+    const lessons = [{ period: 'P2', class: 'X1' }, { period: 'After 4', class: 'X1' }];
+    assert.equal(isDoubleContinuation(lessons[1], lessons, rulePeriods), false);
+    assert.deepEqual(getRemindedLessons(lessons, rulePeriods), lessons);
+    assert.equal(isDoubleContinuation({ ...lessons[1], double: true }, lessons, rulePeriods), true);
+    assert.equal(isDoubleContinuation({ period: 'P2', class: 'X1', double: true }, [{ period: 'After 4', class: 'X1' }], rulePeriods), false);
+  });
+
+  it('finds the next lesson, skipping the rest of a double', () => {
+    const lessons = [
+      { period: 'After 4', class: 'Y2', subject: 'Club' },
+      { period: 'P2', class: 'X1', subject: 'Maths' },
+      { period: 'P1', class: 'X1', subject: 'Maths' }
+    ];
+    assert.deepEqual(getNextLesson(lessons[2], lessons, rulePeriods),
+      { class: 'Y2', subject: 'Club', room: null, period: 'After 4', start: '16:00', end: '17:00' });
+    assert.equal(getNextLesson(lessons[0], lessons, rulePeriods), null);
+  });
+
+  it('reminds a double once, at its start, unless the second half opts out', () => {
+    const lessons = [{ period: 'P1', class: 'X1' }, { period: 'P2', class: 'X1' }];
+    assert.deepEqual(getLessonsToNotify(lessons, rulePeriods, 0, at(9, 0)), [lessons[0]]);
+    assert.deepEqual(getLessonsToNotify(lessons, rulePeriods, 0, at(9, 40)), []);
+
+    const separate = [lessons[0], { ...lessons[1], double: false }];
+    assert.deepEqual(getLessonsToNotify(separate, rulePeriods, 0, at(9, 40)), [separate[1]]);
+  });
+});
+
+describe('scheduler "now" in the configured timezone', () => {
+  let originalTz;
+
+  before(() => {
+    // Behave like a GitHub Actions runner, whose system clock is in UTC
+    originalTz = process.env.TZ;
+    process.env.TZ = 'UTC';
+  });
+
+  after(() => {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  });
+
+  afterEach(() => clock.resetClock());
+
+  it('agrees on date and weekday just after midnight in BST', () => {
+    clock.setClock('2026-06-01T23:30:00Z');
+    assert.equal(getTodayDateString(LONDON), '2026-06-02');
+    assert.deepEqual(getCurrentTime(LONDON), { hours: 0, minutes: 30, dayOfWeek: 'tuesday' });
+  });
+
+  it("uses the zone's weekday for today's lessons, not the host's", () => {
+    clock.setClock('2026-06-01T23:30:00Z');
+    assert.deepEqual(getTodayLessons(timetable, LONDON).map(lesson => lesson.class), ['TUE']);
+
+    clock.setClock('2026-06-01T22:30:00Z');
+    assert.deepEqual(getTodayLessons(timetable, LONDON).map(lesson => lesson.class), ['MON']);
+  });
+
+  it('notifies at the lesson time in BST, an hour before the same UTC time', () => {
+    clock.setClock('2026-06-02T08:10:00Z');
+    const lesson = timetable.schedule.tuesday[0];
+    assert.equal(shouldNotifyNow(lesson, periods, 10, getCurrentTime(LONDON)), true);
+
+    clock.setClock('2026-06-02T09:10:00Z');
+    assert.equal(shouldNotifyNow(lesson, periods, 10, getCurrentTime(LONDON)), false);
+  });
+
+  it('notifies at the right local time on the day the clocks go forward', () => {
+    const lesson = { period: '1st School', class: 'SUN' };
+    clock.setClock('2026-03-29T08:10:00Z');
+    assert.deepEqual(getCurrentTime(LONDON), { hours: 9, minutes: 10, dayOfWeek: 'sunday' });
+    assert.equal(shouldNotifyNow(lesson, periods, 10, getCurrentTime(LONDON)), true);
+  });
+
+  it('notifies at the right local time on the day the clocks go back', () => {
+    const lesson = { period: '1st School', class: 'SUN' };
+    clock.setClock('2026-10-25T09:10:00Z');
+    assert.deepEqual(getCurrentTime(LONDON), { hours: 9, minutes: 10, dayOfWeek: 'sunday' });
+    assert.equal(shouldNotifyNow(lesson, periods, 10, getCurrentTime(LONDON)), true);
+  });
+
+  it('measures the follow-up interval in real time across the clocks going back', () => {
+    const lesson = { period: 'Late', class: 'LATE' };
+    const policy = { enabled: true, intervalMinutes: 5, maxAttempts: 3, untilPeriodEnd: false };
+    const state = { attempts: 1, lastNotifiedAt: '2026-10-25T00:58:00Z' };
+
+    // 01:58 BST, then 01:02 GMT four minutes later: the wall clock went backwards
+    clock.setClock('2026-10-25T01:02:00Z');
+    assert.equal(shouldFollowUpNow(lesson, periods, state, policy, getCurrentTime(LONDON)), false);
+
+    clock.setClock('2026-10-25T01:03:00Z');
+    assert.equal(shouldFollowUpNow(lesson, periods, state, policy, getCurrentTime(LONDON)), true);
+  });
+});
+
+describe('history timestamps', () => {
+  let previousFile;
+  let dir;
+
+  before(() => {
+    previousFile = getHistoryFile();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    setHistoryFile(path.join(dir, 'history.jsonl'));
+  });
+
+  after(() => {
+    setHistoryFile(previousFile);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => clock.resetClock());
+
+  it('records events at the time given by the clock', () => {
+    clock.setClock('2026-03-29T08:10:00Z');
+    const event = appendEvent({ type: 'lesson', date: '2026-03-29', class: 'SUN', period: '1st School' });
+    assert.equal(event.at, '2026-03-29T08:10:00.000Z');
+  });
+});
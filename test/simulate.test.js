@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSettings } = require('../src/timetable');
+const { parseCron, cronMatches, buildRunTimes, createRandom, simulate } = require('../src/simulate');
+
+describe('cron schedules', () => {
+  const cron = parseCron('*/5 6-18 * * 1-6');
+
+  it('matches every five minutes in the hours and days given (UTC)', () => {
+    assert.equal(cronMatches(cron, new Date('2026-01-12T09:10:00Z')), true);
+    assert.equal(cronMatches(cron, new Date('2026-01-12T09:12:00Z')), false);
+    assert.equal(cronMatches(cron, new Date('2026-01-12T19:00:00Z')), false);
+    // Sunday
+    assert.equal(cronMatches(cron, new Date('2026-01-11T09:10:00Z')), false);
+  });
+
+  it('treats 7 as Sunday and matches either day field when both are restricted', () => {
+    const sundays = parseCron('0 9 * * 7');
+    assert.equal(cronMatches(sundays, new Date('2026-01-11T09:00:00Z')), true);
+    const either = parseCron('0 9 1 * 1');
+    assert.equal(cronMatches(either, new Date('2026-01-01T09:00:00Z')), true);
+    assert.equal(cronMatches(either, new Date('2026-01-12T09:00:00Z')), true);
+    assert.equal(cronMatches(either, new Date('2026-01-13T09:00:00Z')), false);
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('*/5 6-18 * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('*/5 6-25 * * *'), /Invalid cron hour/);
+  });
+});
+
+describe('run times', () => {
+  const start = new Date('2026-01-12T09:00:00Z');
+  const end = new Date('2026-01-12T10:00:00Z');
+
+  it('runs on the cadence, delayed by no more than the jitter', () => {
+    const runs = buildRunTimes({ start, end, everyMinutes: 5, jitterMinutes: 3, random: createRandom(7) });
+    assert.equal(runs.length, 12);
+    runs.forEach((run, i) => {
+      const delay = run.getTime() - (start.getTime() + i * 5 * 60000);
+      assert.ok(delay >= 0 && delay < 3 * 60000);
+    });
+  });
+
+  it('gives the same run times for the same seed', () => {
+    const once = buildRunTimes({ start, end, everyMinutes: 5, jitterMinutes: 10, random: createRandom(3) });
+    const again = buildRunTimes({ start, end, everyMinutes: 5, jitterMinutes: 10, random: createRandom(3) });
+    assert.deepEqual(once, again);
+  });
+});
+
+describe('simulate', () => {
+  // Monday 12 January 2026 in the Lent timetable: four lessons
+  const settings = {
+    ...loadSettings(),
+    activeTimetable: 'lent-2026',
+    notificationOffset: 10,
+    ack: { enabled: false },
+    escalation: { enabled: false }
+  };
+
+  it('reminds every lesson once when the scheduler runs every 5 minutes', async () => {
+    const result = await simulate(settings, { from: '2026-01-12', to: '2026-01-12', everyMinutes: 5 });
+    assert.equal(result.lessons.length, 4);
+    assert.deepEqual(result.problems, []);
+    for (const entry of result.lessons) {
+      assert.deepEqual(entry.notifications.map(notification => notification.attempt), [1]);
+      assert.equal(entry.delayMinutes, 0);
+    }
+  });
+
+  it('flags lessons missed when runs are too far apart', async () => {
+    const result = await simulate(settings, { from: '2026-01-12', to: '2026-01-12', everyMinutes: 30 });
+    const missed = result.problems.filter(problem => problem.kind === 'missed');
+    assert.deepEqual(missed.map(problem => problem.lesson.lesson.period), ['1st School', 'After 4']);
+    assert.match(missed[0].message, /no run between 09:10 and 09:25/);
+  });
+
+  it('sends follow-ups on schedule when escalation is on', async () => {
+    const result = await simulate(
+      { ...settings, escalation: { enabled: true, intervalMinutes: 5, maxAttempts: 3, untilPeriodEnd: true } },
+      { from: '2026-01-12', to: '2026-01-12', everyMinutes: 1 }
+    );
+    assert.deepEqual(result.problems, []);
+    for (const entry of result.lessons) {
+      assert.deepEqual(entry.notifications.map(notification => notification.attempt), [1, 2, 3]);
+    }
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+const { buildMessage, sendMail } = require('../src/smtp');
+const { sendEmail } = require('../src/notifications');
+const { startMockSmtpServer } = require('./helpers/mock-smtp-server');
+
+/**
+ * Split a message into its headers (unfolded) and body
+ * @param {string} message - Message with CRLF line endings
+ * @returns {object} { headers: { name: value }, body }
+ */
+function parseMessage(message) {
+  const split = message.indexOf('\r\n\r\n');
+  const headers = {};
+  for (const line of message.slice(0, split).replace(/\r\n /g, ' ').split('\r\n')) {
+    const colon = line.indexOf(':');
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 2);
+  }
+  return { headers, body: message.slice(split + 4) };
+}
+
+/**
+ * Decode RFC 2047 encoded-words (UTF-8, base64) in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded text
+ */
+function decodeHeader(value) {
+  return value
+    .replace(/\?= =\?/g, '?==?')
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (word, base64) => Buffer.from(base64, 'base64').toString('utf8'));
+}
+
+describe('buildMessage', () => {
+  it('encodes a subject with emoji as UTF-8 encoded-words, and the body as base64', () => {
+    const subject = '📋 Take Registration – FMat2-2 (reminder 2) – Further Maths in 23 New before the bell';
+    const message = buildMessage({
+      from: 'reminders@example.org',
+      fromName: 'Registration Reminder',
+      to: ['teacher@example.org', 'office@example.org'],
+      subject,
+      text: 'Line one\nLine two'
+    });
+    const { headers, body } = parseMessage(message);
+
+    assert.match(headers.subject, /^=\?UTF-8\?B\?/);
+    assert.ok(message.split('\r\n').filter(line => line.includes('=?')).every(line => line.length <= 76), 'header lines are folded');
+    assert.equal(decodeHeader(headers.subject), subject);
+    assert.equal(headers.from, '"Registration Reminder" <reminders@example.org>');
+    assert.equal(headers.to, '<teacher@example.org>, <office@example.org>');
+    assert.equal(headers['content-type'], 'text/plain; charset=UTF-8');
+    assert.equal(Buffer.from(body, 'base64').toString('utf8'), 'Line one\r\nLine two');
+  });
+
+  it('sends HTML alongside the text as multipart/alternative', () => {
+    const message = buildMessage({ from: 'a@example.org', to: 'b@example.org', subject: 'Hi', text: 'Plain', html: '<b>Bold</b>' });
+    const { headers, body } = parseMessage(message);
+    const [, boundary] = headers['content-type'].match(/^multipart\/alternative; boundary="([^"]+)"$/);
+    const parts = body.split(`--${boundary}`).slice(1, -1).map(part => parseMessage(part.replace(/^\r\n/, '')));
+    assert.deepEqual(parts.map(part => part.headers['content-type']), ['text/plain; charset=UTF-8', 'text/html; charset=UTF-8']);
+    assert.deepEqual(parts.map(part => Buffer.from(part.body, 'base64').toString('utf8')), ['Plain', '<b>Bold</b>']);
+  });
+
+  it('dates the message by the clock', () => {
+    clock.setClock('2026-03-29T01:30:00Z');
+    try {
+      const { headers } = parseMessage(buildMessage({ from: 'a@example.org', to: 'b@example.org', subject: 'Hi', text: 'Plain' }));
+      assert.equal(headers.date, 'Sun, 29 Mar 2026 01:30:00 +0000');
+    } finally {
+      clock.resetClock();
+    }
+  });
+});
+
+describe('SMTP against a fake server', () => {
+  let server;
+  let options;
+
+  before(async () => {
+    server = await startMockSmtpServer();
+    logger.setSink(() => {});
+  });
+
+  after(async () => {
+    logger.setSink(null);
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    options = {
+      host: '127.0.0.1',
+      port: server.port,
+      security: 'none',
+      user: 'teacher',
+      pass: 'secret',
+      from: 'reminders@example.org',
+      to: ['teacher@example.org', 'office@example.org'],
+      message: 'Subject: Test\r\n\r\nHello\r\n',
+      timeout: 2000
+    };
+  });
+
+  describe('sendMail', () => {
+    it('logs in with AUTH PLAIN and sends the envelope and message', async () => {
+      await sendMail(options);
+      const [session] = server.sessions;
+      assert.ok(session.commands.includes(`AUTH PLAIN ${Buffer.from('\0teacher\0secret').toString('base64')}`));
+      assert.deepEqual(session.commands.filter(line => /^(MAIL|RCPT|DATA)/.test(line)), [
+        'MAIL FROM:<reminders@example.org>',
+        'RCPT TO:<teacher@example.org>',
+        'RCPT TO:<office@example.org>',
+        'DATA'
+      ]);
+      assert.equal(session.data, 'Subject: Test\r\n\r\nHello');
+    });
+
+    it('logs in with AUTH LOGIN when asked to', async () => {
+      await sendMail({ ...options, authMethod: 'LOGIN' });
+      const { commands } = server.sessions[0];
+      const auth = commands.indexOf('AUTH LOGIN');
+      assert.deepEqual(commands.slice(auth + 1, auth + 3), [
+        Buffer.from('teacher').toString('base64'),
+        Buffer.from('secret').toString('base64')
+      ]);
+    });
+
+    it('skips logging in without credentials', async () => {
+      await sendMail({ ...options, user: undefined, pass: undefined });
+      assert.ok(!server.sessions[0].commands.some(line => line.startsWith('AUTH')));
+    });
+
+    it('dot-stuffs lines that start with a dot', async () => {
+      await sendMail({ ...options, message: '.first\r\nmiddle\r\n.\r\n..two\r\nlast' });
+      assert.equal(server.sessions[0].data, '..first\r\nmiddle\r\n..\r\n...two\r\nlast');
+    });
+
+    it('reports a rejected recipient as a permanent failure', async () => {
+      server.reply('RCPT', '550 5.1.1 No such user');
+      await assert.rejects(sendMail(options), err => {
+        assert.match(err.message, /^SMTP RCPT TO failed: 550 5\.1\.1 No such user$/);
+        assert.equal(err.permanent, true);
+        return true;
+      });
+    });
+
+    it('refuses to send in plain text when STARTTLS is required but not offered', async () => {
+      await assert.rejects(sendMail({ ...options, security: 'starttls' }), /does not support STARTTLS/);
+      assert.ok(!server.sessions[0].commands.some(line => line.startsWith('MAIL')));
+    });
+  });
+
+  describe('sendEmail (SMTP transport)', () => {
+    const ENV = { SMTP_USER: 'teacher', SMTP_PASS: 'secret' };
+    let savedEnv;
+    let settings;
+
+    before(() => {
+      savedEnv = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+      Object.assign(process.env, ENV);
+    });
+
+    after(() => {
+      for (const [name, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    beforeEach(() => {
+      settings = {
+        email: {
+          transport: 'smtp',
+          to: 'teacher@example.org',
+          from: 'reminders@example.org',
+          fromName: 'Registration',
+          smtp: { host: '127.0.0.1', port: server.port, security: 'none' }
+        },
+        retry: { attempts: 2, delayMs: 10, jitter: 0, timeoutMs: 2000 }
+      };
+    });
+
+    it('sends the reminder with credentials from .env', async () => {
+      await sendEmail('📋 Take Registration – A1', 'Reminder: Take registration for A1 (Maths)', settings);
+      const [session] = server.sessions;
+      assert.ok(session.commands.includes(`AUTH PLAIN ${Buffer.from('\0teacher\0secret').toString('base64')}`));
+
+      const { headers, body } = parseMessage(session.data);
+      assert.equal(decodeHeader(headers.subject), '📋 Take Registration – A1');
+      assert.equal(headers.from, '"Registration" <reminders@example.org>');
+      assert.equal(Buffer.from(body, 'base64').toString('utf8'), 'Reminder: Take registration for A1 (Maths)');
+    });
+
+    it('tries again after a temporary failure', async () => {
+      server.reply('MAIL', '451 4.3.0 Try again later');
+      await sendEmail('Subject', 'Body', settings);
+      assert.equal(server.sessions.length, 2);
+      assert.notEqual(server.sessions[1].data, null);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  renderTemplate,
+  buildTemplateValues,
+  getTemplates,
+  renderTemplates,
+  checkTemplates
+} = require('../src/templates');
+const { buildNotification } = require('../src/notifications');
+
+const lesson = { period: '1st School', class: 'A1', subject: 'Maths', room: '12' };
+
+describe('renderTemplate', () => {
+  const values = buildTemplateValues(lesson, {
+    date: '2026-01-13',
+    start: '09:00',
+    end: '09:40',
+    next: { period: '2nd School', class: 'B2', subject: 'Physics', start: '09:50', end: '10:30' }
+  });
+
+  it('fills in the lesson, its times and the next lesson', () => {
+    assert.equal(
+      renderTemplate('{{day}} {{date}} {{start}}-{{end}}: {{class}} ({{subject}}) in {{room}}, then {{next.class}} at {{next.start}}', values),
+      'Tuesday 2026-01-13 09:00-09:40: A1 (Maths) in 12, then B2 at 09:50'
+    );
+  });
+
+  it('shows sections only when their value is set, and inverted sections only when it is not', () => {
+    const last = buildTemplateValues(lesson, {});
+    const template = '{{class}}{{#next}}, then {{next.class}}{{/next}}{{^next}} (last lesson){{/next}}';
+    assert.equal(renderTemplate(template, values), 'A1, then B2');
+    assert.equal(renderTemplate(template, last), 'A1 (last lesson)');
+    assert.equal(renderTemplate('[{{next.room}}]', last), '[]');
+  });
+
+  it('rejects placeholders it does not know', () => {
+    assert.throws(() => renderTemplate('{{teacher}}', values), /Unknown template placeholder: \{\{teacher\}\}/);
+    assert.throws(() => renderTemplate('{{#homework}}x{{/homework}}', values), /Unknown template placeholder/);
+    assert.throws(() => renderTemplate('{{class.constructor}}', values), /Unknown template placeholder/);
+    assert.throws(() => renderTemplate('{{toString}}', values), /Unknown template placeholder/);
+  });
+
+  it('rejects unclosed sections and malformed placeholders', () => {
+    assert.throws(() => renderTemplate('{{#next}}then {{next.class}}', values), /Unclosed section or malformed placeholder: \{\{#next\}\}/);
+    assert.throws(() => renderTemplate('{{ class name }}', values), /malformed placeholder/);
+  });
+
+  it('inserts values as text, escaping them for HTML', () => {
+    const awkward = buildTemplateValues({ ...lesson, class: '<A&1>' }, { note: '{{class}}' });
+    assert.equal(renderTemplate('{{note}}', awkward), '{{class}}');
+    assert.equal(renderTemplates({ ...getTemplates({}), html: '<b>{{class}}</b>' }, awkward).html, '<b>&lt;A&amp;1&gt;</b>');
+  });
+});
+
+describe('notification templates', () => {
+  it('says what it always has by default', () => {
+    const notification = buildNotification(lesson, { attempt: 2, note: 'Also collect homework', ackUrl: 'http://pi/ack' });
+    assert.equal(notification.title, '📋 Take Registration (reminder 2)');
+    assert.equal(notification.message, 'A1 (Maths)\nAlso collect homework');
+    assert.equal(notification.subject, '📋 Take Registration – A1 (reminder 2)');
+    assert.equal(notification.body,
+      'Reminder: Take registration for A1 (Maths)\nAlso collect homework\n\nDone? Mark registration as taken: http://pi/ack');
+    assert.equal(notification.html, null);
+  });
+
+  it('uses settings.templates, then the channel\'s own templates', () => {
+    const settings = { templates: { title: 'Register {{class}}', channels: { ntfy: { title: '{{class}} now' } } } };
+    assert.equal(getTemplates(settings, 'pushover').title, 'Register {{class}}');
+    assert.equal(getTemplates(settings, 'ntfy').title, '{{class}} now');
+    assert.equal(getTemplates(settings, 'ntfy').message, getTemplates({}).message);
+  });
+
+  it('reports templates in settings that will not render', () => {
+    assert.deepEqual(checkTemplates({ message: '{{class}} {{room}}', channels: { email: { body: '{{clas}}' } } }), [
+      { pointer: '/templates/channels/email/body', message: 'Unknown template placeholder: {{clas}}' }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimetablesDir } = require('../src/timetable');
+const { loadTerms, checkTermOverlaps, checkTermGaps, resolveActiveTimetable } = require('../src/terms');
+
+describe('term dates', () => {
+  let dir;
+
+  /**
+   * Write a timetable holding just its term dates
+   * @param {string} name - Timetable name
+   * @param {string} startDate - First day of term (YYYY-MM-DD)
+   * @param {string} endDate - Last day of term (YYYY-MM-DD)
+   */
+  function writeTerm(name, startDate, endDate) {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ meta: { name, startDate, endDate } }));
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    setTimetablesDir(dir);
+  });
+
+  after(() => {
+    setTimetablesDir();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    for (const file of fs.readdirSync(dir)) {
+      fs.rmSync(path.join(dir, file));
+    }
+    writeTerm('michaelmas', '2025-09-04', '2025-12-12');
+    writeTerm('lent', '2026-01-12', '2026-03-27');
+  });
+
+  it('uses the timetable whose term contains the date', () => {
+    assert.deepEqual(resolveActiveTimetable({}, '2026-01-12'), {
+      name: 'lent',
+      source: 'dates',
+      errors: [],
+      warnings: ['No timetable covers 2025-12-13 to 2026-01-11, between "michaelmas" (ends 2025-12-12) and "lent" (starts 2026-01-12)']
+    });
+    assert.equal(resolveActiveTimetable({}, '2025-12-12').name, 'michaelmas');
+  });
+
+  it('uses no timetable between terms or after the last one', () => {
+    assert.equal(resolveActiveTimetable({}, '2025-12-20').name, null);
+    assert.equal(resolveActiveTimetable({}, '2026-04-01').name, null);
+  });
+
+  it('reports overlapping terms as errors, using the one that started last', () => {
+    writeTerm('lent', '2025-12-01', '2026-03-27');
+    const active = resolveActiveTimetable({}, '2025-12-05');
+    assert.equal(active.name, 'lent');
+    assert.deepEqual(active.errors,
+      ['Timetables "michaelmas" (2025-09-04 to 2025-12-12) and "lent" (2025-12-01 to 2026-03-27) overlap']);
+    assert.deepEqual(active.warnings, []);
+  });
+
+  it('reports gaps between terms as warnings, but not terms that follow on', () => {
+    writeTerm('summer', '2026-03-28', '2026-07-03');
+    const { terms } = loadTerms();
+    assert.deepEqual(checkTermGaps(terms),
+      ['No timetable covers 2025-12-13 to 2026-01-11, between "michaelmas" (ends 2025-12-12) and "lent" (starts 2026-01-12)']);
+    assert.deepEqual(checkTermOverlaps(terms), []);
+  });
+
+  it('doesn\'t report a gap inside a term that another one overlaps', () => {
+    writeTerm('year', '2025-09-01', '2026-07-31');
+    assert.deepEqual(checkTermGaps(loadTerms().terms), []);
+  });
+
+  it('uses the manual override without looking at term dates', () => {
+    writeTerm('lent', 'not a date', '2026-03-27');
+    assert.deepEqual(resolveActiveTimetable({ activeTimetable: 'lent' }, '2025-12-20'),
+      { name: 'lent', source: 'override', errors: [], warnings: [] });
+  });
+
+  it('reports a timetable with missing dates', () => {
+    writeTerm('lent', undefined, '2026-03-27');
+    assert.deepEqual(resolveActiveTimetable({}, '2026-01-12'), {
+      name: null,
+      source: 'dates',
+      errors: ['Timetable "lent" has a missing or invalid meta.startDate/meta.endDate'],
+      warnings: []
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateTimetable } = require('../src/timetable');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'timetable.json');
+
+/**
+ * Load a fresh copy of the fixture timetable, optionally broken by a change
+ * @param {Function} [change] - (timetable) => void
+ * @returns {object} Timetable
+ */
+function fixture(change = () => {}) {
+  const timetable = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+  change(timetable);
+  return timetable;
+}
+
+describe('validateTimetable', () => {
+  it('accepts a valid timetable', () => {
+    assert.deepEqual(validateTimetable(fixture()), { valid: true, errors: [], problems: [] });
+  });
+
+  const cases = [
+    ['a missing term name', t => { delete t.meta.name; }, '/meta: is missing "name"'],
+    ['a term that ends before it starts', t => { t.meta.endDate = '2025-12-01'; },
+      '/meta/endDate: must not be before meta.startDate (2026-01-05): 2025-12-01'],
+    ['an invalid time', t => { t.periods.Late.start = '25:00'; },
+      '/periods/Late/start: must be a time (HH:MM, 24-hour): "25:00"'],
+    ['a period that ends before it starts', t => { t.periods['1st School'].end = '08:40'; },
+      '/periods/1st School/end: must be after the start (09:00): 08:40'],
+    ['overlapping periods', t => { t.periods['2nd School'].start = '09:30'; },
+      '/periods/2nd School: overlaps "1st School" (09:00-09:40)'],
+    ['a lesson in an unknown period', t => { t.schedule.monday[0].period = 'Lunch'; },
+      '/schedule/monday/0/period: is not one of the periods: "Lunch"'],
+    ['two lessons in the same period', t => { t.schedule.monday[1].period = '1st School'; },
+      '/schedule/monday/1: clashes with A1 in "1st School" on monday'],
+    ['a lesson without a class', t => { delete t.schedule.monday[0].class; },
+      '/schedule/monday/0: is missing "class"'],
+    ['a misspelt day', t => { t.schedule.funday = []; }, '/schedule/funday: is not a recognised property']
+  ];
+
+  for (const [name, change, expected] of cases) {
+    it(`rejects ${name}`, () => {
+      const result = validateTimetable(fixture(change));
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.errors, [expected]);
+    });
+  }
+
+  it('accepts reminder rules on periods and lessons', () => {
+    const result = validateTimetable(fixture(t => {
+      t.periods['1st School'].offset = 15;
+      t.periods.Late.silent = true;
+      t.schedule.monday[1].message = 'Also collect homework';
+    }));
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('rejects an offset that puts the reminder after the period ends', () => {
+    const result = validateTimetable(fixture(t => { t.schedule.monday[0].offset = 40; }));
+    assert.deepEqual(result.errors,
+      ['/schedule/monday/0/offset: puts the reminder after the period ends (09:00-09:40): 40']);
+  });
+
+  it('rejects a message on the second half of a double, but not once it opts out', () => {
+    const double = t => {
+      t.schedule.monday[1].class = 'A1';
+      t.schedule.monday[1].message = 'Practical';
+    };
+    assert.match(validateTimetable(fixture(double)).errors[0], /^\/schedule\/monday\/1\/message: has no effect: A1 also has the period before/);
+    assert.equal(validateTimetable(fixture(t => { double(t); t.schedule.monday[1].double = false; })).valid, true);
+  });
+
+  it('rejects a timetable with no periods, and every lesson that uses one', () => {
+    const result = validateTimetable(fixture(t => { t.periods = {}; }));
+    assert.equal(result.errors[0], '/periods: must have at least 1 entry');
+    assert.equal(result.errors.length, 5);
+  });
+
+  it('rejects something that is not a timetable at all', () => {
+    assert.equal(validateTimetable([]).valid, false);
+    assert.equal(validateTimetable(null).valid, false);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const clock = require('../src/clock');
+const logger = require('../src/logger');
+const { registerChannel, getEnv } = require('../src/channels');
+const { getHistoryFile, readEvents } = require('../src/history');
+const { listTimetables } = require('../src/timetable');
+const { validateProfile } = require('../src/validation');
+const { runCheck } = require('../src/check');
+const { createAckToken, verifyAckToken } = require('../src/ack');
+const { createProfile, applyProfile, getCurrentProfile, withProfile } = require('../src/users');
+const { useCheckFixture } = require('./helpers/check-fixture');
+
+describe('profiles', () => {
+  const shared = {
+    notificationOffset: 10,
+    timezone: 'Europe/London',
+    channels: [{ name: 'pushover', enabled: true }, { name: 'email', enabled: true }],
+    email: { to: 'shared@example.org', from: 'reminders@example.org', transport: 'resend' },
+    pushover: { priority: 1, sound: 'pushover' }
+  };
+
+  it('merges object sections one level deep and replaces everything else', () => {
+    const profile = createProfile('jsmith', {
+      name: 'Jane Smith',
+      notificationOffset: 5,
+      channels: [{ name: 'email', enabled: true }],
+      email: { to: 'j.smith@example.org' }
+    });
+    const settings = applyProfile(shared, profile);
+    assert.equal(settings.notificationOffset, 5);
+    assert.deepEqual(settings.channels, [{ name: 'email', enabled: true }]);
+    assert.deepEqual(settings.email, { ...shared.email, to: 'j.smith@example.org' });
+    assert.equal(settings.name, undefined);
+    assert.deepEqual(shared.email.to, 'shared@example.org');
+  });
+
+  it('reads credentials through settings.env', () => {
+    process.env.TEST_JSMITH_KEY = 'jsmith-key';
+    try {
+      assert.equal(getEnv({ env: { PUSHOVER_USER_KEY: 'TEST_JSMITH_KEY' } }, 'PUSHOVER_USER_KEY'), 'jsmith-key');
+      assert.equal(getEnv({}, 'TEST_JSMITH_KEY'), 'jsmith-key');
+    } finally {
+      delete process.env.TEST_JSMITH_KEY;
+    }
+  });
+
+  it('requires the teacher\'s own address and key for each enabled channel', () => {
+    const result = validateProfile(createProfile('jsmith', { name: 'Jane Smith' }), shared);
+    assert.deepEqual(result.problems.map(problem => problem.pointer), ['/env/PUSHOVER_USER_KEY', '/email/to']);
+    assert.match(result.errors[1], /the email channel is enabled/);
+
+    const valid = validateProfile(createProfile('jsmith', {
+      name: 'Jane Smith',
+      email: { to: 'j.smith@example.org' },
+      env: { PUSHOVER_USER_KEY: 'JSMITH_PUSHOVER_USER_KEY' }
+    }), shared);
+    assert.deepEqual(valid.errors, []);
+  });
+
+  it('rejects settings a profile can\'t override', () => {
+    const result = validateProfile(createProfile('jsmith', { name: 'Jane Smith', timezone: 'UTC' }), shared);
+    assert.equal(result.valid, false);
+    assert.equal(result.problems[0].pointer, '/timezone');
+  });
+});
+
+describe('running as a teacher', () => {
+  const sends = [];
+  const fixture = useCheckFixture();
+  let profile;
+
+  before(() => {
+    const dir = fixture.dir;
+    profile = {
+      ...createProfile('jsmith', {
+        name: 'Jane Smith',
+        activeTimetable: 'fixture',
+        channels: [{ name: 'recorder', enabled: true }],
+        escalation: { enabled: false }
+      }),
+      timetablesDir: path.join(dir, 'timetables'),
+      historyFile: path.join(dir, 'history.jsonl'),
+      logFile: path.join(dir, 'activity.log')
+    };
+    registerChannel({ name: 'recorder', send: async notification => { sends.push(notification); } });
+    logger.setSink(() => {});
+  });
+
+  after(() => logger.setSink(null));
+
+  it('uses the teacher\'s settings, timetables and history, and restores the default after', async () => {
+    const defaultHistory = getHistoryFile();
+    clock.setClock('2026-01-12T09:10:30Z');
+
+    await withProfile(profile, async () => {
+      assert.equal(getCurrentProfile().id, 'jsmith');
+      assert.deepEqual(listTimetables(), ['fixture']);
+      assert.equal(getHistoryFile(), profile.historyFile);
+      await runCheck({ settings: applyProfile(fixture.settings, profile) });
+    });
+
+    assert.equal(getCurrentProfile().id, 'default');
+    assert.equal(getHistoryFile(), defaultHistory);
+    assert.deepEqual(sends.map(notification => notification.lesson.class), ['A1']);
+    const attempts = withProfile(profile, () => readEvents({ type: 'attempt' }));
+    assert.deepEqual(attempts.map(event => event.channels), [{ recorder: 'success' }]);
+  });
+
+  it('puts the teacher in acknowledgement links', () => {
+    clock.setClock('2026-01-12T09:10:00Z');
+    const settings = { timezone: 'Europe/London' };
+    const lesson = { class: 'FMat2-2', period: '1st School' };
+    const token = withProfile(profile, () => createAckToken(lesson, '2026-01-12', settings, 'secret'));
+    assert.equal(verifyAckToken(token, 'secret').user, 'jsmith');
+    assert.equal(verifyAckToken(createAckToken(lesson, '2026-01-12', settings, 'secret'), 'secret').user, 'default');
+  });
+});